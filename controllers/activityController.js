@@ -2,12 +2,15 @@ import expressAsyncHandler from 'express-async-handler';
 import DispensingLog from '../models/dispenserLogModel.js';
 import PatientMedication from '../models/patientModel.js';
 import Alert from '../models/alertModel.js';
+import { assertPatientAccess } from '../middleware/accessPolicyMiddleware.js';
+import { PATIENT_ACCESS } from '../services/auth/accessPolicy.js';
 
 // @desc    Get recent activity for a patient
 // @route   GET /api/activity/:patientId
 // @access  Private/Patient
 const getRecentActivity = expressAsyncHandler(async (req, res) => {
   const patientId = req.params.patientId;
+  await assertPatientAccess(req, res, patientId, PATIENT_ACCESS.VIEW);
   const limit = parseInt(req.query.limit) || 10;
   
   // Get dispensing logs (taken medications)
@@ -1,6 +1,8 @@
 import expressAsyncHandler from 'express-async-handler';
 import Alert from '../models/alertModel.js';
 import User from '../models/userModel.js';
+import { assertPatientAccess } from '../middleware/accessPolicyMiddleware.js';
+import { PATIENT_ACCESS } from '../services/auth/accessPolicy.js';
 // import Medication from '../models/medicationModel.js';
 
 // @desc    Create new alert
@@ -80,6 +82,8 @@ const updateAlertStatus = expressAsyncHandler(async (req, res) => {
     throw new Error('Alert not found');
   }
   
+  await assertPatientAccess(req, res, alert.patient, PATIENT_ACCESS.ALERTS);
+  
   // Update status
   alert.status = status || alert.status;
   
@@ -0,0 +1,83 @@
+import expressAsyncHandler from 'express-async-handler';
+import User from '../models/userModel.js';
+import {
+  inviteCaregiver,
+  respondToInvitation,
+  updatePermissions,
+  revokeRelationship,
+  listRelationships
+} from '../services/care/careRelationshipService.js';
+import { sendServiceResult } from '../middleware/serviceResultMiddleware.js';
+
+// @desc    Invite a caregiver by email or phone number
+// @route   POST /api/care-relationships/invitations
+// @access  Patient/Admin
+const createInvitation = expressAsyncHandler(async (req, res) => {
+  const { email, phoneNumber, relationship, permissions, patientId } = req.body;
+
+  // Admins invite on behalf of a patient, patients invite for themselves
+  let patient = req.user;
+  if (req.user.role === 'admin') {
+    patient = patientId ? await User.findById(patientId) : null;
+    if (!patient) {
+      res.status(400);
+      throw new Error('Patient not found');
+    }
+  }
+
+  const result = await inviteCaregiver(patient, { email, phoneNumber, relationship, permissions }, req.user);
+  sendServiceResult(res, result, 201);
+});
+
+// @desc    Get my caregivers, patients and pending invitations
+// @route   GET /api/care-relationships
+// @access  Private
+const getMyRelationships = expressAsyncHandler(async (req, res) => {
+  res.json(await listRelationships(req.user));
+});
+
+// @desc    Accept a caregiver invitation
+// @route   POST /api/care-relationships/:id/accept
+// @access  Private
+const acceptInvitation = expressAsyncHandler(async (req, res) => {
+  const result = await respondToInvitation(req.user, req.params.id, true, req.body.token);
+  sendServiceResult(res, result);
+});
+
+// @desc    Decline a caregiver invitation
+// @route   POST /api/care-relationships/:id/decline
+// @access  Private
+const declineInvitation = expressAsyncHandler(async (req, res) => {
+  const result = await respondToInvitation(req.user, req.params.id, false, req.body.token);
+  sendServiceResult(res, result);
+});
+
+// @desc    Change a caregiver's permissions
+// @route   PUT /api/care-relationships/:id/permissions
+// @access  Patient/Admin
+const updateRelationshipPermissions = expressAsyncHandler(async (req, res) => {
+  if (!req.body.permissions) {
+    res.status(400);
+    throw new Error('Permissions are required');
+  }
+
+  const result = await updatePermissions(req.user, req.params.id, req.body.permissions);
+  sendServiceResult(res, result);
+});
+
+// @desc    End a care relationship or cancel an invitation
+// @route   DELETE /api/care-relationships/:id
+// @access  Patient/Caregiver/Admin
+const deleteRelationship = expressAsyncHandler(async (req, res) => {
+  const result = await revokeRelationship(req.user, req.params.id);
+  sendServiceResult(res, result);
+});
+
+export {
+  createInvitation,
+  getMyRelationships,
+  acceptInvitation,
+  declineInvitation,
+  updateRelationshipPermissions,
+  deleteRelationship
+};
@@ -5,50 +5,202 @@ import PatientMedication from '../models/patientModel.js';
 import expressAsyncHandler from 'express-async-handler';
 import DispenserDevice from '../models/dispenserDeviceModel.js';
 import DispensingLog from '../models/dispenserLogModel.js';
+import dispenserService from '../services/dispenser/index.js';
+import inventoryService from '../services/inventory/index.js';
+import { DEVICE_MESSAGE_TYPES, routeDeviceMessage } from '../services/dispenser/messageRouter.js';
+import { getShadow, updateDesiredState, pushDelta } from '../services/dispenser/shadowService.js';
+import { canAccessPatient, PATIENT_ACCESS } from '../services/auth/accessPolicy.js';
+import { assertPatientAccess } from '../middleware/accessPolicyMiddleware.js';
+import {
+  loadPatientClock,
+  getDisplayTimeZone,
+  getCivilDay,
+  civilTimeToUtc
+} from '../services/schedule/timeZone.js';
+import {
+  registerFactoryDevice,
+  pairDevice,
+  rotateCredentials,
+  unpairDevice,
+  verifyMqttCredentials,
+  hashSecret,
+  hashesMatch
+} from '../services/dispenser/provisioningService.js';
+import { sendServiceResult } from '../middleware/serviceResultMiddleware.js';
 
-// @desc    Register new dispenser device
+// Load the dispenser from the :id route param or respond 404,
+// checking access to the patient who owns it when an access level is given
+const findDispenserOr404 = async (req, res, access) => {
+  const dispenser = await DispenserDevice.findById(req.params.id);
+
+  if (!dispenser) {
+    res.status(404);
+    throw new Error('Dispenser device not found');
+  }
+
+  if (access) {
+    await assertDeviceAccess(req, res, dispenser, access);
+  }
+
+  return dispenser;
+};
+
+// Devices are accessed on behalf of the patient who owns them, unowned devices are admin only
+const assertDeviceAccess = async (req, res, dispenser, access) => {
+  const allowed = dispenser.ownedBy
+    ? await canAccessPatient(req.user, dispenser.ownedBy, access)
+    : req.user.role === 'admin';
+
+  if (!allowed) {
+    res.status(403);
+    throw new Error('Not authorised to access this dispenser');
+  }
+};
+
+// Only the owner of a dispenser or an admin may manage its pairing
+const assertOwnerOrAdmin = (req, res, dispenser) => {
+  const isOwner = dispenser.ownedBy && dispenser.ownedBy.toString() === req.user._id.toString();
+
+  if (!isOwner && req.user.role !== 'admin') {
+    res.status(403);
+    throw new Error('Not authorised to manage this dispenser');
+  }
+};
+
+// @desc    Register new dispenser device at the factory
 // @route   POST /api/dispensers
 // @access  Admin
 const registerDispenserDevice = expressAsyncHandler(async (req, res) => {
   const { 
     deviceId, 
     name, 
-    ownedBy,
     numberOfCompartments = 7
   } = req.body;
 
-  // Check if dispenser already exists
-  const dispenserExists = await DispenserDevice.findOne({ deviceId });
+  if (!deviceId) {
+    res.status(400);
+    throw new Error('Device ID is required');
+  }
+
+  const result = await registerFactoryDevice({ deviceId, name, numberOfCompartments });
+
+  sendServiceResult(res, result, 201);
+});
+
+// @desc    Pair a dispenser by redeeming its claim code
+// @route   POST /api/dispensers/pair
+// @access  Patient/Caregiver
+const pairDispenser = expressAsyncHandler(async (req, res) => {
+  const { deviceId, claimCode, name } = req.body;
 
-  if (dispenserExists) {
+  if (!deviceId || !claimCode) {
     res.status(400);
-    throw new Error('Dispenser already registered');
-  }
-
-  // Generate compartments 
-  const compartments = Array.from({ length: numberOfCompartments }, (_, i) => ({
-    compartmentId: i + 1,
-    capacity: 30,
-    currentQuantity: 0
-  }));
-
-  const dispenser = await DispenserDevice.create({
-    deviceId,
-    name,
-    ownedBy,
-    compartments,
-    status: {
-      isOnline: false,
-      batteryLevel: 100
+    throw new Error('Device ID and claim code are required');
+  }
+
+  const result = await pairDevice(req.user, deviceId, claimCode, name);
+
+  sendServiceResult(res, result, 201);
+});
+
+// @desc    Rotate the MQTT credentials of a dispenser
+// @route   POST /api/dispensers/:id/credentials/rotate
+// @access  Admin/Owner
+const rotateDeviceCredentials = expressAsyncHandler(async (req, res) => {
+  const dispenser = await findDispenserOr404(req, res);
+  assertOwnerOrAdmin(req, res, dispenser);
+
+  const result = await rotateCredentials(dispenser._id);
+
+  sendServiceResult(res, result);
+});
+
+// @desc    Unpair a dispenser and revoke its credentials
+// @route   DELETE /api/dispensers/:id/pairing
+// @access  Admin/Owner
+const unpairDispenser = expressAsyncHandler(async (req, res) => {
+  const dispenser = await findDispenserOr404(req, res);
+  assertOwnerOrAdmin(req, res, dispenser);
+
+  const result = await unpairDevice(dispenser._id);
+
+  sendServiceResult(res, result);
+});
+
+// @desc    Authenticate a client connecting to the MQTT broker
+// @route   POST /api/dispensers/mqtt/auth
+// @access  MQTT broker
+const mqttAuthHook = expressAsyncHandler(async (req, res) => {
+  const { username, password } = req.body;
+
+  // The backend's own connection
+  if (process.env.MQTT_USERNAME && username === process.env.MQTT_USERNAME) {
+    const expected = process.env.MQTT_PASSWORD;
+    if (expected && typeof password === 'string' && hashesMatch(hashSecret(password), hashSecret(expected))) {
+      return res.json({ result: 'allow', is_superuser: true });
     }
-  });
+    return res.status(403).json({ result: 'deny' });
+  }
+
+  const device = await verifyMqttCredentials(username, password);
 
-  res.status(201).json(dispenser);
+  if (!device) {
+    return res.status(403).json({ result: 'deny' });
+  }
+
+  res.json({ result: 'allow', is_superuser: false });
+});
+
+// @desc    Authorize a topic for a connected MQTT client
+// @route   POST /api/dispensers/mqtt/acl
+// @access  MQTT broker
+const mqttAclHook = expressAsyncHandler(async (req, res) => {
+  const { username, topic } = req.body;
+
+  if (process.env.MQTT_USERNAME && username === process.env.MQTT_USERNAME) {
+    return res.json({ result: 'allow' });
+  }
+
+  // Devices may only use their own topic namespace
+  const allowed = typeof topic === 'string' &&
+    typeof username === 'string' &&
+    topic.startsWith(`dispenser/${username}/`);
+
+  if (!allowed) {
+    return res.status(403).json({ result: 'deny' });
+  }
+
+  res.json({ result: 'allow' });
+});
+
+// @desc    Receive a signed message from a device over HTTP
+// @route   POST /api/dispensers/webhook
+// @access  Device (signed)
+const receiveDeviceWebhook = expressAsyncHandler(async (req, res) => {
+  const { type, payload = {} } = req.body || {};
+
+  if (!DEVICE_MESSAGE_TYPES.includes(type) || type === 'lwt') {
+    return res.status(400).json({
+      code: 'unknown_message_type',
+      message: `Message type must be one of: ${DEVICE_MESSAGE_TYPES.filter(t => t !== 'lwt').join(', ')}`
+    });
+  }
+
+  if (typeof payload !== 'object' || Array.isArray(payload)) {
+    return res.status(400).json({
+      code: 'invalid_payload',
+      message: 'Payload must be a JSON object'
+    });
+  }
+
+  await routeDeviceMessage(req.device, type, payload);
+
+  res.status(202).json({ received: true, type });
 });
 
 // @desc    Get dispenser device by ID
 // @route   GET /api/dispensers/:id
-// @access  Admin/Owner
+// @access  Admin/Owner/Linked users
 const getDispenserDeviceById = expressAsyncHandler(async (req, res) => {
   const dispenser = await DispenserDevice.findById(req.params.id)
     .populate('ownedBy', 'firstName lastName email');
@@ -58,6 +210,8 @@ const getDispenserDeviceById = expressAsyncHandler(async (req, res) => {
     throw new Error('Dispenser device not found');
   }
   
+  await assertDeviceAccess(req, res, dispenser, PATIENT_ACCESS.VIEW);
+  
   res.json(dispenser);
 });
 
@@ -80,6 +234,9 @@ const createDispensingLog = expressAsyncHandler(async (req, res) => {
     throw new Error('Dispenser device not found');
   }
 
+  await assertDeviceAccess(req, res, dispenser, PATIENT_ACCESS.EDIT);
+  await assertPatientAccess(req, res, patient, PATIENT_ACCESS.EDIT);
+
   // Create dispensing log
   const dispensingLog = await DispensingLog.create({
     device: req.params.id,
@@ -111,6 +268,8 @@ const updateDispensingLogStatus = expressAsyncHandler(async (req, res) => {
     throw new Error('Dispensing log not found');
   }
   
+  await assertPatientAccess(req, res, dispensingLog.patient, PATIENT_ACCESS.EDIT);
+  
   // Update log fields
   dispensingLog.status = status || dispensingLog.status;
   
@@ -151,14 +310,14 @@ const updateDispensingLogStatus = expressAsyncHandler(async (req, res) => {
 // @route   GET /api/dispensers/upcoming/:patientId
 // @access  Admin/Patient
 const getUpcomingDispenses = expressAsyncHandler(async (req, res) => {
+  // Until the end of tomorrow where the patient is
   const now = new Date();
-  const tomorrow = new Date(now);
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  tomorrow.setHours(23, 59, 59, 999);
+  const timeZone = getDisplayTimeZone(await loadPatientClock(req.params.patientId));
+  const tomorrow = civilTimeToUtc(getCivilDay(now, timeZone) + 2, '00:00', timeZone);
   
   const upcomingDispenses = await DispensingLog.find({
     patient: req.params.patientId,
-    scheduledTime: { $gte: now, $lte: tomorrow },
+    scheduledTime: { $gte: now, $lt: tomorrow },
     status: 'scheduled'
   })
     .populate('medication', 'name dosage')
@@ -167,10 +326,191 @@ const getUpcomingDispenses = expressAsyncHandler(async (req, res) => {
   res.json(upcomingDispenses);
 });
 
+// @desc    Dispense medication from a compartment on demand
+// @route   POST /api/dispensers/:id/dispense
+// @access  Owner/Linked users
+const dispenseMedication = expressAsyncHandler(async (req, res) => {
+  const { compartmentId, quantity = 1 } = req.body;
+
+  if (compartmentId === undefined) {
+    res.status(400);
+    throw new Error('Compartment ID is required');
+  }
+
+  const dispenser = await findDispenserOr404(req, res, PATIENT_ACCESS.DISPENSE);
+  const result = await dispenserService.dispenseMedication(
+    dispenser.deviceId,
+    Number(compartmentId),
+    Number(quantity),
+    req.user?._id
+  );
+
+  sendServiceResult(res, result, 202);
+});
+
+// @desc    Get dispenser status
+// @route   GET /api/dispensers/:id/status
+// @access  Owner/Linked users
+const getDispenserStatus = expressAsyncHandler(async (req, res) => {
+  const dispenser = await findDispenserOr404(req, res, PATIENT_ACCESS.VIEW);
+  const result = await dispenserService.getStatus(dispenser.deviceId);
+
+  sendServiceResult(res, result);
+});
+
+// @desc    Calibrate dispenser mechanism
+// @route   POST /api/dispensers/:id/calibrate
+// @access  Owner/Linked users
+const calibrateDispenser = expressAsyncHandler(async (req, res) => {
+  const dispenser = await findDispenserOr404(req, res, PATIENT_ACCESS.EDIT);
+  const result = await dispenserService.calibrate(dispenser.deviceId);
+
+  sendServiceResult(res, result, 202);
+});
+
+// @desc    Assign a patient medication to a compartment
+// @route   PUT /api/dispensers/:id/compartments/:compartmentId
+// @access  Owner/Linked users
+const configureCompartment = expressAsyncHandler(async (req, res) => {
+  const { medicationId, pillCount = 0 } = req.body;
+
+  if (!medicationId) {
+    res.status(400);
+    throw new Error('Medication ID is required');
+  }
+
+  const dispenser = await findDispenserOr404(req, res, PATIENT_ACCESS.EDIT);
+  const result = await dispenserService.configureSlot(
+    dispenser.deviceId,
+    Number(req.params.compartmentId),
+    medicationId,
+    Number(pillCount)
+  );
+
+  sendServiceResult(res, result);
+});
+
+// @desc    Get dispenser inventory
+// @route   GET /api/dispensers/:id/inventory
+// @access  Owner/Linked users
+const getDispenserInventory = expressAsyncHandler(async (req, res) => {
+  const dispenser = await findDispenserOr404(req, res, PATIENT_ACCESS.VIEW);
+  const inventory = await inventoryService.getInventory(dispenser.deviceId);
+
+  res.json(inventory);
+});
+
+// @desc    Get low stock compartments
+// @route   GET /api/dispensers/:id/inventory/low
+// @access  Owner/Linked users
+const getLowStockCompartments = expressAsyncHandler(async (req, res) => {
+  const dispenser = await findDispenserOr404(req, res, PATIENT_ACCESS.VIEW);
+  const lowStock = await inventoryService.checkLowStock(dispenser.deviceId);
+
+  res.json(lowStock);
+});
+
+// @desc    Set the pill count of a compartment
+// @route   PUT /api/dispensers/:id/compartments/:compartmentId/count
+// @access  Owner/Linked users
+const updateCompartmentPillCount = expressAsyncHandler(async (req, res) => {
+  const { pillCount } = req.body;
+
+  if (pillCount === undefined) {
+    res.status(400);
+    throw new Error('Pill count is required');
+  }
+
+  const dispenser = await findDispenserOr404(req, res, PATIENT_ACCESS.EDIT);
+  const result = await inventoryService.updatePillCount(
+    dispenser.deviceId,
+    Number(req.params.compartmentId),
+    Number(pillCount)
+  );
+
+  sendServiceResult(res, result);
+});
+
+// @desc    Get device shadow (desired, reported and delta)
+// @route   GET /api/dispensers/:id/shadow
+// @access  Owner/Linked users
+const getDeviceShadow = expressAsyncHandler(async (req, res) => {
+  const dispenser = await findDispenserOr404(req, res, PATIENT_ACCESS.VIEW);
+
+  res.json(getShadow(dispenser));
+});
+
+// @desc    Update the desired device state
+// @route   PUT /api/dispensers/:id/shadow/desired
+// @access  Owner/Linked users
+const updateDesiredDeviceState = expressAsyncHandler(async (req, res) => {
+  const { dispensingMode, compartments, volume, clock, version } = req.body;
+
+  const dispenser = await findDispenserOr404(req, res, PATIENT_ACCESS.EDIT);
+
+  if (compartments !== undefined) {
+    if (!Array.isArray(compartments)) {
+      res.status(400);
+      throw new Error('Compartments must be an array');
+    }
+
+    const unknown = compartments.find(c =>
+      !dispenser.compartments.some(existing => existing.compartmentId === Number(c.compartmentId))
+    );
+    if (unknown) {
+      res.status(400);
+      throw new Error(`Compartment ${unknown.compartmentId} not found`);
+    }
+
+    for (const compartment of compartments.filter(c => c.medicationId)) {
+      const found = await dispenserService.findCompartmentMedication(dispenser, compartment.medicationId);
+      if (!found.success) {
+        res.status(found.statusCode);
+        throw new Error(`Compartment ${compartment.compartmentId}: ${found.message}`);
+      }
+    }
+  }
+
+  const updatedDispenser = await updateDesiredState(dispenser, {
+    dispensingMode,
+    compartments: compartments?.map(c => ({
+      compartmentId: Number(c.compartmentId),
+      medicationId: c.medicationId || null
+    })),
+    volume,
+    clock
+  }, version !== undefined ? Number(version) : undefined);
+
+  if (!updatedDispenser) {
+    res.status(409);
+    throw new Error('Desired state was changed by another request, reload and try again');
+  }
+
+  // Online devices get the change right away, others on reconnect
+  const deltaSent = updatedDispenser.status.isOnline ? pushDelta(updatedDispenser) : false;
+
+  res.json({ ...getShadow(updatedDispenser), deltaSent });
+});
+
 export {
   registerDispenserDevice,
+  pairDispenser,
+  rotateDeviceCredentials,
+  unpairDispenser,
+  mqttAuthHook,
+  mqttAclHook,
+  receiveDeviceWebhook,
   getDispenserDeviceById,
   createDispensingLog,
   updateDispensingLogStatus,
-  getUpcomingDispenses
+  getUpcomingDispenses,
+  dispenseMedication,
+  getDispenserStatus,
+  calibrateDispenser,
+  configureCompartment,
+  getDispenserInventory,
+  getLowStockCompartments,
+  updateCompartmentPillCount,
+  getDeviceShadow,
+  updateDesiredDeviceState
 };
\ No newline at end of file
@@ -0,0 +1,42 @@
+import expressAsyncHandler from 'express-async-handler';
+import DrugInteraction from '../models/drugInteractionModel.js';
+import { checkInteractions } from '../services/interaction/interactionService.js';
+import { importInteractionDataset, getBaseIngredient } from '../services/interaction/interactionDataset.js';
+import { sendServiceResult } from '../middleware/serviceResultMiddleware.js';
+
+// @desc    Check a medication against a patient's active medications without saving anything
+// @route   POST /api/interactions/check
+// @access  Patient/Caregiver/Healthcare Provider/Admin
+const checkPatientInteractions = expressAsyncHandler(async (req, res) => {
+  const { patientId, medicationId } = req.body;
+
+  const result = await checkInteractions(patientId, medicationId, { sameMedication: true });
+  sendServiceResult(res, result);
+});
+
+// @desc    Get the known interactions of an ingredient
+// @route   GET /api/interactions/ingredient/:ingredient
+// @access  Private
+const getIngredientInteractions = expressAsyncHandler(async (req, res) => {
+  const ingredient = getBaseIngredient(req.params.ingredient);
+
+  const interactions = await DrugInteraction.find({
+    $or: [{ ingredientA: ingredient }, { ingredientB: ingredient }]
+  }).sort({ ingredientA: 1, ingredientB: 1 });
+
+  res.json(interactions);
+});
+
+// @desc    Import an interaction dataset
+// @route   POST /api/interactions/import
+// @access  Admin
+const importInteractions = expressAsyncHandler(async (req, res) => {
+  const result = await importInteractionDataset(req.body);
+  sendServiceResult(res, result);
+});
+
+export {
+  checkPatientInteractions,
+  getIngredientInteractions,
+  importInteractions
+};
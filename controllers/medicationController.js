@@ -1,5 +1,33 @@
 import expressAsyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
 import Medication from '../models/medicationModel.js';
+import PatientMedication from '../models/patientModel.js';
+import Schedule from '../models/scheduleModel.js';
+import { forecastSupply } from '../services/schedule/supplyForecast.js';
+import { loadPatientClock } from '../services/schedule/timeZone.js';
+import { assertPatientAccess } from '../middleware/accessPolicyMiddleware.js';
+import { PATIENT_ACCESS } from '../services/auth/accessPolicy.js';
+import {
+  getPrnMedication,
+  getPrnUsage,
+  requestPrnDose,
+  updatePrnLimits
+} from '../services/prn/prnService.js';
+import { importCatalogFiles, resolveImportPath, CATALOG_FORMATS } from '../services/medication/catalogImport.js';
+import { lookupBarcode, refillFromScan } from '../services/medication/barcodeService.js';
+
+// Load the as-needed medication from the :id route param and check access to its patient
+const findPrnMedicationOr404 = async (req, res, access) => {
+  const result = await getPrnMedication(req.params.id);
+
+  if (!result.success) {
+    res.status(result.statusCode || 400);
+    throw new Error(result.message);
+  }
+
+  await assertPatientAccess(req, res, result.patientMedication.patient, access);
+  return result.patientMedication;
+};
 
 // @desc    Get all medications
 // @route   GET /api/medications
@@ -40,7 +68,10 @@ const createMedication = expressAsyncHandler(async (req, res) => {
     strength,
     strengthUnit,
     shape,
-    color
+    color,
+    ndc,
+    ingredients,
+    therapeuticClass
   } = req.body;
 
   const medication = await Medication.create({
@@ -49,6 +80,9 @@ const createMedication = expressAsyncHandler(async (req, res) => {
     strengthUnit,
     shape,
     color,
+    ndc,
+    ingredients,
+    therapeuticClass,
     dosageForm: 'tablet'
   });
 
@@ -72,6 +106,9 @@ const updateMedication = expressAsyncHandler(async (req, res) => {
    medication.strengthUnit = req.body.strengthUnit || medication.strengthUnit;
    medication.shape = req.body.shape || medication.shape;
    medication.color = req.body.color || medication.color;
+   medication.ndc = req.body.ndc || medication.ndc;
+   medication.ingredients = req.body.ingredients || medication.ingredients;
+   medication.therapeuticClass = req.body.therapeuticClass || medication.therapeuticClass;
    
    const updatedMedication = await medication.save();
    res.json(updatedMedication);
@@ -157,6 +194,7 @@ const getActiveMedications = expressAsyncHandler(async (req, res) => {
       scheduleId: schedule._id,
       times: schedule.scheduleTimes,
       daysOfWeek: schedule.daysOfWeek,
+      recurrence: schedule.recurrence,
       dosage: schedule.dosage
     });
   });
@@ -174,16 +212,15 @@ const getUpcomingRefills = expressAsyncHandler(async (req, res) => {
   const patientId = req.params.patientId;
   const daysThreshold = parseInt(req.query.days) || 7; // Default to 7 days
   
-  // Get patient medications with low inventory
+  // Get the patient's active medications, the forecast below decides which are running out
   const medications = await PatientMedication.find({
     patient: patientId,
-    'inventory.currentQuantity': { $lte: 'inventory.alertThreshold' }
+    isActive: true
   }).populate('medication', 'name strength strengthUnit');
   
-  // Filter to those that will run out within threshold
+  // Filter to those that will run out within threshold, counting days in the patient's timezone
   const today = new Date();
-  const thresholdDate = new Date();
-  thresholdDate.setDate(today.getDate() + daysThreshold);
+  const clock = await loadPatientClock(patientId);
   
   // Calculate estimated days remaining based on dosing schedule
   const upcomingRefills = [];
@@ -196,24 +233,13 @@ const getUpcomingRefills = expressAsyncHandler(async (req, res) => {
       active: true
     });
     
-    // Calculate daily usage
-    let dailyUsage = 0;
-    schedules.forEach(schedule => {
-      const daysPerWeek = schedule.daysOfWeek.length;
-      const dosesPerDay = schedule.scheduleTimes.length;
-      const tabletPerDose = schedule.dosage.tablets || 1;
-      
-      dailyUsage += (daysPerWeek / 7) * dosesPerDay * tabletPerDose;
-    });
-    
-    // Skip if no usage
-    if (dailyUsage === 0) continue;
-    
-    // Calculate days until refill needed
-    const currentQuantity = patientMed.inventory.currentQuantity;
-    const daysRemaining = Math.floor(currentQuantity / dailyUsage);
-    const estimatedEmptyDate = new Date();
-    estimatedEmptyDate.setDate(today.getDate() + daysRemaining);
+    // Walk the schedules day by day so phases and recurrence are counted
+    const currentQuantity = patientMed.inventoryTracking.currentQuantity;
+    const { daysRemaining, estimatedEmptyDate, averageDailyUsage: dailyUsage } =
+      forecastSupply(currentQuantity, schedules, today, clock);
+
+    // Skip if the supply outlasts the schedules
+    if (daysRemaining === null) continue;
     
     // Add to list if within threshold
     if (daysRemaining <= daysThreshold) {
@@ -236,6 +262,154 @@ const getUpcomingRefills = expressAsyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get a patient's as-needed medications and whether a dose is allowed now
+// @route   GET /api/medications/prn/patient/:patientId
+// @access  Private/Patient
+const getPrnMedications = expressAsyncHandler(async (req, res) => {
+  const medications = await PatientMedication.find({
+    patient: req.params.patientId,
+    isActive: true,
+    'dosage.frequency': 'as-needed'
+  }).populate('medication', 'name strength strengthUnit');
+
+  const prnMedications = [];
+  for (const patientMed of medications) {
+    prnMedications.push({
+      patientMedicationId: patientMed._id,
+      medicationId: patientMed.medication._id,
+      name: patientMed.medication.name,
+      strength: patientMed.medication.strength,
+      strengthUnit: patientMed.medication.strengthUnit,
+      dosage: patientMed.dosage,
+      ...(await getPrnUsage(patientMed))
+    });
+  }
+
+  res.json({
+    count: prnMedications.length,
+    medications: prnMedications
+  });
+});
+
+// @desc    Get PRN usage and limits for an as-needed medication
+// @route   GET /api/medications/prn/:id
+// @access  Private/Patient
+const getPrnStatus = expressAsyncHandler(async (req, res) => {
+  const patientMedication = await findPrnMedicationOr404(req, res, PATIENT_ACCESS.VIEW);
+  const usage = await getPrnUsage(patientMedication);
+
+  res.json({ patientMedicationId: patientMedication._id, ...usage });
+});
+
+// @desc    Dispense an as-needed dose, within the PRN limits
+// @route   POST /api/medications/prn/:id/dose
+// @access  Patient/Linked users
+const takePrnDose = expressAsyncHandler(async (req, res) => {
+  await findPrnMedicationOr404(req, res, PATIENT_ACCESS.DISPENSE);
+
+  const result = await requestPrnDose(req.params.id, {
+    reason: req.body.reason,
+    requestedBy: req.user._id,
+    source: 'app'
+  });
+
+  // A refused dose still tells the client when the next one is allowed
+  if (!result.success) {
+    return res.status(result.statusCode || 400).json(result);
+  }
+
+  res.status(202).json(result);
+});
+
+// @desc    Set the PRN limits of an as-needed medication
+// @route   PUT /api/medications/prn/:id/limits
+// @access  Healthcare Provider/Admin
+const setPrnLimits = expressAsyncHandler(async (req, res) => {
+  await findPrnMedicationOr404(req, res, PATIENT_ACCESS.EDIT);
+
+  const { minIntervalMinutes, maxDosesPer24Hours } = req.body;
+  const result = await updatePrnLimits(req.params.id, { minIntervalMinutes, maxDosesPer24Hours });
+
+  if (!result.success) {
+    res.status(result.statusCode || 400);
+    throw new Error(result.message);
+  }
+
+  res.json(result);
+});
+
+
+// @desc    Import catalog medications from an FDA NDC product file or RxNorm RRF files
+// @route   POST /api/medications/import
+// @access  Admin
+const importMedicationCatalog = expressAsyncHandler(async (req, res) => {
+  const { format, dryRun } = req.body;
+
+  if (!CATALOG_FORMATS.includes(format)) {
+    res.status(400);
+    throw new Error(`Format must be one of: ${CATALOG_FORMATS.join(', ')}`);
+  }
+
+  // File names are read from the server's import directory
+  const names = format === 'rxnorm' ? ['conso', 'sat'] : ['file'];
+  const files = {};
+  for (const name of names) {
+    const resolved = resolveImportPath(req.body[name]);
+    if (!resolved.success) {
+      res.status(resolved.statusCode || 400);
+      throw new Error(resolved.message);
+    }
+    files[name] = resolved.path;
+  }
+
+  const result = await importCatalogFiles(format, files, { dryRun: Boolean(dryRun) });
+
+  if (!result.success) {
+    res.status(result.statusCode || 400);
+    throw new Error(result.message);
+  }
+
+  res.json(result);
+});
+
+// @desc    Find the catalog medication of a scanned package barcode or NDC
+// @route   POST /api/medications/scan/lookup
+// @access  Private
+const lookupMedicationBarcode = expressAsyncHandler(async (req, res) => {
+  // Sent in the body since raw GS1 data holds control characters
+  const result = await lookupBarcode(req.body.code);
+
+  if (!result.success) {
+    return res.status(result.statusCode || 400).json(result);
+  }
+
+  res.json(result);
+});
+
+// @desc    Refill a patient medication from a scanned package
+// @route   POST /api/medications/scan/refill/:id
+// @access  Patient/Caregiver/Healthcare Provider/Admin
+const refillFromBarcode = expressAsyncHandler(async (req, res) => {
+  const patientMedication = mongoose.isValidObjectId(req.params.id)
+    ? await PatientMedication.findById(req.params.id).select('patient')
+    : null;
+
+  if (!patientMedication) {
+    res.status(404);
+    throw new Error('Patient medication not found');
+  }
+
+  await assertPatientAccess(req, res, patientMedication.patient, PATIENT_ACCESS.EDIT);
+
+  const result = await refillFromScan(req.params.id, req.body.code, req.user, { quantity: req.body.quantity });
+
+  if (!result.success) {
+    res.status(result.statusCode || 400);
+    throw new Error(result.message);
+  }
+
+  res.json(result);
+});
 
 export {
   getMedications,
@@ -246,5 +420,12 @@ export {
   deleteMedication,
   searchMedications,
   getActiveMedications,
-  getUpcomingRefills
+  getUpcomingRefills,
+  getPrnMedications,
+  getPrnStatus,
+  takePrnDose,
+  setPrnLimits,
+  importMedicationCatalog,
+  lookupMedicationBarcode,
+  refillFromBarcode
 };
\ No newline at end of file
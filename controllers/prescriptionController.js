@@ -0,0 +1,166 @@
+import expressAsyncHandler from 'express-async-handler';
+import Prescription from '../models/prescriptionModel.js';
+import User from '../models/userModel.js';
+import { assertPatientAccess } from '../middleware/accessPolicyMiddleware.js';
+import { PATIENT_ACCESS } from '../services/auth/accessPolicy.js';
+import {
+  createPrescription,
+  activatePrescription,
+  refillPrescription,
+  cancelPrescription,
+  getPrescription
+} from '../services/prescription/prescriptionService.js';
+import { parseSig, getCourseEndDate } from '../services/prescription/sigParser.js';
+import { loadPatientClock } from '../services/schedule/timeZone.js';
+import { sendServiceResult } from '../middleware/serviceResultMiddleware.js';
+
+// Load the prescription from the :id route param and check access to its patient
+const findPrescriptionOr404 = async (req, res, access) => {
+  const prescription = await getPrescription(req.params.id);
+
+  if (!prescription) {
+    res.status(404);
+    throw new Error('Prescription not found');
+  }
+
+  await assertPatientAccess(req, res, prescription.patient, access);
+  return prescription;
+};
+
+// @desc    Preview how sig text will be read and scheduled
+// @route   POST /api/prescriptions/sig/preview
+// @access  Private
+const previewSig = expressAsyncHandler(async (req, res) => {
+  const { text, patientId, medication } = req.body;
+
+  // Suggested times follow the patient's preferences
+  let patient = req.user;
+  if (patientId) {
+    await assertPatientAccess(req, res, patientId, PATIENT_ACCESS.VIEW);
+    patient = await User.findById(patientId);
+
+    if (!patient) {
+      res.status(404);
+      throw new Error('Patient not found');
+    }
+  }
+
+  const clock = await loadPatientClock(patient._id);
+  const result = parseSig(text, { preferences: patient?.preferences?.medicationTimePreference, clock });
+
+  if (!result.success) {
+    return res.status(result.statusCode || 400).json(result);
+  }
+
+  if (result.schedule) {
+    const startDate = new Date();
+    const endDate = getCourseEndDate(startDate, result.sig.durationDays);
+
+    result.schedule = {
+      patient: patient._id,
+      ...(medication && { medication }),
+      ...result.schedule,
+      startDate,
+      ...(endDate && { endDate }),
+      active: true
+    };
+  }
+
+  res.json(result);
+});
+
+// @desc    Write a new prescription
+// @route   POST /api/prescriptions
+// @access  Healthcare Provider/Admin
+const writePrescription = expressAsyncHandler(async (req, res) => {
+  const { patient, medication, sig, quantity, refills, validUntil, notes } = req.body;
+
+  const result = await createPrescription(req.user, {
+    patient,
+    medication,
+    sig,
+    quantity,
+    refills,
+    validUntil,
+    notes
+  });
+
+  sendServiceResult(res, result, 201);
+});
+
+// @desc    Get prescriptions for a patient
+// @route   GET /api/prescriptions/patient/:patientId
+// @access  Patient/Caregiver/Healthcare Provider/Admin
+const getPatientPrescriptions = expressAsyncHandler(async (req, res) => {
+  const { status } = req.query;
+
+  const prescriptions = await Prescription.find({
+    patient: req.params.patientId,
+    ...(status && { status })
+  })
+    .populate('medication', 'name strength strengthUnit')
+    .populate('prescriber', 'firstName lastName')
+    .sort({ writtenAt: -1 });
+
+  res.json(prescriptions);
+});
+
+// @desc    Get prescription by ID
+// @route   GET /api/prescriptions/:id
+// @access  Patient/Caregiver/Healthcare Provider/Admin
+const getPrescriptionById = expressAsyncHandler(async (req, res) => {
+  const prescription = await findPrescriptionOr404(req, res, PATIENT_ACCESS.VIEW);
+
+  await prescription.populate([
+    { path: 'medication', select: 'name strength strengthUnit' },
+    { path: 'prescriber', select: 'firstName lastName' }
+  ]);
+
+  res.json(prescription);
+});
+
+// @desc    Activate a prescription, creating the patient medication and schedule
+// @route   POST /api/prescriptions/:id/activate
+// @access  Healthcare Provider/Admin
+const startPrescription = expressAsyncHandler(async (req, res) => {
+  await findPrescriptionOr404(req, res, PATIENT_ACCESS.EDIT);
+
+  const result = await activatePrescription(req.params.id, req.user, { override: req.body.override });
+
+  // A contraindication still lists the conflicts so the provider can decide on an override
+  if (result.code === 'contraindicated') {
+    return res.status(result.statusCode).json(result);
+  }
+
+  sendServiceResult(res, result);
+});
+
+// @desc    Record a refill of a prescription
+// @route   POST /api/prescriptions/:id/refill
+// @access  Patient/Caregiver/Healthcare Provider/Admin
+const recordPrescriptionRefill = expressAsyncHandler(async (req, res) => {
+  await findPrescriptionOr404(req, res, PATIENT_ACCESS.EDIT);
+
+  const result = await refillPrescription(req.params.id, req.user);
+  sendServiceResult(res, result);
+});
+
+// @desc    Cancel a prescription
+// @route   POST /api/prescriptions/:id/cancel
+// @access  Healthcare Provider/Admin
+const discontinuePrescription = expressAsyncHandler(async (req, res) => {
+  await findPrescriptionOr404(req, res, PATIENT_ACCESS.EDIT);
+
+  const result = await cancelPrescription(req.params.id, req.body.reason);
+  sendServiceResult(res, result);
+});
+
+export {
+  previewSig,
+  writePrescription,
+  getPatientPrescriptions,
+  getPrescriptionById,
+  startPrescription,
+  recordPrescriptionRefill,
+  discontinuePrescription
+};
@@ -0,0 +1,72 @@
+import expressAsyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import { assignProvider, unassignProvider, buildProviderPanel } from '../services/provider/panelService.js';
+import { sendServiceResult } from '../middleware/serviceResultMiddleware.js';
+
+// Providers work on their own panel, admins may look at any provider's
+const resolveProviderId = (req, res) => {
+  const providerId = req.params.providerId || req.user._id.toString();
+
+  if (req.user.role !== 'admin' && providerId !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Not authorised to access this provider panel');
+  }
+
+  if (!mongoose.isValidObjectId(providerId)) {
+    res.status(400);
+    throw new Error('Invalid provider ID');
+  }
+
+  return providerId;
+};
+
+// @desc    Get my patient panel sorted by risk, adherence or name
+// @route   GET /api/providers/panel
+// @route   GET /api/providers/:providerId/panel
+// @access  Healthcare Provider/Admin
+const getProviderPanel = expressAsyncHandler(async (req, res) => {
+  const providerId = resolveProviderId(req, res);
+  const panel = await buildProviderPanel(providerId, {
+    days: req.query.days,
+    sort: req.query.sort
+  });
+
+  res.json(panel);
+});
+
+// @desc    Assign a patient to a provider
+// @route   POST /api/providers/:providerId/patients
+// @access  Admin/Patient (self)
+const assignPatient = expressAsyncHandler(async (req, res) => {
+  const patientId = req.user.role === 'admin' ? req.body.patientId : req.user._id.toString();
+
+  if (!patientId) {
+    res.status(400);
+    throw new Error('Patient ID is required');
+  }
+
+  const result = await assignProvider(req.params.providerId, patientId);
+  sendServiceResult(res, result, 201);
+});
+
+// @desc    Remove a patient from a provider's panel
+// @route   DELETE /api/providers/:providerId/patients/:patientId
+// @access  Admin/Provider/Patient (self)
+const unassignPatient = expressAsyncHandler(async (req, res) => {
+  const { providerId, patientId } = req.params;
+  const userId = req.user._id.toString();
+
+  if (req.user.role !== 'admin' && userId !== providerId && userId !== patientId) {
+    res.status(403);
+    throw new Error('Not authorised to change this assignment');
+  }
+
+  const result = await unassignProvider(providerId, patientId);
+  sendServiceResult(res, result);
+});
+
+export {
+  getProviderPanel,
+  assignPatient,
+  unassignPatient
+};
@@ -2,12 +2,15 @@ import expressAsyncHandler from 'express-async-handler';
 import Reminder from '../models/reminderModel.js';
 import User from '../models/userModel.js';
 import PatientMedication from '../models/patientModel.js';
+import { assertPatientAccess } from '../middleware/accessPolicyMiddleware.js';
+import { PATIENT_ACCESS } from '../services/auth/accessPolicy.js';
 
 // @desc    Get all important reminders for a patient
 // @route   GET /api/reminders/:patientId
 // @access  Private/Patient
 const getImportantReminders = expressAsyncHandler(async (req, res) => {
   const patientId = req.params.patientId;
+  await assertPatientAccess(req, res, patientId, PATIENT_ACCESS.VIEW);
   
   // Get explicit reminders (appointments, etc.)
   const reminders = await Reminder.find({
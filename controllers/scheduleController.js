@@ -1,11 +1,78 @@
 import expressAsyncHandler from 'express-async-handler';
 import Schedule from '../models/scheduleModel.js';
+import DispensingLog from '../models/dispenserLogModel.js';
+import { regenerateSchedule, clearFutureDoses } from '../services/schedule/doseMaterializer.js';
+import { assertPatientAccess } from '../middleware/accessPolicyMiddleware.js';
+import { getAccessiblePatientIds, PATIENT_ACCESS } from '../services/auth/accessPolicy.js';
+import { validatePhases, getPhaseRange } from '../services/schedule/schedulePhases.js';
+import { validateRecurrence, getDosesForCivilDay } from '../services/schedule/recurrence.js';
+import { reviewInteractions, reportInteractionConflicts } from '../services/interaction/interactionService.js';
+import {
+  loadPatientClock,
+  getDisplayTimeZone,
+  getCivilDay,
+  civilTimeToUtc
+} from '../services/schedule/timeZone.js';
 
-// @desc    Get all schedules
+// Validate requested taper or titration phases, responding 400 when they are invalid.
+// Phase dates are calendar days in the patient's timezone
+const readPhases = async (res, patientId, phases, recurrence) => {
+  const clock = await loadPatientClock(patientId);
+  const result = validatePhases(phases, {
+    requireTimes: recurrence?.type !== 'interval_hours',
+    timeZone: clock.timeZone
+  });
+
+  if (!result.success) {
+    res.status(result.statusCode || 400);
+    throw new Error(result.message);
+  }
+
+  return result.phases;
+};
+
+// Validate a requested recurrence, responding 400 when it is invalid
+const readRecurrence = (res, recurrence) => {
+  const result = validateRecurrence(recurrence);
+
+  if (!result.success) {
+    res.status(result.statusCode || 400);
+    throw new Error(result.message);
+  }
+
+  return result.recurrence;
+};
+
+// Check the schedule's medication against the patient's others. Contraindications are
+// refused with the conflicts listed unless a provider overrides them
+const readInteractions = async (req, res, patientId, medicationId, excludeSchedule) => {
+  const review = await reviewInteractions(patientId, medicationId, {
+    user: req.user,
+    override: req.body.override,
+    excludeSchedule
+  });
+
+  if (review.code === 'contraindicated') {
+    res.status(review.statusCode).json(review);
+    return null;
+  }
+
+  if (!review.success) {
+    res.status(review.statusCode || 400);
+    throw new Error(review.message);
+  }
+
+  return review;
+};
+
+// @desc    Get all schedules the user may see
 // @route   GET /api/schedules
-// @access  Admin/Healthcare Provider
+// @access  Private
 const getAllSchedules = expressAsyncHandler(async (req, res) => {
-  const schedules = await Schedule.find({})
+  const patientIds = await getAccessiblePatientIds(req.user, PATIENT_ACCESS.VIEW);
+  const filter = patientIds ? { patient: { $in: patientIds } } : {};
+
+  const schedules = await Schedule.find(filter)
     .populate('patient', 'firstName lastName')
     .populate('medication', 'name');
     
@@ -21,6 +88,7 @@ const getScheduleById = expressAsyncHandler(async (req, res) => {
     .populate('medication', 'name');
     
   if (schedule) {
+    await assertPatientAccess(req, res, schedule.patient, PATIENT_ACCESS.VIEW);
     res.json(schedule);
   } else {
     res.status(404);
@@ -39,22 +107,40 @@ const createSchedule = expressAsyncHandler(async (req, res) => {
     daysOfWeek,
     startDate,
     endDate,
-    dosage
+    dosage,
+    phases,
+    recurrence
   } = req.body;
 
+  const validRecurrence = readRecurrence(res, recurrence);
+
+  const review = await readInteractions(req, res, patient, medication);
+  if (!review) return;
+
+  // Phased schedules take their date range from the phases
+  const validPhases = phases?.length ? await readPhases(res, patient, phases, validRecurrence) : [];
+  const range = validPhases.length ? getPhaseRange(validPhases) : { startDate, endDate };
+
   // Create schedule
   const schedule = await Schedule.create({
     patient,
     medication,
-    scheduleTimes,
+    scheduleTimes: validPhases.length ? [] : scheduleTimes,
     daysOfWeek: daysOfWeek || [0, 1, 2, 3, 4, 5, 6], // Default to all days
-    startDate: startDate || new Date(),
-    endDate,
-    dosage: dosage || { tablets: 1 },
+    startDate: range.startDate || new Date(),
+    endDate: range.endDate,
+    dosage: validPhases.length ? validPhases[0].dosage : dosage || { tablets: 1 },
+    phases: validPhases,
+    recurrence: validRecurrence,
+    interactionOverrides: review.overrides,
     active: true
   });
 
-  res.status(201).json(schedule);
+  // Generate the upcoming doses for the new schedule
+  await regenerateSchedule(schedule);
+  await reportInteractionConflicts(patient, review);
+
+  res.status(201).json({ ...schedule.toObject(), interactions: review.warnings });
 });
 
 // @desc    Update medication schedule
@@ -68,6 +154,17 @@ const updateSchedule = expressAsyncHandler(async (req, res) => {
     throw new Error('Schedule not found');
   }
   
+  await assertPatientAccess(req, res, schedule.patient, PATIENT_ACCESS.EDIT);
+
+  // Turning a schedule back on checks it against what the patient takes now
+  let review = null;
+  if (req.body.active === true && !schedule.active) {
+    review = await readInteractions(req, res, schedule.patient, schedule.medication, schedule._id);
+    if (!review) return;
+
+    schedule.interactionOverrides.push(...review.overrides);
+  }
+  
   // Update schedule fields
   schedule.scheduleTimes = req.body.scheduleTimes || schedule.scheduleTimes;
   schedule.daysOfWeek = req.body.daysOfWeek || schedule.daysOfWeek;
@@ -75,9 +172,32 @@ const updateSchedule = expressAsyncHandler(async (req, res) => {
   schedule.endDate = req.body.endDate || schedule.endDate;
   schedule.dosage = req.body.dosage || schedule.dosage;
   schedule.active = req.body.active !== undefined ? req.body.active : schedule.active;
+
+  if (req.body.recurrence !== undefined) {
+    schedule.recurrence = readRecurrence(res, req.body.recurrence);
+  }
+
+  // An empty list turns a phased schedule back into a plain one
+  if (req.body.phases !== undefined) {
+    schedule.phases = req.body.phases?.length
+      ? await readPhases(res, schedule.patient, req.body.phases, schedule.recurrence)
+      : [];
+  }
+  if (schedule.phases.length > 0) {
+    Object.assign(schedule, getPhaseRange(schedule.phases));
+    schedule.dosage = schedule.phases[0].dosage;
+  }
   
   const updatedSchedule = await schedule.save();
   
+  // Replace future doses so they reflect the new times
+  await regenerateSchedule(updatedSchedule);
+
+  if (review) {
+    await reportInteractionConflicts(updatedSchedule.patient, review);
+    return res.json({ ...updatedSchedule.toObject(), interactions: review.warnings });
+  }
+  
   res.json(updatedSchedule);
 });
 
@@ -92,8 +212,11 @@ const deleteSchedule = expressAsyncHandler(async (req, res) => {
     throw new Error('Schedule not found');
   }
   
-  // Delete schedule
-  await schedule.remove();
+  await assertPatientAccess(req, res, schedule.patient, PATIENT_ACCESS.EDIT);
+  
+  // Remove doses that have not been dispensed yet, then the schedule
+  await clearFutureDoses(schedule._id);
+  await schedule.deleteOne();
   
   res.json({ message: 'Schedule removed' });
 });
@@ -104,17 +227,21 @@ const deleteSchedule = expressAsyncHandler(async (req, res) => {
 // @access  Private/Patient
 const getTodaysMedicationSchedule = expressAsyncHandler(async (req, res) => {
   const patientId = req.params.patientId;
-  const today = new Date();
-  const dayOfWeek = today.getDay(); // 0-6 (Sunday-Saturday)
+
+  // "Today" is the patient's calendar day where they are now
+  const clock = await loadPatientClock(patientId);
+  const timeZone = getDisplayTimeZone(clock);
+  const today = getCivilDay(new Date(), timeZone);
+  const dayStart = civilTimeToUtc(today, '00:00', timeZone);
+  const dayEnd = civilTimeToUtc(today + 1, '00:00', timeZone);
   
   // Get all active schedules for this patient
   const schedules = await Schedule.find({
     patient: patientId,
     active: true,
-    daysOfWeek: dayOfWeek,
-    startDate: { $lte: today },
+    startDate: { $lt: dayEnd },
     $or: [
-      { endDate: { $gte: today } },
+      { endDate: { $gte: dayStart } },
       { endDate: null }
     ]
   }).populate('medication', 'name strength strengthUnit shape color');
@@ -127,37 +254,39 @@ const getTodaysMedicationSchedule = expressAsyncHandler(async (req, res) => {
   };
   
   schedules.forEach(schedule => {
-    schedule.scheduleTimes.forEach(time => {
-      const [hours, minutes] = time.split(':').map(Number);
+    // Doses due today, following the schedule's phases and recurrence.
+    // Neighbouring days are included since a travel shift can move doses across midnight
+    const doses = [today - 1, today, today + 1]
+      .flatMap(day => getDosesForCivilDay(schedule, day, clock))
+      .filter(dose => dose.scheduledTime >= dayStart && dose.scheduledTime < dayEnd);
+
+    doses.forEach(dose => {
+      const hours = Number(dose.time.slice(0, 2));
+      const entry = {
+        scheduleId: schedule._id,
+        medication: schedule.medication,
+        time: dose.time,
+        scheduledTime: dose.scheduledTime,
+        dosage: { tablets: dose.quantity, unit: dose.unit },
+        ...(dose.phase && { phase: dose.phase })
+      };
       
       // Simple logic to categorize times into periods
       if (hours < 12) {
-        timeGroups.morning.push({
-          scheduleId: schedule._id,
-          medication: schedule.medication,
-          time,
-          dosage: schedule.dosage
-        });
+        timeGroups.morning.push(entry);
       } else if (hours < 17) {
-        timeGroups.afternoon.push({
-          scheduleId: schedule._id,
-          medication: schedule.medication,
-          time,
-          dosage: schedule.dosage
-        });
+        timeGroups.afternoon.push(entry);
       } else {
-        timeGroups.evening.push({
-          scheduleId: schedule._id,
-          medication: schedule.medication,
-          time,
-          dosage: schedule.dosage
-        });
+        timeGroups.evening.push(entry);
       }
     });
   });
   
+  Object.values(timeGroups).forEach(group => group.sort((a, b) => a.scheduledTime - b.scheduledTime));
+
   // Calculate total counts
   const response = {
+    timeZone,
     morning: {
       count: timeGroups.morning.length,
       medications: timeGroups.morning
@@ -186,10 +315,11 @@ const getAdherenceRate = expressAsyncHandler(async (req, res) => {
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - days);
   
-  // Get dispensing logs for this period
+  // Get scheduled dispensing logs for this period, as-needed doses have no schedule to adhere to
   const dispensingLogs = await DispensingLog.find({
     patient: patientId,
-    scheduledTime: { $gte: startDate, $lte: endDate }
+    scheduledTime: { $gte: startDate, $lte: endDate },
+    asNeeded: { $ne: true }
   });
   
   // Count total scheduled and taken
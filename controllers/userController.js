@@ -1,5 +1,59 @@
 import expressAsyncHandler from 'express-async-handler';
 import User from '../models/userModel.js';
+import { upsertUserFromClerk, deactivateClerkUser } from '../services/user/userSyncService.js';
+import {
+  setPatientTimeZone,
+  startTravel,
+  endTravel,
+  getTravelStatus
+} from '../services/user/timeZoneService.js';
+import {
+  getHealthProfile,
+  addAllergy,
+  updateAllergy,
+  removeAllergy,
+  addCondition,
+  updateCondition,
+  removeCondition
+} from '../services/user/healthProfileService.js';
+import { sendServiceResult } from '../middleware/serviceResultMiddleware.js';
+
+// @desc    Sync users from Clerk webhooks
+// @route   POST /api/users/webhook
+// @access  Clerk (signed)
+const handleClerkWebhook = expressAsyncHandler(async (req, res) => {
+  const { type, data } = req.body || {};
+
+  if (!type || !data) {
+    res.status(400);
+    throw new Error('Webhook event type and data are required');
+  }
+
+  let result;
+  switch (type) {
+    case 'user.created':
+      result = await upsertUserFromClerk(data, { activate: true });
+      break;
+    case 'user.updated':
+      result = await upsertUserFromClerk(data);
+      break;
+    case 'user.deleted':
+      result = await deactivateClerkUser(data.id);
+      // Nothing to deactivate when the user never reached our database
+      if (result.statusCode === 404) result = { success: true, message: result.message };
+      break;
+    default:
+      // Acknowledge events we do not handle so Clerk does not retry them
+      return res.status(200).json({ received: true, handled: false });
+  }
+
+  if (!result.success) {
+    res.status(result.statusCode || 400);
+    throw new Error(result.message);
+  }
+
+  res.status(200).json({ received: true, handled: true, type });
+});
 
 // @desc    Get all users
 // @route   GET /api/users
@@ -73,7 +127,11 @@ const updateUserProfile = expressAsyncHandler(async (req, res) => {
   
   if (user) {
     // Only update fields that were actually passed
-    if (req.body.phoneNumber) user.phoneNumber = req.body.phoneNumber;
+    // A number typed in here has not been verified by Clerk
+    if (req.body.phoneNumber && req.body.phoneNumber !== user.phoneNumber) {
+      user.phoneNumber = req.body.phoneNumber;
+      user.phoneVerified = false;
+    }
     if (req.body.dateOfBirth) user.dateOfBirth = req.body.dateOfBirth;
     if (req.body.address) user.address = req.body.address;
     if (req.body.emergencyContacts) user.emergencyContacts = req.body.emergencyContacts;
@@ -90,11 +148,114 @@ const updateUserProfile = expressAsyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Set the timezone dose times follow
+// @route   PUT /api/users/profile/timezone
+// @access  Private
+const updateUserTimeZone = expressAsyncHandler(async (req, res) => {
+  const result = await setPatientTimeZone(req.user, req.body.timeZone);
+  sendServiceResult(res, result);
+});
+
+// @desc    Get travel mode progress
+// @route   GET /api/users/profile/travel
+// @access  Private
+const getTravel = expressAsyncHandler(async (req, res) => {
+  res.json(getTravelStatus(req.user));
+});
+
+// @desc    Start travel mode, moving dose times to a new timezone
+// @route   POST /api/users/profile/travel
+// @access  Private
+const beginTravel = expressAsyncHandler(async (req, res) => {
+  const { toTimeZone, startDate, shiftMinutesPerDay, mode } = req.body;
+
+  const result = await startTravel(req.user, { toTimeZone, startDate, shiftMinutesPerDay, mode });
+  sendServiceResult(res, result, 201);
+});
+
+// @desc    End travel mode, keeping the destination timezone unless returning home
+// @route   DELETE /api/users/profile/travel
+// @access  Private
+const finishTravel = expressAsyncHandler(async (req, res) => {
+  const returnHome = req.query.returnHome === 'true';
+
+  const result = await endTravel(req.user, !returnHome);
+  sendServiceResult(res, result);
+});
+
+// @desc    Get a patient's allergies and conditions
+// @route   GET /api/users/:patientId/health
+// @access  Patient/Caregiver/Healthcare Provider/Admin
+const getPatientHealthProfile = expressAsyncHandler(async (req, res) => {
+  const result = await getHealthProfile(req.params.patientId);
+  sendServiceResult(res, result);
+});
+
+// @desc    Record an allergy
+// @route   POST /api/users/:patientId/allergies
+// @access  Patient/Caregiver/Healthcare Provider/Admin
+const createAllergy = expressAsyncHandler(async (req, res) => {
+  const result = await addAllergy(req.params.patientId, req.body, req.user);
+  sendServiceResult(res, result, 201);
+});
+
+// @desc    Change a recorded allergy
+// @route   PUT /api/users/:patientId/allergies/:allergyId
+// @access  Patient/Caregiver/Healthcare Provider/Admin
+const editAllergy = expressAsyncHandler(async (req, res) => {
+  const result = await updateAllergy(req.params.patientId, req.params.allergyId, req.body);
+  sendServiceResult(res, result);
+});
+
+// @desc    Remove a recorded allergy
+// @route   DELETE /api/users/:patientId/allergies/:allergyId
+// @access  Patient/Caregiver/Healthcare Provider/Admin
+const deleteAllergy = expressAsyncHandler(async (req, res) => {
+  const result = await removeAllergy(req.params.patientId, req.params.allergyId);
+  sendServiceResult(res, result);
+});
+
+// @desc    Record a condition
+// @route   POST /api/users/:patientId/conditions
+// @access  Patient/Caregiver/Healthcare Provider/Admin
+const createCondition = expressAsyncHandler(async (req, res) => {
+  const result = await addCondition(req.params.patientId, req.body, req.user);
+  sendServiceResult(res, result, 201);
+});
+
+// @desc    Change a recorded condition
+// @route   PUT /api/users/:patientId/conditions/:conditionId
+// @access  Patient/Caregiver/Healthcare Provider/Admin
+const editCondition = expressAsyncHandler(async (req, res) => {
+  const result = await updateCondition(req.params.patientId, req.params.conditionId, req.body);
+  sendServiceResult(res, result);
+});
+
+// @desc    Remove a recorded condition
+// @route   DELETE /api/users/:patientId/conditions/:conditionId
+// @access  Patient/Caregiver/Healthcare Provider/Admin
+const deleteCondition = expressAsyncHandler(async (req, res) => {
+  const result = await removeCondition(req.params.patientId, req.params.conditionId);
+  sendServiceResult(res, result);
+});
+
 export {
+  handleClerkWebhook,
   getUsers,
   getUserById,
   updateUser,
   deleteUser,
   getUserProfile,
-  updateUserProfile
+  updateUserProfile,
+  updateUserTimeZone,
+  getTravel,
+  beginTravel,
+  finishTravel,
+  getPatientHealthProfile,
+  createAllergy,
+  editAllergy,
+  deleteAllergy,
+  createCondition,
+  editCondition,
+  deleteCondition
 };
\ No newline at end of file
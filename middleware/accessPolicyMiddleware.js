@@ -0,0 +1,27 @@
+import expressAsyncHandler from 'express-async-handler';
+import { canAccessPatient, PATIENT_ACCESS } from '../services/auth/accessPolicy.js';
+
+//throw a 403 unless the signed in user may access the patient
+export const assertPatientAccess = async(req,res,patientId,access = PATIENT_ACCESS.VIEW)=>{
+    if(!(await canAccessPatient(req.user, patientId, access)))
+    {
+        res.status(403);
+        throw new Error('Not authorised to access this patient');
+    }
+}
+
+//middleware to check access to the patient named in the route params or request body
+export const requirePatientAccess = (access = PATIENT_ACCESS.VIEW, field = 'patientId')=>{
+    return expressAsyncHandler(async(req,res,next)=>{
+        const patientId = req.params[field] ?? req.body?.[field];
+
+        if(!patientId)
+        {
+            res.status(400);
+            throw new Error(`${field} is required`);
+        }
+
+        await assertPatientAccess(req, res, patientId, access);
+        next();
+    })
+}
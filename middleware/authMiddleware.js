@@ -1,6 +1,7 @@
-import { ClerkExpressRequireAuth } from '@clerk/clerk-sdk-node';
+import { ClerkExpressRequireAuth, clerkClient } from '@clerk/clerk-sdk-node';
 import User from '../models/userModel.js';
 import expressAsyncHandler from 'express-async-handler';
+import { upsertUserFromClerk } from '../services/user/userSyncService.js';
 
 
 //middleware to verify that user is authenticated with clerk
@@ -19,7 +20,7 @@ export const authorize = (...roles)=>{
         if(!user)
         {
             res.status(400);
-            throw new error('User not found in the system!');
+            throw new Error('User not found in the system!');
         }
 
         //check if the user role is authorised
@@ -37,21 +38,29 @@ export const authorize = (...roles)=>{
 
 
 //middleware to sync clerk user with our database
+//users are normally created by the Clerk webhook, this only covers a webhook that has not arrived yet
 
 export const syncUser = expressAsyncHandler(async(req,res,next)=>{
     const clerkId = req.auth.userId;
-    const clerkUser = req.auth;
 
     let user = await User.findOne({clerkId});
     if(!user)
     {
-        user = await User.create({
-            clerkId,
-            email: clerkUser.email,
-            firstName: clerkUser.firstName || '',  
-            lastName: clerkUser.lastName || '',
-            role: 'patient' // default role
-        })
+        const clerkUser = await clerkClient.users.getUser(clerkId);
+        const result = await upsertUserFromClerk(clerkUser, { activate: true });
+
+        if(!result.success)
+        {
+            res.status(result.statusCode || 400);
+            throw new Error(result.message);
+        }
+        user = result.user;
+    }
+
+    if(!user.isActive)
+    {
+        res.status(403);
+        throw new Error('User account has been deactivated');
     }
 
     //update last login
@@ -59,4 +68,4 @@ export const syncUser = expressAsyncHandler(async(req,res,next)=>{
     await user.save();
     req.user = user;
     next(); 
-})
\ No newline at end of file
+})
@@ -0,0 +1,62 @@
+import crypto from 'crypto';
+
+// How far a webhook's timestamp may drift from server time
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+// Clerk signing secrets look like whsec_<base64 key>
+const getSigningKey = (secret) =>
+    Buffer.from(secret.startsWith('whsec_') ? secret.slice('whsec_'.length) : secret, 'base64');
+
+// Constant time string comparison
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+//middleware to verify the Svix signature Clerk puts on its webhooks
+//signature = base64(HMAC-SHA256(key, `${svix-id}.${svix-timestamp}.${rawBody}`))
+export const verifyClerkWebhook = (req,res,next)=>{
+    const secret = process.env.CLERK_WEBHOOK_SECRET;
+
+    if(!secret)
+    {
+        console.error('CLERK_WEBHOOK_SECRET is not set, rejecting Clerk webhook');
+        return res.status(500).json({ message: 'Webhook verification is not configured' });
+    }
+
+    const svixId = req.get('svix-id');
+    const svixTimestamp = req.get('svix-timestamp');
+    const svixSignature = req.get('svix-signature');
+
+    if(!svixId || !svixTimestamp || !svixSignature)
+    {
+        return res.status(400).json({ message: 'Missing Svix signature headers' });
+    }
+
+    const timestamp = Number(svixTimestamp);
+    if(!Number.isFinite(timestamp) ||
+        Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS)
+    {
+        return res.status(401).json({ message: 'Webhook timestamp is outside the allowed window' });
+    }
+
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const expected = crypto
+        .createHmac('sha256', getSigningKey(secret))
+        .update(`${svixId}.${svixTimestamp}.${rawBody}`)
+        .digest('base64');
+
+    //the header may carry several space separated signatures while secrets rotate
+    const matches = svixSignature.split(' ').some(entry => {
+        const [version, signature] = entry.split(',');
+        return version === 'v1' && signature && safeEqual(signature, expected);
+    });
+
+    if(!matches)
+    {
+        return res.status(401).json({ message: 'Invalid webhook signature' });
+    }
+
+    next();
+}
@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import expressAsyncHandler from 'express-async-handler';
+import DispenserDevice from '../models/dispenserDeviceModel.js';
+import DeviceNonce from '../models/deviceNonceModel.js';
+
+// How far a signed request's timestamp may drift from server time
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Constant time string comparison
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+const rejectDevice = (res, status, code, message) =>
+    res.status(status).json({ code, message });
+
+//middleware to check the shared secret the MQTT broker sends to the auth hooks
+export const requireBrokerSecret = (req,res,next)=>{
+    const secret = process.env.MQTT_AUTH_HOOK_SECRET;
+
+    if(!secret || !safeEqual(req.get('x-broker-secret') || '', secret))
+    {
+        return res.status(401).json({ result: 'deny' });
+    }
+
+    next();
+}
+
+//middleware to verify requests signed by a dispenser with its device secret
+//signature = hex(HMAC-SHA256(deviceSecret, `${timestamp}.${nonce}.${rawBody}`))
+export const verifyDeviceSignature = expressAsyncHandler(async(req,res,next)=>{
+    const deviceId = req.get('x-device-id');
+    const timestamp = req.get('x-device-timestamp');
+    const nonce = req.get('x-device-nonce');
+    const signature = req.get('x-device-signature');
+
+    if(!deviceId || !timestamp || !nonce || !signature)
+    {
+        return rejectDevice(res, 400, 'missing_signature_headers',
+            'x-device-id, x-device-timestamp, x-device-nonce and x-device-signature are required');
+    }
+
+    const requestTime = Number(timestamp);
+    if(!Number.isFinite(requestTime) ||
+        Math.abs(Date.now() / 1000 - requestTime) > SIGNATURE_TOLERANCE_SECONDS)
+    {
+        return rejectDevice(res, 401, 'stale_timestamp', 'Request timestamp is outside the allowed window');
+    }
+
+    const device = await DispenserDevice.findOne({ deviceId })
+        .select('+provisioning.deviceSecret')
+        .lean();
+
+    if(!device || !device.provisioning?.deviceSecret || device.provisioning.status !== 'paired')
+    {
+        return rejectDevice(res, 401, 'unknown_device', 'Device is not registered or not paired');
+    }
+
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const expected = crypto
+        .createHmac('sha256', device.provisioning.deviceSecret)
+        .update(`${timestamp}.${nonce}.${rawBody}`)
+        .digest('hex');
+
+    if(!safeEqual(signature.toLowerCase(), expected))
+    {
+        return rejectDevice(res, 401, 'invalid_signature', 'Signature does not match request');
+    }
+
+    //each nonce may only be used once while its timestamp is still accepted
+    try
+    {
+        await DeviceNonce.create({
+            device: device._id,
+            nonce,
+            expiresAt: new Date((requestTime + SIGNATURE_TOLERANCE_SECONDS) * 1000)
+        });
+    }
+    catch(error)
+    {
+        if(error.code === 11000)
+        {
+            return rejectDevice(res, 409, 'replayed_nonce', 'Nonce has already been used');
+        }
+        throw error;
+    }
+
+    //handlers get a regular document without the secret loaded
+    req.device = await DispenserDevice.findById(device._id);
+    next();
+})
@@ -0,0 +1,10 @@
+//send a { success, statusCode, message } service result, failed results throw with their status code
+export const sendServiceResult = (res, result, successStatus = 200)=>{
+    if(!result.success)
+    {
+        res.status(result.statusCode || 400);
+        throw new Error(result.message);
+    }
+
+    res.status(successStatus).json(result);
+}
@@ -5,7 +5,7 @@ const alertSchema = new mongoose.Schema(
     alertType: {
       type: String,
       required: true,
-      enum: ['missed_dose', 'medication_error', 'general_alert']
+      enum: ['missed_dose', 'medication_error', 'prn_limit', 'general_alert']
     },
     severity: {
       type: String,
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+export const CARE_PERMISSIONS = ['viewSchedule', 'editMedications', 'receiveAlerts', 'triggerDispense'];
+
+const careRelationshipSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Set once the invitation is accepted
+    caregiver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    invitee: {
+      email: { type: String, lowercase: true, trim: true },
+      phoneNumber: { type: String, trim: true }
+    },
+    relationship: {
+      type: String,
+      trim: true,
+      default: 'caregiver'
+    },
+    permissions: {
+      viewSchedule: { type: Boolean, default: true },
+      editMedications: { type: Boolean, default: false },
+      receiveAlerts: { type: Boolean, default: true },
+      triggerDispense: { type: Boolean, default: false }
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'active', 'declined', 'revoked', 'expired'],
+      default: 'pending'
+    },
+    inviteTokenHash: {
+      type: String,
+      select: false
+    },
+    inviteExpiresAt: Date,
+    respondedAt: Date,
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+careRelationshipSchema.index({ patient: 1, status: 1 });
+careRelationshipSchema.index({ caregiver: 1, status: 1 });
+careRelationshipSchema.index({ 'invitee.email': 1, status: 1 });
+careRelationshipSchema.index({ 'invitee.phoneNumber': 1, status: 1 });
+
+// A caregiver has at most one active link to a patient
+careRelationshipSchema.index(
+  { patient: 1, caregiver: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+const CareRelationship = mongoose.model('CareRelationship', careRelationshipSchema);
+export default CareRelationship;
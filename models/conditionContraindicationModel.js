@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { INTERACTION_SEVERITIES } from './drugInteractionModel.js';
+const { Schema } = mongoose;
+
+// A medication that should not be given, or needs care, with a condition
+const ConditionContraindicationSchema = new Schema(
+  {
+    // Either an active ingredient or a whole drug class, lower case
+    ingredient: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    therapeuticClass: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    condition: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    // ICD-10 code, also matches the more specific codes under it
+    conditionCode: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    severity: {
+      type: String,
+      required: true,
+      enum: INTERACTION_SEVERITIES
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    management: {
+      type: String,
+      trim: true
+    },
+    source: {
+      type: String
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+ConditionContraindicationSchema.index({ ingredient: 1 });
+ConditionContraindicationSchema.index({ therapeuticClass: 1 });
+
+const ConditionContraindication = mongoose.model('ConditionContraindication', ConditionContraindicationSchema);
+
+export default ConditionContraindication;
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const DeviceCommandSchema = new Schema({
+  device: {
+    type: Schema.Types.ObjectId,
+    ref: 'DispenserDevice',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true
+  },
+  commandType: {
+    type: String,
+    required: true,
+    enum: ['dispense', 'calibrate', 'configure', 'update_inventory']
+  },
+  // Sent with every attempt and echoed back by the device in its ack
+  correlationId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  payload: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  dispensingLog: {
+    type: Schema.Types.ObjectId,
+    ref: 'DispensingLog'
+  },
+  requestedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'acked', 'completed', 'failed', 'expired'],
+    default: 'pending'
+  },
+  ackTopic: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  timeoutMs: {
+    type: Number,
+    default: 10000
+  },
+  nextAttemptAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  ackedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+DeviceCommandSchema.index({ status: 1, nextAttemptAt: 1 });
+DeviceCommandSchema.index({ dispensingLog: 1 });
+
+const DeviceCommand = mongoose.model('DeviceCommand', DeviceCommandSchema);
+
+export default DeviceCommand;
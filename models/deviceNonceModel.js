@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Nonces seen on signed device requests, kept just long enough to reject replays
+const DeviceNonceSchema = new Schema({
+  device: {
+    type: Schema.Types.ObjectId,
+    ref: 'DispenserDevice',
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+DeviceNonceSchema.index({ device: 1, nonce: 1 }, { unique: true });
+DeviceNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const DeviceNonce = mongoose.model('DeviceNonce', DeviceNonceSchema);
+
+export default DeviceNonce;
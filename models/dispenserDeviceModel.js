@@ -1,6 +1,47 @@
 import mongoose from "mongoose";
 const { Schema } = mongoose;
 
+// Shadow state shared by the desired and reported blocks
+const ShadowCompartmentSchema = new Schema({
+  compartmentId: {
+    type: Number,
+    required: true
+  },
+  medicationId: {
+    type: Schema.Types.ObjectId,
+    ref: 'PatientMedication',
+    default: null
+  },
+  currentQuantity: {
+    type: Number
+  }
+}, { _id: false });
+
+const shadowStateFields = () => ({
+  dispensingMode: {
+    type: String,
+    enum: ['automatic', 'manual']
+  },
+  compartments: [ShadowCompartmentSchema],
+  volume: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  clock: {
+    timezone: String,
+    use24Hour: Boolean
+  },
+  // Incremented on every write so stale updates can be rejected
+  version: {
+    type: Number,
+    default: 0
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
 const DispenserDeviceSchema = new Schema({
   deviceId: {
     type: String,
@@ -11,10 +52,49 @@ const DispenserDeviceSchema = new Schema({
     type: String,
     required: true
   },
+  // Set when a patient or caregiver pairs the device
   ownedBy: {
     type: Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    default: null
+  },
+  provisioning: {
+    status: {
+      type: String,
+      enum: ['unclaimed', 'paired'],
+      default: 'unclaimed'
+    },
+    // Printed on the device, only its hash is stored
+    claimCodeHash: {
+      type: String,
+      select: false
+    },
+    // Factory secret flashed on the device, used to sign device requests
+    deviceSecret: {
+      type: String,
+      select: false
+    },
+    mqttPasswordHash: {
+      type: String,
+      select: false
+    },
+    credentialsVersion: {
+      type: Number,
+      default: 0
+    },
+    credentialsIssuedAt: {
+      type: Date
+    },
+    pairedAt: {
+      type: Date
+    },
+    failedClaimAttempts: {
+      type: Number,
+      default: 0
+    },
+    claimLockedUntil: {
+      type: Date
+    }
   },
   status: {
     isOnline: {
@@ -25,8 +105,35 @@ const DispenserDeviceSchema = new Schema({
       type: Number,
       min: 0,
       max: 100
+    },
+    firmwareVersion: {
+      type: String
+    },
+    needsMaintenance: {
+      type: Boolean,
+      default: false
+    },
+    lastPing: {
+      type: Date
+    },
+    // Seconds between heartbeats, as announced by the device
+    heartbeatInterval: {
+      type: Number,
+      min: 1
+    },
+    offlineSince: {
+      type: Date
+    },
+    // Last message over MQTT, cleared when the broker publishes the Last Will
+    mqttLastSeen: {
+      type: Date
     }
   },
+  // Device shadow: desired is set by users, reported comes from the device
+  shadow: {
+    desired: shadowStateFields(),
+    reported: shadowStateFields()
+  },
   compartments: [{
     compartmentId: {
       type: Number,
@@ -17,6 +17,11 @@ const DispensingLogSchema = new Schema({
     ref: 'PatientMedication',
     required: true
   },
+  // Set when the entry was materialized from a Schedule
+  schedule: {
+    type: Schema.Types.ObjectId,
+    ref: 'Schedule'
+  },
   scheduledTime: {
     type: Date,
     required: true
@@ -26,7 +31,7 @@ const DispensingLogSchema = new Schema({
   },
   status: {
     type: String,
-    enum: ['scheduled', 'dispensed', 'missed'],
+    enum: ['scheduled', 'dispensed', 'missed', 'failed'],
     default: 'scheduled'
   },
   compartmentId: {
@@ -40,6 +45,22 @@ const DispensingLogSchema = new Schema({
   },
   notes: {
     type: String
+  },
+  // As-needed (PRN) doses are requested on demand rather than materialized
+  asNeeded: {
+    type: Boolean,
+    default: false
+  },
+  // Why an as-needed dose was taken, e.g. the symptom
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  requestedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
   timestamps: true
@@ -48,6 +69,13 @@ const DispensingLogSchema = new Schema({
 // Basic indexes
 DispensingLogSchema.index({ device: 1, scheduledTime: 1 });
 DispensingLogSchema.index({ patient: 1, status: 1 });
+DispensingLogSchema.index({ medication: 1, asNeeded: 1, scheduledTime: -1 });
+
+// One materialized dose per schedule slot, so re-running the materializer is a no-op
+DispensingLogSchema.index(
+  { schedule: 1, scheduledTime: 1 },
+  { unique: true, partialFilterExpression: { schedule: { $exists: true } } }
+);
 
 const DispensingLog = mongoose.model('DispensingLog', DispensingLogSchema);
 
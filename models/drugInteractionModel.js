@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Ordered from least to most serious
+export const INTERACTION_SEVERITIES = ['minor', 'moderate', 'major', 'contraindicated'];
+
+// A conflict a provider accepted when the medication was assigned
+export const InteractionOverrideSchema = new Schema(
+  {
+    withMedication: {
+      type: Schema.Types.ObjectId,
+      ref: 'Medication'
+    },
+    type: {
+      type: String,
+      enum: ['interaction', 'duplicate_therapy', 'allergy', 'condition'],
+      default: 'interaction'
+    },
+    // The allergy or condition, for conflicts that are not with another medication
+    subject: {
+      type: String,
+      trim: true
+    },
+    severity: {
+      type: String,
+      enum: INTERACTION_SEVERITIES
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500
+    },
+    overriddenBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    overriddenAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+const DrugInteractionSchema = new Schema(
+  {
+    // The two active ingredients, lower case and stored in alphabetical order
+    ingredientA: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    ingredientB: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    severity: {
+      type: String,
+      required: true,
+      enum: INTERACTION_SEVERITIES
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    // What the prescriber should do about it
+    management: {
+      type: String,
+      trim: true
+    },
+    // Dataset the entry was imported from
+    source: {
+      type: String
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+DrugInteractionSchema.index({ ingredientA: 1, ingredientB: 1 }, { unique: true });
+DrugInteractionSchema.index({ ingredientB: 1 });
+
+const DrugInteraction = mongoose.model('DrugInteraction', DrugInteractionSchema);
+
+export default DrugInteraction;
@@ -64,6 +64,11 @@ const MedicationSchema = new Schema(
       type: Boolean,
       default: true
     },
+    // Critical medications raise high severity alerts when a dose is missed
+    isCritical: {
+      type: Boolean,
+      default: false
+    },
     imageUrl: {
       type: String
     },
@@ -73,8 +78,23 @@ const MedicationSchema = new Schema(
     ndc: {
       type: String
     }, // National Drug Code
+    // RxNorm concept ID, set for medications imported from RxNorm
+    rxcui: {
+      type: String
+    },
     barcode: {
       type: String
+    },
+    // Active ingredients, lower case, used for interaction and duplicate therapy checks
+    ingredients: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }],
+    // Drug class, two medications in the same class count as duplicate therapy
+    therapeuticClass: {
+      type: String,
+      trim: true
     }
   },
   {
@@ -85,6 +105,7 @@ const MedicationSchema = new Schema(
 // Indexes for performance
 MedicationSchema.index({ name: 1 });
 MedicationSchema.index({ barcode: 1 });
+MedicationSchema.index({ ndc: 1 });
 
 const Medication = mongoose.model('Medication', MedicationSchema);
 
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { InteractionOverrideSchema } from './drugInteractionModel.js';
 const { Schema } = mongoose;
 
 const PatientMedicationSchema = new Schema(
@@ -17,6 +18,10 @@ const PatientMedicationSchema = new Schema(
       type: Schema.Types.ObjectId,
       ref: 'User',
     },
+    prescription: {
+      type: Schema.Types.ObjectId,
+      ref: 'Prescription'
+    },
     // Updated for tablets specifically
     dosage: {
       // For tablets, this is the number of tablets per dose
@@ -35,7 +40,7 @@ const PatientMedicationSchema = new Schema(
       frequency: {
         type: String,
         required: true,
-        enum: ['daily', 'twice-daily', 'three-times-daily', 'four-times-daily', 'weekly', 'as-needed']
+        enum: ['daily', 'twice-daily', 'three-times-daily', 'four-times-daily', 'weekly', 'as-needed', 'custom']
       },
       timesPerDay: {
         type: Number,
@@ -69,6 +74,32 @@ const PatientMedicationSchema = new Schema(
     specialInstructions: {
       type: String
     },
+    // Limits on as-needed (PRN) doses taken on demand
+    prnLimits: {
+      // Shortest time allowed between two doses
+      minIntervalMinutes: {
+        type: Number,
+        min: 0
+      },
+      // Most doses allowed in any rolling 24 hours
+      maxDosesPer24Hours: {
+        type: Number,
+        min: 1
+      }
+    },
+    // Held while an as-needed dose is checked against prnLimits and dispensed,
+    // so two requests at once cannot both pass the limits
+    prnLock: {
+      token: String,
+      expiresAt: Date
+    },
+    // Interaction warnings a provider accepted when assigning the medication
+    interactionOverrides: [InteractionOverrideSchema],
+    // Minutes after the scheduled time before a dose counts as missed
+    missedDoseGraceMinutes: {
+      type: Number,
+      min: 0
+    },
     // Tablet inventory specifics
     inventoryTracking: {
       currentQuantity: {
@@ -81,6 +112,13 @@ const PatientMedicationSchema = new Schema(
       lastRefillDate: {
         type: Date
       },
+      // Lot and expiry of the package last refilled from, when it was scanned
+      lotNumber: {
+        type: String
+      },
+      expiryDate: {
+        type: Date
+      },
       tabletsPerRefill: {
         type: Number
       },
@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const FillSchema = new Schema(
+  {
+    filledAt: {
+      type: Date,
+      default: Date.now
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    filledBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // The first fill comes with activation, later ones use up refills
+    isRefill: {
+      type: Boolean,
+      default: false
+    },
+    // Package details, recorded when the fill was scanned
+    lotNumber: String,
+    expiryDate: Date
+  },
+  { _id: false }
+);
+
+const PrescriptionSchema = new Schema(
+  {
+    patient: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    prescriber: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    medication: {
+      type: Schema.Types.ObjectId,
+      ref: 'Medication',
+      required: true
+    },
+    // Dosing instructions as written, plus the structured form used for scheduling
+    sig: {
+      text: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      dosage: {
+        amount: { type: Number, min: 0.5, default: 1 },
+        unit: { type: String, enum: ['tablet', 'half-tablet'], default: 'tablet' }
+      },
+      frequency: {
+        type: String,
+        enum: ['daily', 'twice-daily', 'three-times-daily', 'four-times-daily', 'weekly', 'as-needed', 'custom']
+      },
+      timesPerDay: {
+        type: Number,
+        min: 0
+      },
+      specificTimes: [String],
+      daysOfWeek: [Number],
+      // Set for "every N hours" sigs
+      intervalHours: Number,
+      // Set for "every other day" and "every N days" sigs
+      everyNDays: {
+        type: Number,
+        min: 1
+      },
+      // Length of the course for sigs like "for 7 days", open ended when not set
+      durationDays: {
+        type: Number,
+        min: 1
+      },
+      // Limit for as needed sigs, e.g. "max 4 doses per day"
+      maxDosesPer24Hours: {
+        type: Number,
+        min: 1
+      },
+      route: String,
+      takeWithFood: {
+        type: Boolean,
+        default: false
+      }
+    },
+    // Tablets dispensed per fill
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    refillsAuthorized: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    refillsRemaining: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    fills: [FillSchema],
+    writtenAt: {
+      type: Date,
+      default: Date.now
+    },
+    validUntil: {
+      type: Date,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['draft', 'active', 'expired', 'cancelled'],
+      default: 'draft'
+    },
+    activatedAt: Date,
+    cancelledAt: Date,
+    cancelReason: String,
+    notes: String,
+
+    // Created on activation
+    patientMedication: {
+      type: Schema.Types.ObjectId,
+      ref: 'PatientMedication'
+    },
+    schedule: {
+      type: Schema.Types.ObjectId,
+      ref: 'Schedule'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+PrescriptionSchema.index({ patient: 1, status: 1 });
+PrescriptionSchema.index({ prescriber: 1, status: 1 });
+
+const Prescription = mongoose.model('Prescription', PrescriptionSchema);
+
+export default Prescription;
@@ -1,4 +1,71 @@
 import mongoose from 'mongoose';
+import { InteractionOverrideSchema } from './drugInteractionModel.js';
+
+// One step of a taper or titration, with its own dates, times and dose
+const schedulePhaseSchema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+      trim: true
+    },
+    startDate: {
+      type: Date,
+      required: true
+    },
+    endDate: {
+      type: Date,
+      required: true
+    },
+    // Not used by interval_hours schedules
+    scheduleTimes: {
+      type: [String],
+      default: []
+    },
+    daysOfWeek: {
+      type: [Number],
+      default: [0, 1, 2, 3, 4, 5, 6]
+    },
+    dosage: {
+      tablets: { type: Number, min: 0.5, required: true },
+      unit: { type: String, enum: ['tablet', 'half-tablet'], default: 'tablet' }
+    }
+  },
+  { _id: false }
+);
+
+export const RECURRENCE_TYPES = ['weekly', 'interval_hours', 'every_n_days', 'days_of_month', 'cycle'];
+
+// How dose days and times repeat. Weekly schedules use daysOfWeek and scheduleTimes,
+// the other types count from anchorDate, or startDate when it is not set
+const recurrenceSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: RECURRENCE_TYPES,
+      default: 'weekly'
+    },
+    // interval_hours: a dose every N hours from firstDoseAt
+    intervalHours: {
+      type: Number,
+      min: 1
+    },
+    firstDoseAt: Date,
+    // every_n_days: doses on every Nth day
+    everyNDays: {
+      type: Number,
+      min: 1
+    },
+    // days_of_month: 1-31, days past the end of a month fall on its last day
+    daysOfMonth: [Number],
+    // cycle: daysOn days with doses followed by daysOff days without
+    cycle: {
+      daysOn: { type: Number, min: 1 },
+      daysOff: { type: Number, min: 0 }
+    },
+    anchorDate: Date
+  },
+  { _id: false }
+);
 
 const scheduleSchema = new mongoose.Schema(
   {
@@ -12,9 +79,19 @@ const scheduleSchema = new mongoose.Schema(
       ref: 'Medication',
       required: true
     },
+    // Set when the schedule was generated from a prescription
+    prescription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Prescription',
+      default: null
+    },
     scheduleTimes: {
       type: [String], // Example: ['08:00', '14:00', '20:00']
-      required: true
+      // Phased schedules keep their times on each phase, interval schedules have none
+      required: function() {
+        return (!this.phases || this.phases.length === 0) &&
+          this.recurrence?.type !== 'interval_hours';
+      }
     },
     daysOfWeek: {
       type: [Number], // 0 (Sunday) to 6 (Saturday)
@@ -32,6 +109,21 @@ const scheduleSchema = new mongoose.Schema(
       tablets: { type: Number, default: 1 },
       unit: { type: String, default: 'tablet' }
     },
+    recurrence: {
+      type: recurrenceSchema,
+      default: () => ({ type: 'weekly' })
+    },
+    // Tapering and titration steps, in date order. When set they replace
+    // scheduleTimes, daysOfWeek and dosage, and define startDate and endDate
+    phases: {
+      type: [schedulePhaseSchema],
+      default: []
+    },
+    // Interaction warnings a provider accepted when the schedule was set up
+    interactionOverrides: {
+      type: [InteractionOverrideSchema],
+      default: []
+    },
     active: {
       type: Boolean,
       default: true
@@ -1,6 +1,8 @@
 import mongoose from 'mongoose';
 const { Schema } = mongoose;
 
+export const ALLERGY_SEVERITIES = ['mild', 'moderate', 'severe', 'life_threatening'];
+
 const UserSchema = new Schema(
   {
     // Clerk auth info
@@ -16,13 +18,26 @@ const UserSchema = new Schema(
       lowercase: true,
       trim: true
     },
+    // Whether Clerk has verified the email and phone number belong to the user,
+    // care invitations are only matched to verified contacts
+    emailVerified: {
+      type: Boolean,
+      default: false
+    },
+    phoneVerified: {
+      type: Boolean,
+      default: false
+    },
+    // Clerk users may sign up without a name
     firstName: { 
       type: String, 
-      required: true 
+      trim: true,
+      default: ''
     },
     lastName: { 
       type: String, 
-      required: true 
+      trim: true,
+      default: ''
     },
     
     // Role information
@@ -59,6 +74,41 @@ const UserSchema = new Schema(
       }
     ],
     
+    // Drug allergies, to a single drug or ingredient or to a whole drug class
+    allergies: [
+      {
+        drug: { type: String, lowercase: true, trim: true },
+        drugClass: { type: String, lowercase: true, trim: true },
+        reaction: { type: String, trim: true },
+        severity: {
+          type: String,
+          enum: ALLERGY_SEVERITIES,
+          default: 'moderate'
+        },
+        notes: String,
+        recordedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+        recordedAt: { type: Date, default: Date.now }
+      }
+    ],
+
+    // Diagnosed conditions
+    conditions: [
+      {
+        name: { type: String, required: true, trim: true },
+        // ICD-10 code, e.g. 'N18.4'
+        code: { type: String, uppercase: true, trim: true },
+        status: {
+          type: String,
+          enum: ['active', 'resolved'],
+          default: 'active'
+        },
+        diagnosedAt: Date,
+        notes: String,
+        recordedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+        recordedAt: { type: Date, default: Date.now }
+      }
+    ],
+    
     // User preferences
     preferences: {
       notificationMethods: {
@@ -74,12 +124,42 @@ const UserSchema = new Schema(
       medicationTimePreference: [String]
     },
     
+    // IANA timezone dose times are read in, e.g. 'Europe/London'
+    timezone: {
+      type: String,
+      default: null
+    },
+
+    // Gradual move of dose times to a new timezone while travelling
+    travel: {
+      active: {
+        type: Boolean,
+        default: false
+      },
+      fromTimeZone: String,
+      toTimeZone: String,
+      startDate: Date,
+      // How far dose times move each day, a full day moves them at once
+      shiftMinutesPerDay: {
+        type: Number,
+        min: 15,
+        max: 1440,
+        default: 60
+      }
+    },
+    
     // Connected dispenser devices
     assignedDispensers: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'DispenserDevice'
     }],
     
+    // Healthcare providers responsible for this patient
+    assignedProviders: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    
     // Healthcare provider specific fields
     specialization: String,
     licenseNumber: String,
@@ -103,7 +183,7 @@ const UserSchema = new Schema(
 
 // Virtual for full name
 UserSchema.virtual('fullName').get(function() {
-  return `${this.firstName} ${this.lastName}`;
+  return `${this.firstName} ${this.lastName}`.trim();
 });
 
 // Method to check if user is a healthcare professional
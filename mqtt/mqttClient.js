@@ -1,21 +1,19 @@
 import mqtt from 'mqtt';
 import dotenv from 'dotenv';
+import DispenserDevice from '../models/dispenserDeviceModel.js';
+import { DEVICE_MESSAGE_TYPES, routeDeviceMessage } from '../services/dispenser/messageRouter.js';
+import { recordMqttSession } from '../services/dispenser/connectivityService.js';
 
 dotenv.config();
 
+// Topics follow dispenser/{deviceId}/{messageType}
+// Devices register dispenser/{deviceId}/lwt as their Last Will when connecting
+const TOPIC_PREFIX = 'dispenser';
+
 class MQTTController {
   constructor() {
     this.MQTT_BROKER_URL = process.env.MQTT_BROKER_URL || 'mqtts://localhost:8883';
     this.client = null;
-    this.deviceState = {
-      batteryLevel: 100,
-      inventoryLevels: {
-        compartment1: { medication: 'Aspirin', quantity: 30 },
-        compartment2: { medication: 'Ibuprofen', quantity: 20 }
-      },
-      dispensingLog: [],
-      lastDispensed: null
-    };
   }
 
   // Initialize MQTT Connection
@@ -35,10 +33,10 @@ class MQTTController {
 
     this.client.on('connect', () => {
       console.log('Connected to MQTT broker');
-      
-      // Subscribe to relevant topics
-      const topics = ['dispenser/command', 'dispenser/inventory', 'dispenser/device-status'];
-      this.client.subscribe(topics, (err) => {
+
+      // Subscribe to every device's upstream topics
+      const topics = DEVICE_MESSAGE_TYPES.map(type => `${TOPIC_PREFIX}/+/${type}`);
+      this.client.subscribe(topics, { qos: 1 }, (err) => {
         if (err) {
           console.error('Subscription error:', err);
         } else {
@@ -49,24 +47,7 @@ class MQTTController {
 
     // Handle received messages
     this.client.on('message', (topic, message) => {
-      try {
-        const payload = JSON.parse(message.toString());
-        switch (topic) {
-          case 'dispenser/command':
-            this.handleCommand(payload);
-            break;
-          case 'dispenser/inventory':
-            this.updateInventory(payload);
-            break;
-          case 'dispenser/device-status':
-            this.updateDeviceStatus(payload);
-            break;
-          default:
-            console.warn(`Received message on unknown topic: ${topic}`);
-        }
-      } catch (error) {
-        console.error('Error processing message:', error);
-      }
+      this.handleMessage(topic, message);
     });
 
     // Handle connection errors
@@ -83,222 +64,57 @@ class MQTTController {
     });
   }
 
-  // Handle Commands (Dispensing & Scheduling)
-  handleCommand(payload) {
-    if (!payload || !payload.type) return;
-    switch (payload.type) {
-      case 'dispense':
-        this.dispense(payload);
-        break;
-      case 'schedule':
-        this.scheduleDispensing(payload);
-        break;
-      default:
-        console.warn('Unknown command type:', payload.type);
-    }
-  }
-
-  // Dispense Medication
-  dispense(payload) {
-    const { compartment, medication } = payload;
-
-    if (this.deviceState.inventoryLevels[compartment]?.quantity > 0) {
-      this.deviceState.inventoryLevels[compartment].quantity -= 1;
-      const dispensingEvent = {
-        timestamp: new Date(),
-        medication,
-        compartment
-      };
-      this.deviceState.dispensingLog.push(dispensingEvent);
-      this.deviceState.lastDispensed = dispensingEvent;
+  // Route a device message to its handler
+  async handleMessage(topic, message) {
+    try {
+      const topicParts = topic.split('/');
+      if (topicParts.length !== 3 || topicParts[0] !== TOPIC_PREFIX) {
+        console.warn(`Received message on unknown topic: ${topic}`);
+        return;
+      }
 
-      this.publishMessage('dispenser/dispensed', { status: 'success', ...dispensingEvent });
-      this.checkInventoryLevels(compartment);
-    } else {
-      this.publishMessage('dispenser/dispensed', { status: 'error', message: 'Low inventory in compartment' });
-    }
-  }
+      const [, deviceId, messageType] = topicParts;
 
-  // Schedule Medication Dispensing
-  scheduleDispensing(payload) {
-    console.log('Medication schedule set:', payload);
-    this.publishMessage('dispenser/schedule-confirmation', {
-      status: 'scheduled',
-      details: payload
-    });
-  }
+      if (!DEVICE_MESSAGE_TYPES.includes(messageType)) {
+        console.warn(`Unknown message type: ${messageType}`);
+        return;
+      }
 
-  // Update Inventory Levels
-  updateInventory(payload) {
-    const { compartment, quantity } = payload;
-    if (this.deviceState.inventoryLevels[compartment]) {
-      this.deviceState.inventoryLevels[compartment].quantity = quantity;
-      this.checkInventoryLevels(compartment);
-    }
-  }
+      // Last Will payloads are set by the device firmware and may be empty
+      const text = message.toString();
+      const payload = text ? JSON.parse(text) : {};
 
-  // Check Inventory and Send Alerts
-  checkInventoryLevels(compartment) {
-    const inventoryLevel = this.deviceState.inventoryLevels[compartment]?.quantity || 0;
-    if (inventoryLevel < 10) {
-      this.publishMessage('dispenser/alerts', {
-        type: 'low-inventory',
-        compartment,
-        currentQuantity: inventoryLevel
-      });
-    }
-  }
+      // Find the device in the database
+      const device = await DispenserDevice.findOne({ deviceId });
+      if (!device) {
+        console.error(`Unknown device ID: ${deviceId}`);
+        return;
+      }
 
-  // Update Device Battery Status
-  updateDeviceStatus(payload) {
-    const { batteryLevel } = payload;
-    this.deviceState.batteryLevel = batteryLevel;
-    if (batteryLevel < 20) {
-      this.publishMessage('dispenser/alerts', {
-        type: 'low-battery',
-        currentBattery: batteryLevel
-      });
+      await recordMqttSession(device, messageType !== 'lwt');
+      await routeDeviceMessage(device, messageType, payload);
+    } catch (error) {
+      console.error(`Error processing message on ${topic}:`, error);
     }
   }
 
-  // Publish Message Utility
-  publishMessage(topic, payload) {
-    if (this.client && this.client.connected) {
-      this.client.publish(topic, JSON.stringify(payload));
-      console.log(`Message published to ${topic}:`, payload);
-    } else {
+  // Publish a message to a specific device
+  publishToDevice(deviceId, messageType, payload, options = {}) {
+    if (!this.client || !this.client.connected) {
       console.error('Cannot publish - MQTT client not connected');
+      return false;
     }
-  }
 
-  // Retrieve Adherence Log
-  getAdherenceLog() {
-    return this.deviceState.dispensingLog;
+    const topic = `${TOPIC_PREFIX}/${deviceId}/${messageType}`;
+    this.client.publish(topic, JSON.stringify(payload), { qos: 1, ...options });
+    console.log(`Message published to ${topic}`);
+    return true;
   }
 }
 
-export default new MQTTController();
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-// import mqtt from 'mqtt';
-// import dotenv from 'dotenv';
-// import DispenserDevice from '../models/dispenserDeviceModel.js';
-// import { handleStatusUpdate } from '../services/dispenser/statusService.js';
-// import { handleDispensedConfirmation } from '../services/dispenser/dispensingService.js';
-// import { handleInventoryUpdate } from '../services/inventory/inventoryService.js';
-// import { handleDispenserAlert } from '../services/alert/alertService.js';
-
-// dotenv.config();
-
-// const MQTT_BROKER_URL = process.env.MQTT_BROKER_URL || 'mqtt://localhost:1883';
-// const MQTT_USERNAME = process.env.MQTT_USERNAME;
-// const MQTT_PASSWORD = process.env.MQTT_PASSWORD;
-
-// let client;
-
-// // Function to set up MQTT client and subscribe to topics
-// const setupMQTT = () => {
-//   console.log('Connecting to MQTT broker...');
-  
-//   const options = {
-//     username: MQTT_USERNAME,
-//     password: MQTT_PASSWORD,
-//     reconnectPeriod: 5000
-//   };
-  
-//   client = mqtt.connect(MQTT_BROKER_URL, options);
-  
-//   client.on('connect', () => {
-//     console.log('Connected to MQTT broker');
-    
-//     // Subscribe to relevant topics
-//     client.subscribe('dispenser/+/status');
-//     client.subscribe('dispenser/+/dispensed');
-//     client.subscribe('dispenser/+/alerts');
-//     client.subscribe('dispenser/+/inventory');
-    
-//     console.log('Subscribed to dispenser topics');
-//   });
-  
-//   client.on('message', async (topic, message) => {
-//     console.log(`Received message on topic: ${topic}`);
-    
-//     try {
-//       const payload = JSON.parse(message.toString());
-//       const topicParts = topic.split('/');
-      
-//       if (topicParts.length !== 3) return;
-      
-//       const deviceId = topicParts[1];
-//       const messageType = topicParts[2];
-      
-//       // Find the device in the database
-//       const device = await DispenserDevice.findOne({ deviceId });
-      
-//       if (!device) {
-//         console.error(`Unknown device ID: ${deviceId}`);
-//         return;
-//       }
-      
-//       // Route message to appropriate handler
-//       switch (messageType) {
-//         case 'status':
-//           await handleStatusUpdate(device, payload);
-//           break;
-//         case 'dispensed':
-//           await handleDispensedConfirmation(device, payload);
-//           break;
-//         case 'inventory':
-//           await handleInventoryUpdate(device, payload);
-//           break;
-//         case 'alerts':
-//           await handleDispenserAlert(device, payload);
-//           break;
-//         default:
-//           console.log(`Unknown message type: ${messageType}`);
-//       }
-//     } catch (error) {
-//       console.error('Error processing MQTT message:', error);
-//     }
-//   });
-  
-//   client.on('error', (err) => {
-//     console.error('MQTT client error:', err);
-//   });
-  
-//   return client;
-// };
-
-// // Function to publish a message to a specific device
-// export const publishToDevice = (deviceId, messageType, payload) => {
-//   if (!client || !client.connected) {
-//     console.error('MQTT client not connected');
-//     return false;
-//   }
-  
-//   const topic = `dispenser/${deviceId}/${messageType}`;
-//   client.publish(topic, JSON.stringify(payload));
-//   console.log(`Published to ${topic}`);
-//   return true;
-// };
-
-// export default setupMQTT;
+const mqttController = new MQTTController();
 
+export const publishToDevice = (deviceId, messageType, payload, options) =>
+  mqttController.publishToDevice(deviceId, messageType, payload, options);
 
+export default mqttController;
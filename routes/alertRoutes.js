@@ -6,6 +6,8 @@ import {
   getMissedDoseAlerts
 } from '../controllers/alertController.js';
 import { protect, authorize, syncUser } from '../middleware/authMiddleware.js';
+import { requirePatientAccess } from '../middleware/accessPolicyMiddleware.js';
+import { PATIENT_ACCESS } from '../services/auth/accessPolicy.js';
 
 const router = express.Router();
 
@@ -15,15 +17,15 @@ router.use(syncUser);
 
 // Patient-specific alerts (for patient and authorized users)
 router.route('/patient/:patientId')
-  .get(getAlertsByPatient);
+  .get(requirePatientAccess(PATIENT_ACCESS.ALERTS), getAlertsByPatient);
 
 // Missed dose alerts for a specific patient
 router.route('/misseddoses/:patientId')
-  .get(getMissedDoseAlerts);
+  .get(requirePatientAccess(PATIENT_ACCESS.ALERTS), getMissedDoseAlerts);
 
 // General alert management routes
 router.route('/')
-  .post(authorize('admin', 'healthcare_provider'), createAlert);
+  .post(authorize('admin', 'healthcare_provider'), requirePatientAccess(PATIENT_ACCESS.ALERTS, 'patient'), createAlert);
 
 router.route('/:id')
   .put(authorize('admin', 'healthcare_provider'), updateAlertStatus);
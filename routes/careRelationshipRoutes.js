@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  createInvitation,
+  getMyRelationships,
+  acceptInvitation,
+  declineInvitation,
+  updateRelationshipPermissions,
+  deleteRelationship
+} from '../controllers/careRelationshipController.js';
+import { protect, authorize, syncUser } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// All care relationship routes are protected
+router.use(protect);
+router.use(syncUser);
+
+router.route('/')
+  .get(getMyRelationships);
+
+router.route('/invitations')
+  .post(authorize('patient', 'admin'), createInvitation);
+
+router.post('/:id/accept', acceptInvitation);
+router.post('/:id/decline', declineInvitation);
+
+router.route('/:id/permissions')
+  .put(updateRelationshipPermissions);
+
+router.route('/:id')
+  .delete(deleteRelationship);
+
+export default router;
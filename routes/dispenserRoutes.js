@@ -1,33 +1,91 @@
 import express from 'express';
 import { 
   registerDispenserDevice, 
+  pairDispenser,
+  rotateDeviceCredentials,
+  unpairDispenser,
+  mqttAuthHook,
+  mqttAclHook,
+  receiveDeviceWebhook,
   getDispenserDeviceById,
   createDispensingLog,
   updateDispensingLogStatus,
-  getUpcomingDispenses
+  getUpcomingDispenses,
+  dispenseMedication,
+  getDispenserStatus,
+  calibrateDispenser,
+  configureCompartment,
+  getDispenserInventory,
+  getLowStockCompartments,
+  updateCompartmentPillCount,
+  getDeviceShadow,
+  updateDesiredDeviceState
 } from '../controllers/dispenserController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, authorize, syncUser } from '../middleware/authMiddleware.js';
+import { requireBrokerSecret, verifyDeviceSignature } from '../middleware/deviceAuthMiddleware.js';
+import { requirePatientAccess } from '../middleware/accessPolicyMiddleware.js';
+import { PATIENT_ACCESS } from '../services/auth/accessPolicy.js';
 
 const router = express.Router();
 
-// Public webhook for IoT device communication
-router.post('/webhook', express.raw({ type: 'application/json' }), (req, res) => {
-  const payload = req.body;
-  // Handle basic dispenser events
-  console.log('Dispenser webhook received:', payload);
-  res.status(200).json({ received: true });
-});
+// Signed webhook for devices that cannot use MQTT
+router.post('/webhook', verifyDeviceSignature, receiveDeviceWebhook);
+
+// MQTT broker authentication hooks
+router.post('/mqtt/auth', requireBrokerSecret, mqttAuthHook);
+router.post('/mqtt/acl', requireBrokerSecret, mqttAclHook);
 
 // Protect all routes after this point
 router.use(protect);
+router.use(syncUser);
 
 // Dispenser device management
 router.route('/')
-  .post(registerDispenserDevice);
+  .post(authorize('admin'), registerDispenserDevice);
+
+// Pairing and credentials
+router.route('/pair')
+  .post(authorize('patient', 'caregiver'), pairDispenser);
+
+router.route('/:id/credentials/rotate')
+  .post(rotateDeviceCredentials);
+
+router.route('/:id/pairing')
+  .delete(unpairDispenser);
 
 router.route('/:id')
   .get(getDispenserDeviceById);
 
+// Device control routes
+router.route('/:id/dispense')
+  .post(dispenseMedication);
+
+router.route('/:id/status')
+  .get(getDispenserStatus);
+
+router.route('/:id/calibrate')
+  .post(calibrateDispenser);
+
+router.route('/:id/compartments/:compartmentId')
+  .put(configureCompartment);
+
+router.route('/:id/compartments/:compartmentId/count')
+  .put(updateCompartmentPillCount);
+
+// Device shadow routes
+router.route('/:id/shadow')
+  .get(getDeviceShadow);
+
+router.route('/:id/shadow/desired')
+  .put(updateDesiredDeviceState);
+
+// Inventory routes
+router.route('/:id/inventory')
+  .get(getDispenserInventory);
+
+router.route('/:id/inventory/low')
+  .get(getLowStockCompartments);
+
 // Dispensing log routes
 router.route('/:id/logs')
   .post(createDispensingLog);
@@ -37,6 +95,6 @@ router.route('/logs/:logId')
 
 // Patient upcoming dispenses
 router.route('/upcoming/:patientId')
-  .get(getUpcomingDispenses);
+  .get(requirePatientAccess(PATIENT_ACCESS.VIEW), getUpcomingDispenses);
 
 export default router;
\ No newline at end of file
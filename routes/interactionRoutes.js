@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  checkPatientInteractions,
+  getIngredientInteractions,
+  importInteractions
+} from '../controllers/interactionController.js';
+import { protect, authorize, syncUser } from '../middleware/authMiddleware.js';
+import { requirePatientAccess } from '../middleware/accessPolicyMiddleware.js';
+import { PATIENT_ACCESS } from '../services/auth/accessPolicy.js';
+
+const router = express.Router();
+
+// All interaction routes are protected
+router.use(protect);
+router.use(syncUser);
+
+router.post('/check', requirePatientAccess(PATIENT_ACCESS.VIEW), checkPatientInteractions);
+
+router.route('/ingredient/:ingredient')
+  .get(getIngredientInteractions);
+
+// Load or refresh the local interaction dataset
+router.post('/import', authorize('admin'), importInteractions);
+
+export default router;
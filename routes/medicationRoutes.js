@@ -6,9 +6,19 @@ import {
   createMedication, 
   updateMedication, 
   deleteMedication,
-  
+  getActiveMedications,
+  getUpcomingRefills,
+  getPrnMedications,
+  getPrnStatus,
+  takePrnDose,
+  setPrnLimits,
+  importMedicationCatalog,
+  lookupMedicationBarcode,
+  refillFromBarcode
 } from '../controllers/medicationController.js';
 import { protect, authorize, syncUser } from '../middleware/authMiddleware.js';
+import { requirePatientAccess } from '../middleware/accessPolicyMiddleware.js';
+import { PATIENT_ACCESS } from '../services/auth/accessPolicy.js';
 
 const router = express.Router();
 
@@ -21,6 +31,30 @@ router.route('/')
   .get(getMedications)
   .post(createMedication);
 
+// Bulk catalog import from files in the import directory
+router.post('/import', authorize('admin'), importMedicationCatalog);
+
+// Package barcode scanning
+router.post('/scan/lookup', lookupMedicationBarcode);
+router.post('/scan/refill/:id', refillFromBarcode);
+
+// Patient medication routes
+router.route('/active/:patientId')
+  .get(requirePatientAccess(PATIENT_ACCESS.VIEW), getActiveMedications);
+
+router.route('/refills/:patientId')
+  .get(requirePatientAccess(PATIENT_ACCESS.VIEW), getUpcomingRefills);
+
+// As-needed (PRN) medication routes
+router.route('/prn/patient/:patientId')
+  .get(requirePatientAccess(PATIENT_ACCESS.VIEW), getPrnMedications);
+
+router.route('/prn/:id')
+  .get(getPrnStatus);
+
+router.post('/prn/:id/dose', takePrnDose);
+router.put('/prn/:id/limits', authorize('healthcare_provider', 'admin'), setPrnLimits);
+
 router.route('/:id')
   .get(getMedicationById)
   .put(updateMedication)
@@ -0,0 +1,42 @@
+import express from 'express';
+import {
+  previewSig,
+  writePrescription,
+  getPatientPrescriptions,
+  getPrescriptionById,
+  startPrescription,
+  recordPrescriptionRefill,
+  discontinuePrescription
+} from '../controllers/prescriptionController.js';
+import { protect, authorize, syncUser } from '../middleware/authMiddleware.js';
+import { requirePatientAccess } from '../middleware/accessPolicyMiddleware.js';
+import { PATIENT_ACCESS } from '../services/auth/accessPolicy.js';
+
+const router = express.Router();
+
+// All prescription routes are protected
+router.use(protect);
+router.use(syncUser);
+
+router.route('/')
+  .post(
+    authorize('healthcare_provider', 'admin'),
+    requirePatientAccess(PATIENT_ACCESS.EDIT, 'patient'),
+    writePrescription
+  );
+
+// Parse sig text without saving anything
+router.post('/sig/preview', previewSig);
+
+router.route('/patient/:patientId')
+  .get(requirePatientAccess(PATIENT_ACCESS.VIEW), getPatientPrescriptions);
+
+router.route('/:id')
+  .get(getPrescriptionById);
+
+// Prescription lifecycle
+router.post('/:id/activate', authorize('healthcare_provider', 'admin'), startPrescription);
+router.post('/:id/refill', recordPrescriptionRefill);
+router.post('/:id/cancel', authorize('healthcare_provider', 'admin'), discontinuePrescription);
+
+export default router;
@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  getProviderPanel,
+  assignPatient,
+  unassignPatient
+} from '../controllers/providerController.js';
+import { protect, authorize, syncUser } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// All provider routes are protected
+router.use(protect);
+router.use(syncUser);
+
+// Panel of the signed in provider
+router.route('/panel')
+  .get(authorize('healthcare_provider', 'admin'), getProviderPanel);
+
+router.route('/:providerId/panel')
+  .get(authorize('healthcare_provider', 'admin'), getProviderPanel);
+
+// Provider to patient assignments
+router.route('/:providerId/patients')
+  .post(authorize('admin', 'patient'), assignPatient);
+
+router.route('/:providerId/patients/:patientId')
+  .delete(unassignPatient);
+
+export default router;
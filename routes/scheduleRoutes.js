@@ -4,18 +4,29 @@ import {
   getScheduleById, 
   createSchedule, 
   updateSchedule, 
-  deleteSchedule
+  deleteSchedule,
+  getTodaysMedicationSchedule,
+  getAdherenceRate
 } from '../controllers/scheduleController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, syncUser } from '../middleware/authMiddleware.js';
+import { requirePatientAccess } from '../middleware/accessPolicyMiddleware.js';
+import { PATIENT_ACCESS } from '../services/auth/accessPolicy.js';
 
 const router = express.Router();
 
 // All schedule routes are protected
 router.use(protect);
+router.use(syncUser);
 
 router.route('/')
   .get(getAllSchedules)
-  .post(createSchedule);
+  .post(requirePatientAccess(PATIENT_ACCESS.EDIT, 'patient'), createSchedule);
+
+router.route('/today/:patientId')
+  .get(requirePatientAccess(PATIENT_ACCESS.VIEW), getTodaysMedicationSchedule);
+
+router.route('/adherence/:patientId')
+  .get(requirePatientAccess(PATIENT_ACCESS.VIEW), getAdherenceRate);
 
 router.route('/:id')
   .get(getScheduleById)
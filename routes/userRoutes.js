@@ -1,16 +1,33 @@
 import express from 'express';
-import { getUsers, getUserById, updateUser, deleteUser, getUserProfile, updateUserProfile } from '../controllers/userController.js';
+import {
+  handleClerkWebhook,
+  getUsers,
+  getUserById,
+  updateUser,
+  deleteUser,
+  getUserProfile,
+  updateUserProfile,
+  updateUserTimeZone,
+  getTravel,
+  beginTravel,
+  finishTravel,
+  getPatientHealthProfile,
+  createAllergy,
+  editAllergy,
+  deleteAllergy,
+  createCondition,
+  editCondition,
+  deleteCondition
+} from '../controllers/userController.js';
 import { protect, authorize, syncUser } from '../middleware/authMiddleware.js';
+import { requirePatientAccess } from '../middleware/accessPolicyMiddleware.js';
+import { PATIENT_ACCESS } from '../services/auth/accessPolicy.js';
+import { verifyClerkWebhook } from '../middleware/clerkWebhookMiddleware.js';
 
 const router = express.Router();
 
 // Public routes
-router.post('/webhook', express.raw({ type: 'application/json' }), (req, res) => {
-  const payload = req.body;
-  // Handle Clerk webhooks - user created, updated, deleted
-  console.log('Webhook received:', payload);
-  res.status(200).json({ received: true });
-});
+router.post('/webhook', verifyClerkWebhook, handleClerkWebhook);
 
 // Protected routes
 router.use(protect); // All routes below require authentication
@@ -20,6 +37,32 @@ router.route('/profile')
   .get(getUserProfile)
   .put(updateUserProfile);
 
+// Timezone and travel mode
+router.put('/profile/timezone', updateUserTimeZone);
+
+router.route('/profile/travel')
+  .get(getTravel)
+  .post(beginTravel)
+  .delete(finishTravel);
+
+// Allergies and conditions, checked when medications are assigned
+router.route('/:patientId/health')
+  .get(requirePatientAccess(PATIENT_ACCESS.VIEW), getPatientHealthProfile);
+
+router.route('/:patientId/allergies')
+  .post(requirePatientAccess(PATIENT_ACCESS.EDIT), createAllergy);
+
+router.route('/:patientId/allergies/:allergyId')
+  .put(requirePatientAccess(PATIENT_ACCESS.EDIT), editAllergy)
+  .delete(requirePatientAccess(PATIENT_ACCESS.EDIT), deleteAllergy);
+
+router.route('/:patientId/conditions')
+  .post(requirePatientAccess(PATIENT_ACCESS.EDIT), createCondition);
+
+router.route('/:patientId/conditions/:conditionId')
+  .put(requirePatientAccess(PATIENT_ACCESS.EDIT), editCondition)
+  .delete(requirePatientAccess(PATIENT_ACCESS.EDIT), deleteCondition);
+
 // Admin only routes
 router.route('/')
   .get(authorize('admin'), getUsers);
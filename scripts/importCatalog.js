@@ -0,0 +1,37 @@
+// scripts/importCatalog.js
+// Import catalog medications from files on disk:
+//   npm run import:catalog -- fda_ndc path/to/product.txt [--dry-run]
+//   npm run import:catalog -- rxnorm path/to/RXNCONSO.RRF path/to/RXNSAT.RRF [--dry-run]
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import { importCatalogFiles } from '../services/medication/catalogImport.js';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const [format, ...paths] = args.filter(arg => arg !== '--dry-run');
+
+const files = format === 'rxnorm'
+  ? { conso: paths[0], sat: paths[1] }
+  : { file: paths[0] };
+
+await connectDB();
+
+try {
+  const result = await importCatalogFiles(format, files, { dryRun });
+
+  if (!result.success) {
+    console.error(result.message);
+    process.exitCode = 1;
+  } else {
+    console.log(`${dryRun ? 'Dry run: ' : ''}${result.created} created, ${result.updated} updated, ${result.unchanged} unchanged, ${result.skipped} skipped`);
+    Object.entries(result.skippedReasons).forEach(([reason, count]) => console.log(`  ${reason}: ${count}`));
+  }
+} catch (error) {
+  console.error('Catalog import failed:', error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
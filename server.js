@@ -14,12 +14,23 @@ import dispenserRoutes from './routes/dispenserRoutes.js';
 import scheduleRoutes from './routes/scheduleRoutes.js';
 import alertRoutes from './routes/alertRoutes.js';
 import inventoryRoutes from './routes/inventoryRoutes.js';
+import careRelationshipRoutes from './routes/careRelationshipRoutes.js';
+import providerRoutes from './routes/providerRoutes.js';
+import prescriptionRoutes from './routes/prescriptionRoutes.js';
+import interactionRoutes from './routes/interactionRoutes.js';
 
 // Import WebSocket and MQTT setup
 import setupWebSocket from './websockets/websocketServer.js';
 // import setupMQTT from './mqtt/mqttClient.js';
 import MQTTController from './mqtt/mqttClient.js';
 
+// Import background jobs
+import { startDoseMaterializer } from './services/schedule/doseMaterializer.js';
+import { startMissedDoseSweeper } from './services/alert/missedDoseService.js';
+import { startCommandWorker } from './services/dispenser/commandService.js';
+import { startHeartbeatWatchdog } from './services/dispenser/connectivityService.js';
+import { loadConfiguredInteractionDataset } from './services/interaction/interactionDataset.js';
+
 // Load environment variables
 dotenv.config();
 
@@ -36,7 +47,12 @@ app.use(cors({
   credentials: true
 }));
 app.use(helmet());
-app.use(express.json());
+// Keep the raw body around for webhook signature verification
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: false }));
 app.use(morgan('dev'));
 
@@ -47,6 +63,10 @@ app.use('/api/dispensers', dispenserRoutes);
 app.use('/api/schedules', scheduleRoutes);
 app.use('/api/alerts', alertRoutes);
 app.use('/api/inventory', inventoryRoutes);
+app.use('/api/care-relationships', careRelationshipRoutes);
+app.use('/api/providers', providerRoutes);
+app.use('/api/prescriptions', prescriptionRoutes);
+app.use('/api/interactions', interactionRoutes);
 
 // Error Handling
 app.use(notFound);
@@ -64,6 +84,15 @@ setupWebSocket(server);
 // setupMQTT();
 MQTTController.connect();
 
+// Start background jobs
+startDoseMaterializer();
+startMissedDoseSweeper();
+startCommandWorker();
+startHeartbeatWatchdog();
+
+// Load the local drug interaction dataset, if one is configured
+loadConfiguredInteractionDataset();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.log(`Error: ${err.message}`);
@@ -1,6 +1,14 @@
 // services/alert/alertService.js
-const { db } = require('../../config/database');
-const notificationService = require('../notification');
+import Alert from '../../models/alertModel.js';
+import User from '../../models/userModel.js';
+import { emitToUser, emitToCaregivers } from '../../websockets/websocketServer.js';
+
+const SEVERITY_MAP = {
+  CRITICAL: 'high',
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low'
+};
 
 /**
  * Handle alerts received from dispenser devices
@@ -8,104 +16,80 @@ const notificationService = require('../notification');
  * @param {Object} payload The alert payload
  * @returns {Promise<void>}
  */
-exports.handleDispenserAlert = async (device, payload) => {
+export const handleDispenserAlert = async (device, payload) => {
   try {
-    const { 
-      alertType, 
-      severity, 
-      message, 
+    const {
+      alertType,
+      message,
       data,
-      timestamp 
+      timestamp
     } = payload;
-    
-    // Log the alert
-    await db.alertLogs.create({
-      data: {
-        deviceId: device.deviceId,
-        alertType,
-        severity,
-        message,
-        data: JSON.stringify(data || {}),
-        timestamp: new Date(timestamp) || new Date()
-      }
-    });
-    
-    console.log(`Logged ${severity} alert for device ${device.deviceId}: ${alertType}`);
-    
-    // Determine notification type based on alert type
-    let notificationType;
+    const severity = (payload.severity || 'MEDIUM').toUpperCase();
+
+    // Determine alert category and title based on alert type
+    let category = 'general_alert';
     let title;
-    
+
     switch (alertType) {
       case 'TAMPER_DETECTED':
-        notificationType = 'SECURITY_ALERT';
         title = 'Security Alert: Dispenser Tampering';
         break;
       case 'MECHANICAL_JAM':
-        notificationType = 'DEVICE_ERROR';
+        category = 'medication_error';
         title = 'Dispenser Mechanical Issue';
         break;
       case 'POWER_OUTAGE':
-        notificationType = 'DEVICE_ERROR';
         title = 'Dispenser Power Issue';
         break;
       case 'CONNECTIVITY_ISSUE':
-        notificationType = 'DEVICE_ERROR';
         title = 'Dispenser Connection Issue';
         break;
       case 'MISSED_DOSE':
-        notificationType = 'MISSED_DOSE';
+        category = 'missed_dose';
         title = 'Missed Medication Dose';
         break;
       default:
-        notificationType = 'GENERAL_ALERT';
         title = `Dispenser Alert: ${alertType}`;
     }
-    
-    // For critical or high severity alerts, send notification to user
+
+    const alert = await Alert.create({
+      alertType: category,
+      severity: SEVERITY_MAP[severity] || 'medium',
+      patient: device.ownedBy,
+      message: message || `${title} reported by ${device.name}`,
+      status: 'active'
+    });
+
+    console.log(`Logged ${severity} alert for device ${device.deviceId}: ${alertType}`);
+
+    // For critical or high severity alerts, notify the user in real time
     if (severity === 'CRITICAL' || severity === 'HIGH') {
-      await notificationService.createNotification(
-        device.userId,
-        notificationType,
+      const eventData = {
+        alertId: alert._id,
+        deviceId: device.deviceId,
+        alertType,
+        severity,
         title,
-        message || `Your medicine dispenser has reported a ${severity.toLowerCase()} severity alert.`,
-        {
-          deviceId: device.deviceId,
-          alertType,
-          severity,
-          ...data
-        }
-      );
-      
-      console.log(`Created notification for ${severity} alert: ${alertType}`);
-      
-      // For critical alerts, also notify caregivers if configured
+        message: alert.message,
+        data,
+        time: timestamp ? new Date(timestamp) : new Date()
+      };
+
+      emitToUser(device.ownedBy, 'device:alert', eventData);
+
+      // For critical alerts, also notify caregivers
       if (severity === 'CRITICAL') {
-        const caregivers = await db.caregivers.findMany({
-          where: { userId: device.userId, notificationsEnabled: true }
-        });
-        
-        for (const caregiver of caregivers) {
-          await notificationService.createNotification(
-            caregiver.caregiverId,
-            notificationType,
-            `ALERT for ${device.user.firstName}: ${title}`,
-            `${device.user.firstName} ${device.user.lastName}'s dispenser has reported a critical alert: ${message}`,
-            {
-              deviceId: device.deviceId,
-              userId: device.userId,
-              userName: `${device.user.firstName} ${device.user.lastName}`,
-              alertType,
-              severity,
-              ...data
-            }
-          );
-          
-          console.log(`Created notification for caregiver ${caregiver.caregiverId}`);
+        const owner = await User.findById(device.ownedBy);
+        if (owner) {
+          await emitToCaregivers(owner, 'patient:device:alert', {
+            ...eventData,
+            patientId: owner._id,
+            patientName: owner.fullName
+          });
         }
       }
     }
   } catch (error) {
     console.error('Error handling dispenser alert:', error);
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,154 @@
+// services/alert/missedDoseService.js
+import DispensingLog from '../../models/dispenserLogModel.js';
+import Alert from '../../models/alertModel.js';
+import User from '../../models/userModel.js';
+import { emitToUser, emitToCaregivers } from '../../websockets/websocketServer.js';
+
+const DEFAULT_GRACE_MINUTES = 60;
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+let sweeperTimer = null;
+
+const getDefaultGraceMinutes = () => {
+  const minutes = parseInt(process.env.MISSED_DOSE_GRACE_MINUTES);
+  return Number.isNaN(minutes) ? DEFAULT_GRACE_MINUTES : minutes;
+};
+
+/**
+ * Grace window for a dose, using the patient medication override if set
+ * @param {Object} patientMedication The populated patient medication
+ * @returns {number} Grace window in minutes
+ */
+export const getGraceMinutes = (patientMedication) => {
+  if (patientMedication && typeof patientMedication.missedDoseGraceMinutes === 'number') {
+    return patientMedication.missedDoseGraceMinutes;
+  }
+  return getDefaultGraceMinutes();
+};
+
+/**
+ * Alert severity for a missed dose of a catalog medication
+ * @param {Object} medication The catalog medication
+ * @returns {string} Alert severity
+ */
+export const getMissedDoseSeverity = (medication) => {
+  if (!medication) return 'medium';
+  if (medication.isCritical) return 'high';
+  return medication.prescriptionRequired === false ? 'low' : 'medium';
+};
+
+/**
+ * Mark a single overdue dose as missed and raise the alert
+ * @param {Object} log The dispensing log with populated medication
+ * @returns {Promise<Object|null>} The created alert, or null if already handled
+ */
+const markDoseMissed = async (log) => {
+  // Only the sweeper that flips the status raises the alert
+  const updatedLog = await DispensingLog.findOneAndUpdate(
+    { _id: log._id, status: 'scheduled' },
+    { status: 'missed' },
+    { new: true }
+  );
+
+  if (!updatedLog) return null;
+
+  const patientMedication = log.medication;
+  const medication = patientMedication?.medication;
+  const medicationName = medication?.name || 'medication';
+
+  const alert = await Alert.create({
+    alertType: 'missed_dose',
+    severity: getMissedDoseSeverity(medication),
+    patient: log.patient,
+    medication: medication?._id || null,
+    message: `Missed dose of ${medicationName} scheduled for ${log.scheduledTime.toISOString()}`,
+    status: 'active'
+  });
+
+  const patient = await User.findById(log.patient);
+  const eventData = {
+    patientId: log.patient,
+    patientName: patient?.fullName,
+    medicationId: patientMedication?._id,
+    medicationName,
+    dispensingId: log._id,
+    alertId: alert._id,
+    severity: alert.severity,
+    scheduledTime: log.scheduledTime,
+    time: new Date()
+  };
+
+  emitToUser(log.patient, 'patient:medication:missed', eventData);
+  if (patient) {
+    await emitToCaregivers(patient, 'patient:medication:missed', eventData);
+  }
+
+  return alert;
+};
+
+/**
+ * Find scheduled doses whose grace window has passed and mark them missed
+ * @returns {Promise<number>} Number of doses marked as missed
+ */
+export const sweepMissedDoses = async () => {
+  const now = new Date();
+
+  // As-needed doses are never due, so they cannot be missed
+  const overdueLogs = await DispensingLog.find({
+    status: 'scheduled',
+    asNeeded: { $ne: true },
+    scheduledTime: { $lte: now }
+  }).populate({
+    path: 'medication',
+    populate: { path: 'medication', select: 'name isCritical prescriptionRequired' }
+  });
+
+  let missedCount = 0;
+  for (const log of overdueLogs) {
+    const deadline = new Date(
+      log.scheduledTime.getTime() + getGraceMinutes(log.medication) * 60 * 1000
+    );
+    if (deadline > now) continue;
+
+    try {
+      const alert = await markDoseMissed(log);
+      if (alert) missedCount++;
+    } catch (error) {
+      console.error(`Failed to mark dose ${log._id} as missed:`, error);
+    }
+  }
+
+  if (missedCount > 0) {
+    console.log(`Marked ${missedCount} dose(s) as missed`);
+  }
+  return missedCount;
+};
+
+/**
+ * Start the periodic missed dose sweeper
+ * @returns {Object} The interval timer
+ */
+export const startMissedDoseSweeper = () => {
+  if (sweeperTimer) return sweeperTimer;
+
+  const intervalMinutes =
+    parseInt(process.env.MISSED_DOSE_SWEEP_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+  const run = () => sweepMissedDoses().catch(error => {
+    console.error('Missed dose sweeper error:', error);
+  });
+
+  run();
+  sweeperTimer = setInterval(run, intervalMinutes * 60 * 1000);
+  return sweeperTimer;
+};
+
+/**
+ * Stop the periodic missed dose sweeper
+ */
+export const stopMissedDoseSweeper = () => {
+  if (sweeperTimer) {
+    clearInterval(sweeperTimer);
+    sweeperTimer = null;
+  }
+};
@@ -0,0 +1,75 @@
+// services/auth/accessPolicy.js
+import mongoose from 'mongoose';
+import User from '../../models/userModel.js';
+import CareRelationship from '../../models/careRelationshipModel.js';
+import { hasCarePermission } from '../care/careRelationshipService.js';
+
+// What a user wants to do with a patient's data
+export const PATIENT_ACCESS = {
+  VIEW: 'view',
+  ALERTS: 'alerts',
+  EDIT: 'edit',
+  DISPENSE: 'dispense'
+};
+
+// The caregiver permission each kind of access requires
+const CARE_PERMISSION_FOR = {
+  [PATIENT_ACCESS.VIEW]: 'viewSchedule',
+  [PATIENT_ACCESS.ALERTS]: 'receiveAlerts',
+  [PATIENT_ACCESS.EDIT]: 'editMedications',
+  [PATIENT_ACCESS.DISPENSE]: 'triggerDispense'
+};
+
+// Providers manage their patients' care but never operate devices remotely
+const PROVIDER_ACCESS = [PATIENT_ACCESS.VIEW, PATIENT_ACCESS.ALERTS, PATIENT_ACCESS.EDIT];
+
+/**
+ * Check whether a user may access a patient's data
+ * @param {Object} user The user making the request
+ * @param {string} patientId The patient ID
+ * @param {string} access One of PATIENT_ACCESS
+ * @returns {Promise<boolean>}
+ */
+export const canAccessPatient = async (user, patientId, access = PATIENT_ACCESS.VIEW) => {
+  if (!user || !patientId) return false;
+
+  const id = patientId._id || patientId;
+  if (!mongoose.isValidObjectId(id)) return false;
+
+  if (user.role === 'admin') return true;
+  if (user._id.toString() === id.toString()) return true;
+
+  if (user.role === 'healthcare_provider' && PROVIDER_ACCESS.includes(access)) {
+    const assigned = await User.exists({ _id: id, assignedProviders: user._id });
+    if (assigned) return true;
+  }
+
+  // Anyone, including other patients, can be a linked caregiver
+  return hasCarePermission(user._id, id, CARE_PERMISSION_FOR[access]);
+};
+
+/**
+ * Patients whose data a user may access
+ * @param {Object} user The user making the request
+ * @param {string} access One of PATIENT_ACCESS
+ * @returns {Promise<Array|null>} Patient IDs, or null when the user may access everyone
+ */
+export const getAccessiblePatientIds = async (user, access = PATIENT_ACCESS.VIEW) => {
+  if (user.role === 'admin') return null;
+
+  const patientIds = [user._id];
+
+  if (user.role === 'healthcare_provider' && PROVIDER_ACCESS.includes(access)) {
+    const patients = await User.find({ assignedProviders: user._id }).select('_id');
+    patientIds.push(...patients.map(patient => patient._id));
+  }
+
+  const relationships = await CareRelationship.find({
+    caregiver: user._id,
+    status: 'active',
+    [`permissions.${CARE_PERMISSION_FOR[access]}`]: true
+  }).select('patient');
+  patientIds.push(...relationships.map(relationship => relationship.patient));
+
+  return patientIds;
+};
@@ -0,0 +1,111 @@
+// services/auth/clerkTokenService.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const DEFAULT_JWKS_CACHE_MINUTES = 60;
+// Do not hammer the JWKS endpoint when tokens carry unknown key IDs
+const MIN_JWKS_REFRESH_MS = 30 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 5;
+
+let jwksCache = { keys: new Map(), fetchedAt: 0 };
+
+const getJwksUrl = () => {
+  if (process.env.CLERK_JWKS_URL) return process.env.CLERK_JWKS_URL;
+  if (process.env.CLERK_ISSUER) return `${process.env.CLERK_ISSUER.replace(/\/$/, '')}/.well-known/jwks.json`;
+  return null;
+};
+
+const getCacheMs = () =>
+  (parseInt(process.env.CLERK_JWKS_CACHE_MINUTES) || DEFAULT_JWKS_CACHE_MINUTES) * 60 * 1000;
+
+// Clerk's PEM public key, allowing verification without fetching the JWKS
+const getStaticKey = () =>
+  process.env.CLERK_JWT_KEY ? process.env.CLERK_JWT_KEY.replace(/\\n/g, '\n') : null;
+
+/**
+ * Replace the cached signing keys
+ * @param {Object} jwks A JSON Web Key Set { keys: [...] }
+ */
+export const loadJwks = (jwks) => {
+  const keys = new Map();
+
+  (jwks.keys || []).forEach(jwk => {
+    if (jwk.kty !== 'RSA' || (jwk.use && jwk.use !== 'sig')) return;
+    keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+  });
+
+  jwksCache = { keys, fetchedAt: Date.now() };
+};
+
+const refreshJwks = async () => {
+  const url = getJwksUrl();
+  if (!url) {
+    throw new Error('CLERK_JWKS_URL, CLERK_ISSUER or CLERK_JWT_KEY must be set to verify tokens');
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch Clerk JWKS: ${response.status}`);
+  }
+
+  loadJwks(await response.json());
+};
+
+/**
+ * Find the public key a token was signed with
+ * @param {string} kid The key ID from the token header
+ * @returns {Promise<Object>} The public key
+ */
+export const getSigningKey = async (kid) => {
+  const staticKey = getStaticKey();
+  if (staticKey) return staticKey;
+
+  const age = Date.now() - jwksCache.fetchedAt;
+  const unknownKid = !jwksCache.keys.has(kid);
+
+  // Refresh when the cache expired or Clerk rotated to a key we have not seen
+  if (age > getCacheMs() || (unknownKid && age > MIN_JWKS_REFRESH_MS)) {
+    await refreshJwks();
+  }
+
+  const key = jwksCache.keys.get(kid);
+  if (!key) {
+    throw new Error(`No signing key found for kid ${kid}`);
+  }
+  return key;
+};
+
+/**
+ * Verify a Clerk session token
+ * @param {string} token The session JWT
+ * @returns {Promise<Object>} The token claims, sub is the Clerk user ID
+ */
+export const verifyClerkToken = async (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new Error('Malformed token');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+
+  const claims = jwt.verify(token, key, {
+    algorithms: ['RS256'],
+    issuer: process.env.CLERK_ISSUER || undefined,
+    clockTolerance: CLOCK_TOLERANCE_SECONDS
+  });
+
+  // Reject tokens minted for other front ends
+  const authorizedParties = (process.env.CLERK_AUTHORIZED_PARTIES || '')
+    .split(',')
+    .map(party => party.trim())
+    .filter(Boolean);
+  if (claims.azp && authorizedParties.length > 0 && !authorizedParties.includes(claims.azp)) {
+    throw new Error(`Token azp ${claims.azp} is not an authorized party`);
+  }
+
+  if (!claims.sub) {
+    throw new Error('Token has no subject');
+  }
+
+  return claims;
+};
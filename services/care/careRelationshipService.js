@@ -0,0 +1,338 @@
+// services/care/careRelationshipService.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import CareRelationship, { CARE_PERMISSIONS } from '../../models/careRelationshipModel.js';
+import User from '../../models/userModel.js';
+import { emitToUser } from '../../websockets/websocketServer.js';
+
+const DEFAULT_INVITE_TTL_DAYS = 7;
+
+const getInviteTtlMs = () =>
+  (parseInt(process.env.CARE_INVITE_TTL_DAYS) || DEFAULT_INVITE_TTL_DAYS) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : undefined);
+const normalizePhone = (phoneNumber) => (phoneNumber ? String(phoneNumber).replace(/[^\d+]/g, '') : undefined);
+
+const sameId = (a, b) => a && b && a.toString() === b.toString();
+
+/**
+ * Keep only known permission flags
+ * @param {Object} permissions Requested permissions
+ * @returns {Object} Permission flags keyed by CARE_PERMISSIONS
+ */
+export const normalizePermissions = (permissions = {}) =>
+  CARE_PERMISSIONS.reduce((result, permission) => {
+    if (permissions[permission] !== undefined) {
+      result[permission] = Boolean(permissions[permission]);
+    }
+    return result;
+  }, {});
+
+// Contacts Clerk has verified belong to the user. Anyone can type a phone number
+// into their profile, so unverified contacts never match an invitation
+const getVerifiedContacts = (user) => ({
+  email: user.emailVerified ? normalizeEmail(user.email) : undefined,
+  phoneNumber: user.phoneVerified ? normalizePhone(user.phoneNumber) : undefined
+});
+
+// Whether a pending invitation is addressed to one of the contacts
+const isAddressedTo = (relationship, contacts) =>
+  (relationship.invitee.email && relationship.invitee.email === contacts.email) ||
+  (relationship.invitee.phoneNumber && relationship.invitee.phoneNumber === contacts.phoneNumber);
+
+// Pending invitations past their expiry are closed when touched
+const expireIfStale = async (relationship) => {
+  if (relationship.status === 'pending' && relationship.inviteExpiresAt < new Date()) {
+    relationship.status = 'expired';
+    await relationship.save();
+  }
+  return relationship;
+};
+
+/**
+ * Invite a caregiver by email or phone number
+ * @param {Object} patient The patient being cared for
+ * @param {Object} invitation { email, phoneNumber, relationship, permissions }
+ * @param {Object} invitedBy The user sending the invitation
+ * @returns {Promise<Object>} { success, relationship, inviteToken }
+ */
+export const inviteCaregiver = async (patient, invitation, invitedBy) => {
+  const email = normalizeEmail(invitation.email);
+  const phoneNumber = normalizePhone(invitation.phoneNumber);
+
+  if (!email && !phoneNumber) {
+    return { success: false, statusCode: 400, message: 'An email address or phone number is required' };
+  }
+
+  const patientContacts = { email: normalizeEmail(patient.email), phoneNumber: normalizePhone(patient.phoneNumber) };
+  if (isAddressedTo({ invitee: { email, phoneNumber } }, patientContacts)) {
+    return { success: false, statusCode: 400, message: 'Patients cannot invite themselves' };
+  }
+
+  const contactFilter = [
+    ...(email ? [{ 'invitee.email': email }] : []),
+    ...(phoneNumber ? [{ 'invitee.phoneNumber': phoneNumber }] : [])
+  ];
+
+  const pending = await CareRelationship.findOne({
+    patient: patient._id,
+    status: 'pending',
+    inviteExpiresAt: { $gt: new Date() },
+    $or: contactFilter
+  });
+  if (pending) {
+    return { success: false, statusCode: 409, message: 'An invitation is already pending for this contact' };
+  }
+
+  const existingUser = await User.findOne({
+    isActive: true,
+    $or: [
+      ...(email ? [{ email, emailVerified: true }] : []),
+      ...(phoneNumber ? [{ phoneNumber, phoneVerified: true }] : [])
+    ]
+  });
+
+  if (existingUser) {
+    const active = await CareRelationship.findOne({
+      patient: patient._id,
+      caregiver: existingUser._id,
+      status: 'active'
+    });
+    if (active) {
+      return { success: false, statusCode: 409, message: 'This caregiver is already linked to the patient' };
+    }
+  }
+
+  const inviteToken = crypto.randomBytes(24).toString('hex');
+
+  const relationship = await CareRelationship.create({
+    patient: patient._id,
+    invitedBy: invitedBy._id,
+    invitee: { email, phoneNumber },
+    relationship: invitation.relationship || 'caregiver',
+    permissions: normalizePermissions(invitation.permissions),
+    inviteTokenHash: hashToken(inviteToken),
+    inviteExpiresAt: new Date(Date.now() + getInviteTtlMs())
+  });
+
+  // Users that already have an account see the invitation straight away
+  if (existingUser) {
+    emitToUser(existingUser._id, 'care:invitation', {
+      relationshipId: relationship._id,
+      patientId: patient._id,
+      patientName: patient.fullName,
+      relationship: relationship.relationship,
+      permissions: relationship.permissions,
+      expiresAt: relationship.inviteExpiresAt
+    });
+  }
+
+  return {
+    success: true,
+    relationship: await CareRelationship.findById(relationship._id),
+    inviteToken
+  };
+};
+
+/**
+ * Accept or decline a pending invitation
+ * @param {Object} user The user responding
+ * @param {string} id The relationship ID
+ * @param {boolean} accept Whether to accept the invitation
+ * @param {string} inviteToken Token from the invitation, optional when it was sent to a verified contact of the user
+ * @returns {Promise<Object>} { success, relationship }
+ */
+export const respondToInvitation = async (user, id, accept, inviteToken) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return { success: false, statusCode: 404, message: 'Invitation not found' };
+  }
+
+  const relationship = await CareRelationship.findById(id).select('+inviteTokenHash');
+
+  if (!relationship) {
+    return { success: false, statusCode: 404, message: 'Invitation not found' };
+  }
+
+  const tokenMatches = inviteToken && hashToken(inviteToken) === relationship.inviteTokenHash;
+  if (!tokenMatches && !isAddressedTo(relationship, getVerifiedContacts(user))) {
+    return { success: false, statusCode: 403, message: 'This invitation was sent to someone else' };
+  }
+
+  await expireIfStale(relationship);
+  if (relationship.status !== 'pending') {
+    return { success: false, statusCode: 409, message: `Invitation is ${relationship.status}` };
+  }
+
+  if (sameId(relationship.patient, user._id)) {
+    return { success: false, statusCode: 400, message: 'Patients cannot accept their own invitation' };
+  }
+
+  if (accept) {
+    const active = await CareRelationship.findOne({
+      patient: relationship.patient,
+      caregiver: user._id,
+      status: 'active'
+    });
+    if (active) {
+      return { success: false, statusCode: 409, message: 'You are already linked to this patient' };
+    }
+  }
+
+  relationship.status = accept ? 'active' : 'declined';
+  relationship.caregiver = accept ? user._id : null;
+  relationship.respondedAt = new Date();
+  relationship.inviteTokenHash = undefined;
+  await relationship.save();
+
+  emitToUser(relationship.patient, accept ? 'care:invitationAccepted' : 'care:invitationDeclined', {
+    relationshipId: relationship._id,
+    caregiverId: user._id,
+    caregiverName: user.fullName,
+    time: relationship.respondedAt
+  });
+
+  return { success: true, relationship: await CareRelationship.findById(relationship._id) };
+};
+
+/**
+ * Change what a caregiver is allowed to do
+ * @param {Object} user The patient (or an admin) making the change
+ * @param {string} id The relationship ID
+ * @param {Object} permissions Permission flags to change
+ * @returns {Promise<Object>} { success, relationship }
+ */
+export const updatePermissions = async (user, id, permissions) => {
+  const relationship = mongoose.isValidObjectId(id) ? await CareRelationship.findById(id) : null;
+
+  if (!relationship) {
+    return { success: false, statusCode: 404, message: 'Care relationship not found' };
+  }
+
+  if (!sameId(relationship.patient, user._id) && user.role !== 'admin') {
+    return { success: false, statusCode: 403, message: 'Only the patient can change caregiver permissions' };
+  }
+
+  if (!['pending', 'active'].includes(relationship.status)) {
+    return { success: false, statusCode: 409, message: `Care relationship is ${relationship.status}` };
+  }
+
+  Object.assign(relationship.permissions, normalizePermissions(permissions));
+  await relationship.save();
+
+  if (relationship.caregiver) {
+    emitToUser(relationship.caregiver, 'care:permissionsUpdated', {
+      relationshipId: relationship._id,
+      patientId: relationship.patient,
+      permissions: relationship.permissions
+    });
+  }
+
+  return { success: true, relationship };
+};
+
+/**
+ * End a care relationship or cancel a pending invitation
+ * @param {Object} user The patient, caregiver or admin ending it
+ * @param {string} id The relationship ID
+ * @returns {Promise<Object>} { success, message }
+ */
+export const revokeRelationship = async (user, id) => {
+  const relationship = mongoose.isValidObjectId(id) ? await CareRelationship.findById(id) : null;
+
+  if (!relationship) {
+    return { success: false, statusCode: 404, message: 'Care relationship not found' };
+  }
+
+  const isParty = sameId(relationship.patient, user._id) || sameId(relationship.caregiver, user._id);
+  if (!isParty && user.role !== 'admin') {
+    return { success: false, statusCode: 403, message: 'Not authorised to end this care relationship' };
+  }
+
+  if (!['pending', 'active'].includes(relationship.status)) {
+    return { success: false, statusCode: 409, message: `Care relationship is already ${relationship.status}` };
+  }
+
+  relationship.status = 'revoked';
+  relationship.revokedAt = new Date();
+  relationship.revokedBy = user._id;
+  await relationship.save();
+
+  // Let the other side know
+  [relationship.patient, relationship.caregiver]
+    .filter(partyId => partyId && !sameId(partyId, user._id))
+    .forEach(partyId => {
+      emitToUser(partyId, 'care:revoked', {
+        relationshipId: relationship._id,
+        time: relationship.revokedAt
+      });
+    });
+
+  return { success: true, message: 'Care relationship ended' };
+};
+
+/**
+ * List the relationships a user is part of and invitations waiting for them
+ * @param {Object} user The user
+ * @returns {Promise<Object>} { caregivers, patients, invitations }
+ */
+export const listRelationships = async (user) => {
+  const contacts = getVerifiedContacts(user);
+  const contactFilter = [
+    ...(contacts.email ? [{ 'invitee.email': contacts.email }] : []),
+    ...(contacts.phoneNumber ? [{ 'invitee.phoneNumber': contacts.phoneNumber }] : [])
+  ];
+
+  const [caregivers, patients, invitations] = await Promise.all([
+    CareRelationship.find({ patient: user._id, status: { $in: ['pending', 'active'] } })
+      .populate('caregiver', 'firstName lastName email phoneNumber'),
+    CareRelationship.find({ caregiver: user._id, status: 'active' })
+      .populate('patient', 'firstName lastName email phoneNumber'),
+    contactFilter.length > 0
+      ? CareRelationship.find({
+        status: 'pending',
+        inviteExpiresAt: { $gt: new Date() },
+        $or: contactFilter
+      }).populate('patient', 'firstName lastName')
+      : []
+  ]);
+
+  return { caregivers, patients, invitations };
+};
+
+/**
+ * Caregivers of a patient holding a permission
+ * @param {string} patientId The patient ID
+ * @param {string} permission One of CARE_PERMISSIONS
+ * @returns {Promise<Array>} Active caregiver user IDs
+ */
+export const getCaregiverIds = async (patientId, permission = 'receiveAlerts') => {
+  const relationships = await CareRelationship.find({
+    patient: patientId,
+    status: 'active',
+    [`permissions.${permission}`]: true
+  }).populate({ path: 'caregiver', select: '_id isActive' });
+
+  return relationships
+    .filter(relationship => relationship.caregiver?.isActive)
+    .map(relationship => relationship.caregiver._id);
+};
+
+/**
+ * Check whether a caregiver may act for a patient
+ * @param {string} caregiverId The caregiver user ID
+ * @param {string} patientId The patient ID
+ * @param {string} permission One of CARE_PERMISSIONS
+ * @returns {Promise<boolean>}
+ */
+export const hasCarePermission = async (caregiverId, patientId, permission) => {
+  const relationship = await CareRelationship.exists({
+    patient: patientId,
+    caregiver: caregiverId,
+    status: 'active',
+    [`permissions.${permission}`]: true
+  });
+  return Boolean(relationship);
+};
@@ -0,0 +1,272 @@
+// services/dispenser/commandService.js
+import crypto from 'crypto';
+import DeviceCommand from '../../models/deviceCommandModel.js';
+import DispensingLog from '../../models/dispenserLogModel.js';
+import { publishToDevice } from '../../mqtt/mqttClient.js';
+import { handleDispensedConfirmation } from './dispensingService.js';
+import { emitToDevice, emitToUser } from '../../websockets/websocketServer.js';
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_POLL_SECONDS = 5;
+
+// Commands in these states are still waiting on the device
+const ACTIVE_STATUSES = ['pending', 'sent', 'acked'];
+
+let commandWorkerTimer = null;
+
+const getNumberEnv = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+const getAckTopic = (deviceId) => `dispenser/${deviceId}/ack`;
+
+/**
+ * Tell the device room and the requesting user about a command state change
+ * @param {Object} command The device command document
+ */
+const emitCommandUpdate = (command) => {
+  const data = {
+    commandId: command._id,
+    correlationId: command.correlationId,
+    deviceId: command.deviceId,
+    commandType: command.commandType,
+    status: command.status,
+    attempts: command.attempts,
+    dispensingId: command.dispensingLog,
+    error: command.lastError,
+    time: new Date()
+  };
+
+  emitToDevice(command.device, 'device:command', data);
+  if (command.requestedBy) {
+    emitToUser(command.requestedBy, 'command:updated', data);
+  }
+};
+
+/**
+ * Move a command into a final state and reflect it on its dispensing log
+ * @param {Object} command The device command document
+ * @param {string} status One of completed, failed or expired
+ * @param {string} errorMessage Optional reason for failure
+ * @returns {Promise<Object>} The updated command
+ */
+const finalizeCommand = async (command, status, errorMessage) => {
+  command.status = status;
+  command.completedAt = new Date();
+  command.nextAttemptAt = null;
+  if (errorMessage) {
+    command.lastError = errorMessage;
+  }
+  await command.save();
+
+  // A dispense that never happened must not stay scheduled
+  if (command.commandType === 'dispense' && command.dispensingLog && status !== 'completed') {
+    await DispensingLog.updateOne(
+      { _id: command.dispensingLog, status: 'scheduled' },
+      { status: 'failed', notes: errorMessage || `Dispense command ${status}` }
+    );
+  }
+
+  console.log(`Command ${command.correlationId} (${command.commandType}) ${status}`);
+  emitCommandUpdate(command);
+  return command;
+};
+
+/**
+ * Publish one attempt of a command and schedule the next retry
+ * @param {Object} command The device command document
+ * @returns {Promise<Object>} The updated command
+ */
+const publishCommand = async (command) => {
+  const published = publishToDevice(command.deviceId, command.commandType, {
+    ...command.payload,
+    correlationId: command.correlationId,
+    ackTopic: command.ackTopic
+  }, { qos: 1 });
+
+  const now = Date.now();
+
+  if (published) {
+    command.attempts += 1;
+    command.status = 'sent';
+    // Exponential backoff between attempts
+    command.nextAttemptAt = new Date(now + command.timeoutMs * Math.pow(2, command.attempts - 1));
+  } else {
+    command.lastError = 'MQTT client not connected';
+    command.nextAttemptAt = new Date(now + command.timeoutMs);
+  }
+
+  await command.save();
+  emitCommandUpdate(command);
+  return command;
+};
+
+/**
+ * Queue a command for a device and send the first attempt
+ * @param {Object} device The device document from database
+ * @param {string} commandType dispense, calibrate, configure or update_inventory
+ * @param {Object} payload Command specific payload
+ * @param {Object} options Optional { dispensingLog, requestedBy, timeoutMs, maxAttempts, ttlMs }
+ * @returns {Promise<Object>} The persisted command
+ */
+export const sendCommand = async (device, commandType, payload, options = {}) => {
+  const timeoutMs = options.timeoutMs || getNumberEnv('DEVICE_COMMAND_TIMEOUT_MS', DEFAULT_TIMEOUT_MS);
+  const ttlMs = options.ttlMs || getNumberEnv('DEVICE_COMMAND_TTL_MS', DEFAULT_TTL_MS);
+
+  const command = await DeviceCommand.create({
+    device: device._id,
+    deviceId: device.deviceId,
+    commandType,
+    correlationId: crypto.randomUUID(),
+    payload,
+    dispensingLog: options.dispensingLog,
+    requestedBy: options.requestedBy,
+    ackTopic: getAckTopic(device.deviceId),
+    maxAttempts: options.maxAttempts || getNumberEnv('DEVICE_COMMAND_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS),
+    timeoutMs,
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return publishCommand(command);
+};
+
+/**
+ * Settle the active dispense command of a dispensing log once the device reports the outcome
+ * @param {string} dispensingLogId The dispensing log ID
+ * @param {boolean} success Whether the device dispensed
+ * @param {string} errorMessage Optional failure reason
+ * @returns {Promise<Object|null>} The settled command
+ */
+export const settleDispenseCommand = async (dispensingLogId, success, errorMessage) => {
+  const command = await DeviceCommand.findOne({
+    dispensingLog: dispensingLogId,
+    commandType: 'dispense',
+    status: { $in: ACTIVE_STATUSES }
+  });
+
+  if (!command) return null;
+
+  return finalizeCommand(command, success ? 'completed' : 'failed', success ? null : errorMessage);
+};
+
+/**
+ * Handle acknowledgements received from dispenser devices
+ * @param {Object} device The device document from database
+ * @param {Object} payload The ack payload { correlationId, status, errorMessage }
+ * @returns {Promise<void>}
+ */
+export const handleCommandAck = async (device, payload) => {
+  try {
+    const { correlationId, errorMessage, timestamp } = payload;
+    const ackStatus = payload.status || 'received';
+
+    const command = await DeviceCommand.findOne({ correlationId, device: device._id });
+
+    if (!command) {
+      console.error(`Command ${correlationId} not found for device ${device.deviceId}`);
+      return;
+    }
+
+    // QoS 1 can redeliver, ignore acks for settled commands
+    if (!ACTIVE_STATUSES.includes(command.status)) return;
+
+    switch (ackStatus) {
+      case 'received':
+      case 'acked':
+        command.status = 'acked';
+        command.ackedAt = new Date();
+        command.nextAttemptAt = null;
+        await command.save();
+        emitCommandUpdate(command);
+        break;
+      case 'completed':
+      case 'failed': {
+        const success = ackStatus === 'completed';
+
+        // Dispense outcomes go through the same path as dispensed messages
+        if (command.commandType === 'dispense' && command.dispensingLog) {
+          await handleDispensedConfirmation(device, {
+            requestId: command.dispensingLog.toString(),
+            compartmentId: command.payload.compartmentId,
+            success,
+            errorMessage,
+            timestamp
+          });
+          await settleDispenseCommand(command.dispensingLog, success, errorMessage);
+        } else {
+          await finalizeCommand(command, ackStatus, success ? null : (errorMessage || 'Device reported failure'));
+        }
+        break;
+      }
+      default:
+        console.warn(`Unknown ack status from device ${device.deviceId}: ${ackStatus}`);
+    }
+  } catch (error) {
+    console.error('Error handling command ack:', error);
+  }
+};
+
+/**
+ * Retry unacknowledged commands and expire stale ones
+ * @returns {Promise<void>}
+ */
+export const processCommandQueue = async () => {
+  const now = new Date();
+
+  const expiredCommands = await DeviceCommand.find({
+    status: { $in: ACTIVE_STATUSES },
+    expiresAt: { $lte: now }
+  });
+
+  for (const command of expiredCommands) {
+    await finalizeCommand(command, 'expired', 'Command expired before completion');
+  }
+
+  const dueCommands = await DeviceCommand.find({
+    status: { $in: ['pending', 'sent'] },
+    nextAttemptAt: { $lte: now }
+  });
+
+  for (const command of dueCommands) {
+    try {
+      if (command.attempts >= command.maxAttempts) {
+        await finalizeCommand(
+          command,
+          'failed',
+          `No acknowledgement from device after ${command.attempts} attempt(s)`
+        );
+      } else {
+        await publishCommand(command);
+      }
+    } catch (error) {
+      console.error(`Failed to process command ${command.correlationId}:`, error);
+    }
+  }
+};
+
+/**
+ * Start the command retry worker
+ * @returns {Object} The interval timer
+ */
+export const startCommandWorker = () => {
+  if (commandWorkerTimer) return commandWorkerTimer;
+
+  const pollSeconds = getNumberEnv('DEVICE_COMMAND_POLL_SECONDS', DEFAULT_POLL_SECONDS);
+
+  commandWorkerTimer = setInterval(() => {
+    processCommandQueue().catch(error => {
+      console.error('Command worker error:', error);
+    });
+  }, pollSeconds * 1000);
+  return commandWorkerTimer;
+};
+
+/**
+ * Stop the command retry worker
+ */
+export const stopCommandWorker = () => {
+  if (commandWorkerTimer) {
+    clearInterval(commandWorkerTimer);
+    commandWorkerTimer = null;
+  }
+};
@@ -0,0 +1,216 @@
+// services/dispenser/connectivityService.js
+import DispenserDevice from '../../models/dispenserDeviceModel.js';
+import Alert from '../../models/alertModel.js';
+import { pushDelta } from './shadowService.js';
+import { emitToUser, emitToDevice } from '../../websockets/websocketServer.js';
+
+const DEFAULT_HEARTBEAT_SECONDS = 60;
+const DEFAULT_MISSED_HEARTBEATS = 3;
+const DEFAULT_WATCHDOG_SECONDS = 30;
+
+let watchdogTimer = null;
+
+const getNumberEnv = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+/**
+ * How long a device may stay silent before it is considered offline
+ * @param {Object} device The device document from database
+ * @returns {number} Timeout in milliseconds
+ */
+export const getHeartbeatTimeout = (device) => {
+  const interval = device.status.heartbeatInterval ||
+    getNumberEnv('DEVICE_HEARTBEAT_INTERVAL_SECONDS', DEFAULT_HEARTBEAT_SECONDS);
+  const missedHeartbeats = getNumberEnv('DEVICE_MISSED_HEARTBEATS', DEFAULT_MISSED_HEARTBEATS);
+
+  return interval * missedHeartbeats * 1000;
+};
+
+// Notify the owner and everyone watching the device, unpaired devices have no owner
+const emitConnectivityChange = (device, event, data) => {
+  if (device.ownedBy) emitToUser(device.ownedBy, event, data);
+  emitToDevice(device._id, event, data);
+};
+
+/**
+ * Record that a device is alive, handling the offline to online transition
+ * @param {Object} device The device document from database
+ * @param {Object} options Optional { heartbeatInterval, timestamp }
+ * @returns {Promise<Object>} The updated device
+ */
+export const markDeviceOnline = async (device, options = {}) => {
+  const now = new Date();
+  const wasOnline = device.status.isOnline;
+  const offlineSince = device.status.offlineSince;
+
+  device.status.isOnline = true;
+  device.status.lastPing = now;
+  device.status.offlineSince = undefined;
+  if (options.heartbeatInterval) {
+    device.status.heartbeatInterval = options.heartbeatInterval;
+  }
+
+  await device.save();
+
+  if (!wasOnline) {
+    const outageDurationMs = offlineSince ? now - offlineSince : null;
+
+    emitConnectivityChange(device, 'device:online', {
+      deviceId: device.deviceId,
+      offlineSince,
+      outageDurationMs,
+      time: now
+    });
+
+    console.log(`Device ${device.deviceId} back online` +
+      (outageDurationMs !== null ? ` after ${Math.round(outageDurationMs / 1000)}s` : ''));
+
+    // Bring a reconnecting device up to date with anything changed while it was away
+    pushDelta(device);
+  }
+
+  return device;
+};
+
+/**
+ * Mark a device as offline and alert its owner, if it has one
+ * @param {Object} device The device document from database
+ * @param {string} reason Why the device is considered offline
+ * @returns {Promise<Object>} The updated device
+ */
+export const markDeviceOffline = async (device, reason) => {
+  if (!device.status.isOnline && device.status.offlineSince) return device;
+
+  const now = new Date();
+  const offlineSince = device.status.lastPing || now;
+
+  device.status.isOnline = false;
+  device.status.offlineSince = offlineSince;
+  await device.save();
+
+  if (device.ownedBy) {
+    await Alert.create({
+      alertType: 'general_alert',
+      severity: 'medium',
+      patient: device.ownedBy,
+      message: `Your medicine dispenser ${device.name} went offline (${reason}). Last seen ${offlineSince.toISOString()}`,
+      status: 'active'
+    });
+  }
+
+  emitConnectivityChange(device, 'device:offline', {
+    deviceId: device.deviceId,
+    reason,
+    offlineSince,
+    outageDurationMs: now - offlineSince,
+    time: now
+  });
+
+  console.log(`Device ${device.deviceId} marked offline: ${reason}`);
+  return device;
+};
+
+/**
+ * Record whether the device's MQTT session is alive, so a dropped socket
+ * does not take a device offline that is still talking over MQTT
+ * @param {Object} device The device document from database
+ * @param {boolean} alive False when the broker published the Last Will
+ * @returns {Promise<void>}
+ */
+export const recordMqttSession = async (device, alive) => {
+  const mqttLastSeen = alive ? new Date() : undefined;
+
+  await DispenserDevice.updateOne(
+    { _id: device._id },
+    alive ? { $set: { 'status.mqttLastSeen': mqttLastSeen } } : { $unset: { 'status.mqttLastSeen': 1 } }
+  );
+  device.status.mqttLastSeen = mqttLastSeen;
+};
+
+/**
+ * Whether the device sent an MQTT message within its heartbeat timeout
+ * @param {Object} device The device document from database
+ * @returns {boolean}
+ */
+export const hasLiveMqttSession = (device) => {
+  const lastSeen = device.status.mqttLastSeen;
+  return Boolean(lastSeen) && Date.now() - lastSeen.getTime() <= getHeartbeatTimeout(device);
+};
+
+/**
+ * Handle periodic heartbeats received from dispenser devices
+ * @param {Object} device The device document from database
+ * @param {Object} payload The heartbeat payload { interval }
+ * @returns {Promise<void>}
+ */
+export const handleHeartbeat = async (device, payload) => {
+  try {
+    await markDeviceOnline(device, { heartbeatInterval: payload.interval });
+  } catch (error) {
+    console.error('Error handling heartbeat:', error);
+  }
+};
+
+/**
+ * Handle the Last Will message the broker publishes when a device drops
+ * @param {Object} device The device document from database
+ * @returns {Promise<void>}
+ */
+export const handleLastWill = async (device) => {
+  try {
+    await markDeviceOffline(device, 'connection lost');
+  } catch (error) {
+    console.error('Error handling last will:', error);
+  }
+};
+
+/**
+ * Mark online devices that missed too many heartbeats as offline
+ * @returns {Promise<number>} Number of devices marked offline
+ */
+export const runHeartbeatWatchdog = async () => {
+  const now = Date.now();
+  const onlineDevices = await DispenserDevice.find({ 'status.isOnline': true });
+
+  let offlineCount = 0;
+  for (const device of onlineDevices) {
+    const lastPing = device.status.lastPing ? device.status.lastPing.getTime() : 0;
+
+    if (now - lastPing > getHeartbeatTimeout(device)) {
+      try {
+        await markDeviceOffline(device, 'missed heartbeats');
+        offlineCount++;
+      } catch (error) {
+        console.error(`Failed to mark device ${device.deviceId} offline:`, error);
+      }
+    }
+  }
+
+  return offlineCount;
+};
+
+/**
+ * Start the heartbeat watchdog
+ * @returns {Object} The interval timer
+ */
+export const startHeartbeatWatchdog = () => {
+  if (watchdogTimer) return watchdogTimer;
+
+  const watchdogSeconds = getNumberEnv('DEVICE_WATCHDOG_INTERVAL_SECONDS', DEFAULT_WATCHDOG_SECONDS);
+
+  watchdogTimer = setInterval(() => {
+    runHeartbeatWatchdog().catch(error => {
+      console.error('Heartbeat watchdog error:', error);
+    });
+  }, watchdogSeconds * 1000);
+  return watchdogTimer;
+};
+
+/**
+ * Stop the heartbeat watchdog
+ */
+export const stopHeartbeatWatchdog = () => {
+  if (watchdogTimer) {
+    clearInterval(watchdogTimer);
+    watchdogTimer = null;
+  }
+};
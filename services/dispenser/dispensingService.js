@@ -1,6 +1,39 @@
 // services/dispenser/dispensingService.js
-const { db } = require('../../config/database.js');
-const notificationService = require('../notification');
+import mongoose from 'mongoose';
+import DispensingLog from '../../models/dispenserLogModel.js';
+import PatientMedication from '../../models/patientModel.js';
+import Alert from '../../models/alertModel.js';
+import { getLowStockThreshold, notifyLowStock } from '../inventory/inventoryService.js';
+import { settleDispenseCommand } from './commandService.js';
+import { emitToUser } from '../../websockets/websocketServer.js';
+
+// How far from the scheduled time an unsolicited dispense is matched to a scheduled dose
+const SCHEDULE_MATCH_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * Find the dispensing log a confirmation refers to
+ * @param {Object} device The device document from database
+ * @param {Object} payload The dispensed confirmation payload
+ * @param {number} compartmentId The compartment that dispensed
+ * @param {Date} dispensedTime When the device dispensed
+ * @returns {Promise<Object|null>} The matching dispensing log
+ */
+const findDispensingRecord = async (device, payload, compartmentId, dispensedTime) => {
+  if (payload.requestId && mongoose.Types.ObjectId.isValid(payload.requestId)) {
+    return DispensingLog.findOne({ _id: payload.requestId, device: device._id });
+  }
+
+  // Device dispensed on its own, match it to the closest scheduled dose
+  return DispensingLog.findOne({
+    device: device._id,
+    compartmentId,
+    status: 'scheduled',
+    scheduledTime: {
+      $gte: new Date(dispensedTime.getTime() - SCHEDULE_MATCH_WINDOW_MS),
+      $lte: new Date(dispensedTime.getTime() + SCHEDULE_MATCH_WINDOW_MS)
+    }
+  }).sort({ scheduledTime: 1 });
+};
 
 /**
  * Handle dispensed confirmation from device
@@ -8,134 +41,116 @@ const notificationService = require('../notification');
  * @param {Object} payload The dispensed confirmation payload
  * @returns {Promise<void>}
  */
-exports.handleDispensedConfirmation = async (device, payload) => {
+export const handleDispensedConfirmation = async (device, payload) => {
   try {
-    const { 
-      requestId, 
-      slotNumber, 
-      medicationId, 
+    const {
       success,
       errorMessage,
-      timestamp 
+      timestamp
     } = payload;
-    
-    // Find the pending dispensing record
-    const dispensingRecord = await db.dispensingLog.findUnique({
-      where: { id: requestId }
-    });
-    
+    const compartmentId = payload.compartmentId ?? payload.slotNumber;
+    const dispensedTime = timestamp ? new Date(timestamp) : new Date();
+
+    const compartment = device.compartments.find(c => c.compartmentId === compartmentId);
+
+    let dispensingRecord = await findDispensingRecord(device, payload, compartmentId, dispensedTime);
+
     if (!dispensingRecord) {
-      console.error(`Dispensing record not found for request ID: ${requestId}`);
+      if (!success || !compartment?.medicationId) {
+        console.error(`Dispensing record not found for device ${device.deviceId}, compartment ${compartmentId}`);
+        return;
+      }
+
+      // Record an unscheduled dispense so inventory and adherence stay correct
+      dispensingRecord = new DispensingLog({
+        device: device._id,
+        patient: device.ownedBy,
+        medication: compartment.medicationId,
+        scheduledTime: dispensedTime,
+        compartmentId,
+        quantity: payload.quantity || 1,
+        notes: 'Dispensed without a scheduled dose'
+      });
+    }
+
+    // Duplicate confirmations must not decrement inventory twice
+    if (dispensingRecord.status === 'dispensed') {
+      console.log(`Dispensing record ${dispensingRecord._id} already dispensed, ignoring`);
       return;
     }
-    
-    // Update the dispensing record
-    await db.dispensingLog.update({
-      where: { id: requestId },
-      data: {
-        status: success ? 'COMPLETED' : 'FAILED',
-        completedAt: new Date(timestamp) || new Date(),
-        errorMessage: success ? null : (errorMessage || 'Unknown error')
-      }
-    });
-    
-    console.log(`Updated dispensing record ${requestId} to ${success ? 'COMPLETED' : 'FAILED'}`);
-    
-    // If successful, update the inventory
-    if (success) {
-      // Get slot information
-      const slot = await db.dispenserSlots.findFirst({
-        where: { 
-          deviceId: device.deviceId,
-          slotNumber
-        },
-        include: { medication: true }
+
+    const patientMedication = await PatientMedication.findById(dispensingRecord.medication)
+      .populate('medication', 'name');
+    const medicationName = patientMedication?.medication?.name || 'medication';
+
+    if (!success) {
+      dispensingRecord.status = 'failed';
+      dispensingRecord.notes = errorMessage || 'Unknown error';
+      await dispensingRecord.save();
+
+      await Alert.create({
+        alertType: 'medication_error',
+        severity: 'high',
+        patient: dispensingRecord.patient,
+        medication: patientMedication?.medication?._id || null,
+        message: `There was a problem dispensing your ${medicationName}: ${errorMessage || 'Unknown error'}`,
+        status: 'active'
       });
-      
-      if (slot) {
-        // Update pill count
-        await db.dispenserSlots.update({
-          where: { 
-            deviceId_slotNumber: {
-              deviceId: device.deviceId,
-              slotNumber
-            }
-          },
-          data: { 
-            pillCount: Math.max(0, slot.pillCount - 1),
-            lastDispensed: new Date(timestamp) || new Date()
-          }
-        });
-        
-        console.log(`Updated pill count for slot ${slotNumber}`);
-        
-        // Check if this was a scheduled dose
-        const scheduledDose = await db.reminderLogs.findFirst({
-          where: {
-            medicationId,
-            userId: device.userId,
-            status: 'SENT',
-            scheduledTime: {
-              // Look for reminders in the last hour
-              gte: new Date(new Date().getTime() - 60 * 60 * 1000)
-            }
-          }
-        });
-        
-        if (scheduledDose) {
-          // Update the reminder log
-          await db.reminderLogs.update({
-            where: { id: scheduledDose.id },
-            data: {
-              status: 'TAKEN',
-              responseTime: new Date()
-            }
-          });
-          
-          console.log(`Updated scheduled dose ${scheduledDose.id} as TAKEN`);
-        }
-        
-        // Check if inventory is low after dispensing
-        if (slot.pillCount <= 1) { // Now below or at threshold after dispensing
-          // Send low inventory notification
-          await notificationService.createNotification(
-            device.userId,
-            'LOW_INVENTORY',
-            'Medication Running Low',
-            `Your ${slot.medication.name} is running low. Only ${slot.pillCount - 1} dose(s) remaining.`,
-            {
-              deviceId: device.deviceId,
-              medicationId,
-              medicationName: slot.medication.name,
-              remainingDoses: slot.pillCount - 1
-            }
-          );
-          
-          console.log(`Created low inventory notification for ${slot.medication.name}`);
-        }
-      }
-    } else {
-      // If failed, notify the user
-      const medication = await db.medications.findUnique({
-        where: { id: medicationId }
+
+      emitToUser(dispensingRecord.patient, 'medication:dispenseFailed', {
+        dispensingId: dispensingRecord._id,
+        deviceId: device.deviceId,
+        compartmentId,
+        medicationName,
+        errorMessage,
+        time: new Date()
       });
-      
-      await notificationService.createNotification(
-        device.userId,
-        'DISPENSING_ERROR',
-        'Medication Dispensing Failed',
-        `There was a problem dispensing your ${medication?.name || 'medication'}: ${errorMessage || 'Unknown error'}`,
-        {
-          deviceId: device.deviceId,
-          medicationId,
-          slotNumber,
-          errorMessage
-        }
+
+      await settleDispenseCommand(dispensingRecord._id, false, errorMessage);
+
+      console.log(`Dispensing record ${dispensingRecord._id} failed: ${errorMessage || 'Unknown error'}`);
+      return;
+    }
+
+    dispensingRecord.status = 'dispensed';
+    dispensingRecord.dispensedTime = dispensedTime;
+    await dispensingRecord.save();
+
+    await settleDispenseCommand(dispensingRecord._id, true);
+
+    console.log(`Updated dispensing record ${dispensingRecord._id} to dispensed`);
+
+    const quantity = dispensingRecord.quantity || 1;
+
+    // Update compartment and patient medication inventory
+    const dispenseCompartment = device.compartments.find(
+      c => c.compartmentId === dispensingRecord.compartmentId
+    );
+    if (dispenseCompartment) {
+      dispenseCompartment.currentQuantity = Math.max(0, dispenseCompartment.currentQuantity - quantity);
+      await device.save();
+    }
+
+    if (patientMedication) {
+      patientMedication.inventoryTracking.currentQuantity = Math.max(
+        0,
+        patientMedication.inventoryTracking.currentQuantity - quantity
       );
-      
-      console.log(`Created dispensing error notification for ${medication?.name || 'medication'}`);
+      await patientMedication.save();
+    }
+
+    emitToUser(dispensingRecord.patient, 'medication:dispensed', {
+      medicationId: dispensingRecord.medication,
+      dispensingId: dispensingRecord._id,
+      time: dispensedTime
+    });
+
+    // Check if inventory is low after dispensing
+    if (dispenseCompartment &&
+        dispenseCompartment.currentQuantity <= getLowStockThreshold(patientMedication)) {
+      notifyLowStock(device, dispenseCompartment, patientMedication);
     }
   } catch (error) {
     console.error('Error handling dispensed confirmation:', error);
   }
-};
\ No newline at end of file
+};
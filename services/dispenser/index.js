@@ -1,95 +1,95 @@
 // services/dispenser/index.js
-const { db } = require('../../config/database.js');
-const { publishToDevice } = require('../../mqtt/mqttClient.js');
+import mongoose from 'mongoose';
+import DispenserDevice from '../../models/dispenserDeviceModel.js';
+import DispensingLog from '../../models/dispenserLogModel.js';
+import PatientMedication from '../../models/patientModel.js';
+import { sendCommand } from './commandService.js';
 
 class DispenserService {
   constructor() {
     this.status = 'IDLE';
   }
-  
+
   /**
-   * Dispenses a medication at the specified slot
+   * Dispenses a medication from the specified compartment
    * @param {string} deviceId The device ID of the dispenser
-   * @param {number} slotNumber The physical slot number in the dispenser
+   * @param {number} compartmentId The physical compartment in the dispenser
+   * @param {number} quantity Number of tablets to dispense
+   * @param {string} requestedBy Optional ID of the user requesting the dispense
+   * @param {Object} options Optional { asNeeded, reason } for as-needed doses
    * @returns {Promise<Object>} Promise resolving to success or error message
    */
-  async dispenseMedication(deviceId, slotNumber) {
+  async dispenseMedication(deviceId, compartmentId, quantity = 1, requestedBy, options = {}) {
     try {
       // Check if device exists
-      const device = await db.dispenserDevices.findUnique({
-        where: { deviceId }
-      });
-      
+      const device = await DispenserDevice.findOne({ deviceId });
+
       if (!device) {
         return { success: false, message: `Device ${deviceId} not found` };
       }
-      
-      // Check if slot exists and has medication
-      const slot = await db.dispenserSlots.findFirst({
-        where: { 
-          deviceId,
-          slotNumber 
-        },
-        include: { medication: true }
-      });
-      
-      if (!slot) {
-        return { success: false, message: `Slot ${slotNumber} not found` };
+
+      // Check if compartment exists and has medication
+      const compartment = device.compartments.find(c => c.compartmentId === compartmentId);
+
+      if (!compartment) {
+        return { success: false, message: `Compartment ${compartmentId} not found` };
+      }
+
+      if (!compartment.medicationId) {
+        return { success: false, message: `No medication in compartment ${compartmentId}` };
       }
-      
-      if (!slot.medication) {
-        return { success: false, message: `No medication in slot ${slotNumber}` };
+
+      if (compartment.currentQuantity < quantity) {
+        return { success: false, message: `Compartment ${compartmentId} does not have enough tablets` };
       }
-      
-      if (slot.pillCount <= 0) {
-        return { success: false, message: `Slot ${slotNumber} is empty` };
+
+      const patientMedication = await PatientMedication.findById(compartment.medicationId)
+        .populate('medication', 'name');
+
+      if (!patientMedication) {
+        return { success: false, message: `Medication in compartment ${compartmentId} not found` };
       }
-      
-      // Create a pending dispensing record
-      const dispensingRecord = await db.dispensingLog.create({
-        data: {
-          deviceId,
-          medicationId: slot.medicationId,
-          slotNumber,
-          requestedAt: new Date(),
-          status: 'PENDING',
-          quantity: 1
-        }
+
+      // Create a pending dispensing record, confirmed by the device later
+      const dispensingRecord = await DispensingLog.create({
+        device: device._id,
+        patient: patientMedication.patient,
+        medication: patientMedication._id,
+        scheduledTime: new Date(),
+        compartmentId,
+        quantity,
+        status: 'scheduled',
+        notes: options.asNeeded ? 'As-needed dose request' : 'On-demand dispense request',
+        asNeeded: Boolean(options.asNeeded),
+        reason: options.reason,
+        requestedBy: requestedBy || null
       });
-      
-      // Send message to device via MQTT
-      const success = publishToDevice(deviceId, 'dispense', {
-        slotNumber,
-        medicationId: slot.medicationId,
-        quantity: 1,
-        requestId: dispensingRecord.id
+
+      // Queue the command, retried until the device acknowledges it
+      const command = await sendCommand(device, 'dispense', {
+        compartmentId,
+        medicationId: patientMedication._id,
+        quantity,
+        requestId: dispensingRecord._id
+      }, {
+        dispensingLog: dispensingRecord._id,
+        requestedBy
       });
-      
-      if (!success) {
-        // Update record to failure if MQTT publish failed
-        await db.dispensingLog.update({
-          where: { id: dispensingRecord.id },
-          data: { 
-            status: 'FAILED',
-            errorMessage: 'Failed to connect to dispenser device'
-          }
-        });
-        
-        return { success: false, message: 'Failed to connect to dispenser device' };
-      }
-      
-      return { 
-        success: true, 
-        message: `Dispensing request sent for ${slot.medication.name}`,
-        requestId: dispensingRecord.id
+
+      return {
+        success: true,
+        message: `Dispensing request queued for ${patientMedication.medication?.name || 'medication'}`,
+        requestId: dispensingRecord._id,
+        correlationId: command.correlationId,
+        commandStatus: command.status
       };
-      
+
     } catch (error) {
       console.error('Dispenser error:', error);
       return { success: false, message: `Dispensing error: ${error.message}` };
     }
   }
-  
+
   /**
    * Get the current status of the dispenser
    * @param {string} deviceId The device ID to get status for
@@ -97,27 +97,25 @@ class DispenserService {
    */
   async getStatus(deviceId) {
     try {
-      const device = await db.dispenserDevices.findUnique({
-        where: { deviceId }
-      });
-      
+      const device = await DispenserDevice.findOne({ deviceId });
+
       if (!device) {
         return { success: false, message: `Device ${deviceId} not found` };
       }
-      
+
       return {
         success: true,
         status: device.status,
-        lastSeen: device.lastSeen,
-        batteryLevel: device.batteryLevel,
-        errorCode: device.errorCode
+        isOnline: device.status.isOnline,
+        batteryLevel: device.status.batteryLevel,
+        lastUpdated: device.updatedAt
       };
     } catch (error) {
       console.error('Get status error:', error);
       return { success: false, message: `Failed to get status: ${error.message}` };
     }
   }
-  
+
   /**
    * Calibrates the dispenser mechanism
    * @param {string} deviceId The device ID to calibrate
@@ -126,107 +124,139 @@ class DispenserService {
   async calibrate(deviceId) {
     try {
       // Check if device exists
-      const device = await db.dispenserDevices.findUnique({
-        where: { deviceId }
-      });
-      
+      const device = await DispenserDevice.findOne({ deviceId });
+
       if (!device) {
         return { success: false, message: `Device ${deviceId} not found` };
       }
-      
-      // Send calibration command via MQTT
-      const success = publishToDevice(deviceId, 'calibrate', {
+
+      // Queue calibration command for the device
+      const command = await sendCommand(device, 'calibrate', {
         timestamp: new Date().toISOString()
       });
-      
-      if (!success) {
-        return { success: false, message: 'Failed to connect to dispenser device' };
-      }
-      
-      // Create maintenance log entry
-      await db.maintenanceLogs.create({
-        data: {
-          deviceId,
-          actionType: 'CALIBRATION',
-          requestedAt: new Date(),
-          status: 'PENDING'
-        }
-      });
-      
-      return { success: true, message: 'Calibration request sent to device' };
+
+      return {
+        success: true,
+        message: 'Calibration request queued for device',
+        correlationId: command.correlationId,
+        commandStatus: command.status
+      };
     } catch (error) {
       console.error('Calibration error:', error);
       return { success: false, message: `Calibration error: ${error.message}` };
     }
   }
-  
+
   /**
-   * Configures a dispenser slot for a specific medication
+   * Load a patient medication that may go in one of a device's compartments.
+   * Doses from the device are logged against the medication's patient, so it
+   * must belong to the device owner.
+   * @param {Object} device The dispenser device
+   * @param {string} medicationId The patient medication ID
+   * @returns {Promise<Object>} { success, patientMedication } or { success: false, statusCode, message }
+   */
+  async findCompartmentMedication(device, medicationId) {
+    if (!device.ownedBy) {
+      return { success: false, statusCode: 409, message: `Device ${device.deviceId} is not paired to a patient` };
+    }
+
+    const patientMedication = mongoose.isValidObjectId(medicationId)
+      ? await PatientMedication.findById(medicationId).populate('medication', 'name strength strengthUnit')
+      : null;
+
+    if (!patientMedication) {
+      return { success: false, statusCode: 404, message: 'Medication not found' };
+    }
+
+    if (patientMedication.patient.toString() !== device.ownedBy.toString()) {
+      return { success: false, statusCode: 403, message: 'Medication does not belong to the device owner' };
+    }
+
+    if (!patientMedication.isActive) {
+      return { success: false, statusCode: 400, message: 'Medication is no longer active' };
+    }
+
+    return { success: true, patientMedication };
+  }
+
+  /**
+   * Configures a dispenser compartment for a specific medication
    * @param {string} deviceId The device ID
-   * @param {number} slotNumber The slot to configure
-   * @param {string} medicationId The medication ID to assign to the slot
+   * @param {number} compartmentId The compartment to configure
+   * @param {string} medicationId The patient medication ID to assign to the compartment
    * @param {number} pillCount Initial pill count to set
    * @returns {Promise<Object>} Promise resolving to configuration result
    */
-  async configureSlot(deviceId, slotNumber, medicationId, pillCount) {
+  async configureSlot(deviceId, compartmentId, medicationId, pillCount) {
     try {
       // Check if the device exists
-      const device = await db.dispenserDevices.findUnique({
-        where: { deviceId }
-      });
-      
+      const device = await DispenserDevice.findOne({ deviceId });
+
       if (!device) {
         return { success: false, message: `Device ${deviceId} not found` };
       }
-      
-      // Check if the medication exists
-      const medication = await db.medications.findUnique({
-        where: { id: medicationId }
-      });
-      
-      if (!medication) {
-        return { success: false, message: 'Medication not found' };
+
+      const compartment = device.compartments.find(c => c.compartmentId === compartmentId);
+
+      if (!compartment) {
+        return { success: false, message: `Compartment ${compartmentId} not found` };
       }
-      
-      // Update or create the slot configuration
-      await db.dispenserSlots.upsert({
-        where: { 
-          deviceId_slotNumber: {
-            deviceId,
-            slotNumber
-          }
-        },
-        update: { 
-          medicationId,
-          pillCount,
-          updatedAt: new Date()
-        },
-        create: {
-          deviceId,
-          slotNumber,
-          medicationId,
-          pillCount,
-          createdAt: new Date(),
-          updatedAt: new Date()
-        }
-      });
-      
-      // Send configuration to device via MQTT
-      const success = publishToDevice(deviceId, 'configure', {
-        slotNumber,
-        medicationId,
-        medicationName: medication.name,
-        dosageInfo: medication.dosage,
+
+      if (pillCount < 0 || pillCount > compartment.capacity) {
+        return { success: false, message: `Pill count must be between 0 and ${compartment.capacity}` };
+      }
+
+      // Check the medication exists and belongs to the device owner
+      const found = await this.findCompartmentMedication(device, medicationId);
+      if (!found.success) return found;
+
+      const { patientMedication } = found;
+
+      // Detach the previous occupant so it no longer points at this compartment
+      const previousMedicationId = compartment.medicationId;
+      if (previousMedicationId && previousMedicationId.toString() !== patientMedication._id.toString()) {
+        await PatientMedication.updateOne(
+          { _id: previousMedicationId, dispenserCompartment: compartmentId },
+          { $unset: { dispenserCompartment: 1 } }
+        );
+      }
+
+      // Update the compartment configuration
+      compartment.medicationId = patientMedication._id;
+      compartment.currentQuantity = pillCount;
+
+      // Record the assignment as desired state until the device reports it
+      const desired = device.shadow.desired;
+      const desiredCompartment = desired.compartments.find(c => c.compartmentId === compartmentId);
+      if (desiredCompartment) {
+        desiredCompartment.medicationId = patientMedication._id;
+      } else {
+        desired.compartments.push({ compartmentId, medicationId: patientMedication._id });
+      }
+      desired.version = (desired.version || 0) + 1;
+      desired.updatedAt = new Date();
+
+      await device.save();
+
+      patientMedication.dispenserCompartment = compartmentId;
+      await patientMedication.save();
+
+      const medicationName = patientMedication.medication?.name || 'medication';
+
+      // Queue configuration command for the device
+      const command = await sendCommand(device, 'configure', {
+        compartmentId,
+        medicationId: patientMedication._id,
+        medicationName,
+        dosageInfo: patientMedication.dosage,
         pillCount
       });
-      
-      if (!success) {
-        return { success: false, message: 'Failed to connect to dispenser device' };
-      }
-      
-      return { 
-        success: true, 
-        message: `Slot ${slotNumber} configured for ${medication.name} with ${pillCount} pills` 
+
+      return {
+        success: true,
+        message: `Compartment ${compartmentId} configured for ${medicationName} with ${pillCount} pills`,
+        correlationId: command.correlationId,
+        commandStatus: command.status
       };
     } catch (error) {
       console.error('Configuration error:', error);
@@ -238,4 +268,4 @@ class DispenserService {
 // Create singleton instance
 const dispenserService = new DispenserService();
 
-module.exports = dispenserService;
\ No newline at end of file
+export default dispenserService;
@@ -0,0 +1,52 @@
+// services/dispenser/messageRouter.js
+import { handleStatusUpdate } from './statusService.js';
+import { handleDispensedConfirmation } from './dispensingService.js';
+import { handleInventoryUpdate } from '../inventory/inventoryService.js';
+import { handleDispenserAlert } from '../alert/alertService.js';
+import { handleCommandAck } from './commandService.js';
+import { handleHeartbeat, handleLastWill } from './connectivityService.js';
+import { handlePrnRequest } from '../prn/prnService.js';
+
+// Message types a device can send, over MQTT or the HTTP webhook
+export const DEVICE_MESSAGE_TYPES = ['status', 'dispensed', 'inventory', 'alerts', 'ack', 'heartbeat', 'lwt', 'prn'];
+
+/**
+ * Route a device message to its handler
+ * @param {Object} device The device document from database
+ * @param {string} messageType One of DEVICE_MESSAGE_TYPES
+ * @param {Object} payload The message payload
+ * @returns {Promise<boolean>} False when the message type is unknown
+ */
+export const routeDeviceMessage = async (device, messageType, payload) => {
+  switch (messageType) {
+    case 'status':
+      await handleStatusUpdate(device, payload);
+      break;
+    case 'dispensed':
+      await handleDispensedConfirmation(device, payload);
+      break;
+    case 'inventory':
+      await handleInventoryUpdate(device, payload);
+      break;
+    case 'alerts':
+      await handleDispenserAlert(device, payload);
+      break;
+    case 'ack':
+      await handleCommandAck(device, payload);
+      break;
+    case 'heartbeat':
+      await handleHeartbeat(device, payload);
+      break;
+    case 'lwt':
+      await handleLastWill(device, payload);
+      break;
+    case 'prn':
+      await handlePrnRequest(device, payload);
+      break;
+    default:
+      console.warn(`Unknown message type: ${messageType}`);
+      return false;
+  }
+
+  return true;
+};
@@ -0,0 +1,261 @@
+// services/dispenser/provisioningService.js
+import crypto from 'crypto';
+import DispenserDevice from '../../models/dispenserDeviceModel.js';
+import DispensingLog from '../../models/dispenserLogModel.js';
+import User from '../../models/userModel.js';
+
+const MAX_CLAIM_ATTEMPTS = 5;
+const CLAIM_LOCK_MS = 15 * 60 * 1000;
+
+// Claim codes avoid characters that are easy to misread on a label
+const CLAIM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CLAIM_CODE_LENGTH = 12;
+
+const PROVISIONING_SECRETS =
+  '+provisioning.claimCodeHash +provisioning.deviceSecret +provisioning.mqttPasswordHash';
+
+export const hashSecret = (value) =>
+  crypto.createHash('sha256').update(String(value)).digest('hex');
+
+/**
+ * Constant time comparison of two hex digests
+ * @param {string} a First digest
+ * @param {string} b Second digest
+ * @returns {boolean} True when both are set and equal
+ */
+export const hashesMatch = (a, b) => {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+};
+
+const normalizeClaimCode = (claimCode) =>
+  String(claimCode || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Generate a human readable claim code
+ * @returns {string} Claim code formatted as XXXX-XXXX-XXXX
+ */
+export const generateClaimCode = () => {
+  const bytes = crypto.randomBytes(CLAIM_CODE_LENGTH);
+  const code = Array.from(bytes, byte => CLAIM_CODE_ALPHABET[byte % CLAIM_CODE_ALPHABET.length]).join('');
+  return code.match(/.{1,4}/g).join('-');
+};
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Give the device a fresh MQTT password, revoking the previous one
+const issueMqttCredentials = (device) => {
+  const password = generateSecret();
+
+  device.provisioning.mqttPasswordHash = hashSecret(password);
+  device.provisioning.credentialsVersion = (device.provisioning.credentialsVersion || 0) + 1;
+  device.provisioning.credentialsIssuedAt = new Date();
+
+  return {
+    username: device.deviceId,
+    password,
+    version: device.provisioning.credentialsVersion
+  };
+};
+
+/**
+ * Register a device at the factory with its claim code and device secret
+ * @param {Object} details { deviceId, name, numberOfCompartments }
+ * @returns {Promise<Object>} { success, device, claimCode, deviceSecret }
+ */
+export const registerFactoryDevice = async ({ deviceId, name, numberOfCompartments = 7 }) => {
+  const exists = await DispenserDevice.findOne({ deviceId });
+
+  if (exists) {
+    return { success: false, statusCode: 400, message: 'Dispenser already registered' };
+  }
+
+  // Generate compartments
+  const compartments = Array.from({ length: numberOfCompartments }, (_, i) => ({
+    compartmentId: i + 1,
+    capacity: 30,
+    currentQuantity: 0
+  }));
+
+  const claimCode = generateClaimCode();
+  const deviceSecret = generateSecret();
+
+  const device = await DispenserDevice.create({
+    deviceId,
+    name: name || `Dispenser ${deviceId}`,
+    compartments,
+    status: {
+      isOnline: false,
+      batteryLevel: 100
+    },
+    provisioning: {
+      status: 'unclaimed',
+      claimCodeHash: hashSecret(normalizeClaimCode(claimCode)),
+      deviceSecret
+    }
+  });
+
+  // Secrets are only ever returned here, for printing and flashing
+  return {
+    success: true,
+    device: await DispenserDevice.findById(device._id),
+    claimCode,
+    deviceSecret
+  };
+};
+
+/**
+ * Redeem a claim code, making the user the owner of the device
+ * @param {Object} user The user pairing the device
+ * @param {string} deviceId The device ID
+ * @param {string} claimCode The claim code printed on the device
+ * @param {string} name Optional display name for the device
+ * @returns {Promise<Object>} { success, device, credentials }
+ */
+export const pairDevice = async (user, deviceId, claimCode, name) => {
+  const device = await DispenserDevice.findOne({ deviceId }).select(PROVISIONING_SECRETS);
+
+  if (!device) {
+    return { success: false, statusCode: 404, message: `Device ${deviceId} not found` };
+  }
+
+  if (device.provisioning.status === 'paired') {
+    return { success: false, statusCode: 409, message: 'Device is already paired' };
+  }
+
+  const lockedUntil = device.provisioning.claimLockedUntil;
+  if (lockedUntil && lockedUntil > new Date()) {
+    return { success: false, statusCode: 429, message: 'Too many failed attempts, try again later' };
+  }
+
+  if (!hashesMatch(hashSecret(normalizeClaimCode(claimCode)), device.provisioning.claimCodeHash)) {
+    device.provisioning.failedClaimAttempts = (device.provisioning.failedClaimAttempts || 0) + 1;
+    if (device.provisioning.failedClaimAttempts >= MAX_CLAIM_ATTEMPTS) {
+      device.provisioning.claimLockedUntil = new Date(Date.now() + CLAIM_LOCK_MS);
+      device.provisioning.failedClaimAttempts = 0;
+    }
+    await device.save();
+
+    return { success: false, statusCode: 403, message: 'Invalid claim code' };
+  }
+
+  // Claim atomically so two requests with the same code cannot both pair the device
+  const password = generateSecret();
+  const now = new Date();
+  const paired = await DispenserDevice.findOneAndUpdate(
+    { _id: device._id, ownedBy: null, 'provisioning.status': { $ne: 'paired' } },
+    {
+      $set: {
+        ownedBy: user._id,
+        ...(name && { name }),
+        'provisioning.status': 'paired',
+        'provisioning.pairedAt': now,
+        'provisioning.failedClaimAttempts': 0,
+        'provisioning.mqttPasswordHash': hashSecret(password),
+        'provisioning.credentialsIssuedAt': now
+      },
+      $unset: { 'provisioning.claimLockedUntil': 1 },
+      $inc: { 'provisioning.credentialsVersion': 1 }
+    },
+    { new: true }
+  );
+
+  if (!paired) {
+    return { success: false, statusCode: 409, message: 'Device is already paired' };
+  }
+
+  await User.updateOne({ _id: user._id }, { $addToSet: { assignedDispensers: paired._id } });
+
+  return {
+    success: true,
+    device: paired,
+    credentials: {
+      username: paired.deviceId,
+      password,
+      version: paired.provisioning.credentialsVersion
+    }
+  };
+};
+
+/**
+ * Issue new MQTT credentials for a paired device, revoking the old ones
+ * @param {string} id The device document ID
+ * @returns {Promise<Object>} { success, credentials }
+ */
+export const rotateCredentials = async (id) => {
+  const device = await DispenserDevice.findById(id).select(PROVISIONING_SECRETS);
+
+  if (!device) {
+    return { success: false, statusCode: 404, message: 'Dispenser device not found' };
+  }
+
+  if (device.provisioning.status !== 'paired') {
+    return { success: false, statusCode: 400, message: 'Device is not paired' };
+  }
+
+  const credentials = issueMqttCredentials(device);
+  await device.save();
+
+  return { success: true, message: 'Device credentials rotated', credentials };
+};
+
+/**
+ * Unpair a device, revoking its credentials so it can be claimed again
+ * @param {string} id The device document ID
+ * @returns {Promise<Object>} { success, message }
+ */
+export const unpairDevice = async (id) => {
+  const device = await DispenserDevice.findById(id).select(PROVISIONING_SECRETS);
+
+  if (!device) {
+    return { success: false, statusCode: 404, message: 'Dispenser device not found' };
+  }
+
+  if (device.provisioning.status !== 'paired') {
+    return { success: false, statusCode: 400, message: 'Device is not paired' };
+  }
+
+  device.ownedBy = null;
+  device.provisioning.status = 'unclaimed';
+  device.provisioning.pairedAt = undefined;
+  device.provisioning.mqttPasswordHash = undefined;
+  device.provisioning.credentialsVersion = (device.provisioning.credentialsVersion || 0) + 1;
+
+  // The next owner starts with empty compartments
+  device.compartments.forEach(compartment => {
+    compartment.medicationId = undefined;
+    compartment.currentQuantity = 0;
+  });
+  device.shadow.desired.compartments = [];
+
+  await device.save();
+
+  await User.updateMany(
+    { assignedDispensers: device._id },
+    { $pull: { assignedDispensers: device._id } }
+  );
+
+  await DispensingLog.deleteMany({
+    device: device._id,
+    status: 'scheduled',
+    scheduledTime: { $gte: new Date() }
+  });
+
+  return { success: true, message: 'Device unpaired' };
+};
+
+/**
+ * Check MQTT credentials presented to the broker
+ * @param {string} username The MQTT username (device ID)
+ * @param {string} password The MQTT password
+ * @returns {Promise<Object|null>} The device when the credentials are valid
+ */
+export const verifyMqttCredentials = async (username, password) => {
+  if (!username || !password) return null;
+
+  const device = await DispenserDevice.findOne({ deviceId: username }).select(PROVISIONING_SECRETS);
+
+  if (!device || device.provisioning.status !== 'paired') return null;
+
+  return hashesMatch(hashSecret(password), device.provisioning.mqttPasswordHash) ? device : null;
+};
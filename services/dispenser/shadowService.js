@@ -0,0 +1,183 @@
+// services/dispenser/shadowService.js
+import DispenserDevice from '../../models/dispenserDeviceModel.js';
+import { publishToDevice } from '../../mqtt/mqttClient.js';
+
+// Shadow fields a user can set and a device can report
+const SHADOW_FIELDS = ['dispensingMode', 'compartments', 'volume', 'clock'];
+
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+const isEmpty = (value) =>
+  value === undefined || value === null ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+// Compartments only differ on their medication assignment, quantities are device owned
+const compartmentsDelta = (desired = [], reported = []) => {
+  const reportedById = new Map(reported.map(c => [c.compartmentId, c]));
+
+  return desired.filter(compartment => {
+    const current = reportedById.get(compartment.compartmentId);
+    const desiredMedication = compartment.medicationId ? compartment.medicationId.toString() : null;
+    const reportedMedication = current?.medicationId ? current.medicationId.toString() : null;
+    return desiredMedication !== reportedMedication;
+  }).map(compartment => ({
+    compartmentId: compartment.compartmentId,
+    medicationId: compartment.medicationId || null
+  }));
+};
+
+/**
+ * Compute the desired fields the device has not reported yet
+ * @param {Object} device The device document from database
+ * @returns {Object} Delta keyed by shadow field
+ */
+export const computeDelta = (device) => {
+  const desired = toPlain(device.shadow?.desired) || {};
+  const reported = toPlain(device.shadow?.reported) || {};
+  const delta = {};
+
+  SHADOW_FIELDS.forEach(field => {
+    if (isEmpty(desired[field])) return;
+
+    if (field === 'compartments') {
+      const changed = compartmentsDelta(desired.compartments, reported.compartments);
+      if (changed.length > 0) delta.compartments = changed;
+      return;
+    }
+
+    if (JSON.stringify(desired[field]) !== JSON.stringify(reported[field])) {
+      delta[field] = desired[field];
+    }
+  });
+
+  return delta;
+};
+
+/**
+ * Get the full shadow document for a device
+ * @param {Object} device The device document from database
+ * @returns {Object} { desired, reported, delta }
+ */
+export const getShadow = (device) => ({
+  deviceId: device.deviceId,
+  desired: toPlain(device.shadow?.desired) || {},
+  reported: toPlain(device.shadow?.reported) || {},
+  delta: computeDelta(device)
+});
+
+/**
+ * Merge state reported by the device into the shadow. Does not save the device.
+ * @param {Object} device The device document from database
+ * @param {Object} reported Reported shadow fields
+ * @param {number} version Optional device side version of the report
+ * @returns {boolean} False when the report is older than the stored one
+ */
+export const applyReportedState = (device, reported, version) => {
+  if (!reported) return false;
+
+  const current = device.shadow.reported;
+
+  if (typeof version === 'number' && version <= (current.version || 0)) {
+    console.warn(`Ignoring stale shadow report v${version} for device ${device.deviceId}`);
+    return false;
+  }
+
+  SHADOW_FIELDS.forEach(field => {
+    if (reported[field] !== undefined) {
+      current[field] = reported[field];
+    }
+  });
+
+  // Keep the effective configuration in step with what the device runs
+  if (reported.dispensingMode) {
+    device.configuration.dispensingMode = reported.dispensingMode;
+  }
+
+  current.version = typeof version === 'number' ? version : (current.version || 0) + 1;
+  current.updatedAt = new Date();
+  return true;
+};
+
+/**
+ * Update a single reported compartment quantity. Does not save the device.
+ * @param {Object} device The device document from database
+ * @param {number} compartmentId The compartment ID
+ * @param {number} currentQuantity The reported quantity
+ */
+export const reportCompartmentQuantity = (device, compartmentId, currentQuantity) => {
+  const reported = device.shadow.reported;
+  const compartment = reported.compartments.find(c => c.compartmentId === compartmentId);
+
+  if (compartment) {
+    compartment.currentQuantity = currentQuantity;
+  } else {
+    reported.compartments.push({ compartmentId, currentQuantity });
+  }
+
+  reported.updatedAt = new Date();
+};
+
+/**
+ * Update the desired state, rejecting writes based on an outdated version
+ * @param {Object} device The device document from database
+ * @param {Object} desired Desired shadow fields
+ * @param {number} expectedVersion Optional version the caller last read
+ * @returns {Promise<Object|null>} The updated device, or null on a version conflict
+ */
+export const updateDesiredState = async (device, desired, expectedVersion) => {
+  const currentVersion = device.shadow?.desired?.version || 0;
+  const version = typeof expectedVersion === 'number' ? expectedVersion : currentVersion;
+
+  const update = {};
+  SHADOW_FIELDS.forEach(field => {
+    if (desired[field] === undefined) return;
+
+    if (field === 'compartments') {
+      // Merge assignments so callers can change one compartment at a time
+      const merged = new Map(
+        (toPlain(device.shadow.desired.compartments) || []).map(c => [c.compartmentId, c])
+      );
+      desired.compartments.forEach(c => {
+        merged.set(c.compartmentId, {
+          compartmentId: c.compartmentId,
+          medicationId: c.medicationId || null
+        });
+      });
+      update['shadow.desired.compartments'] = [...merged.values()];
+      return;
+    }
+
+    update[`shadow.desired.${field}`] = desired[field];
+  });
+  update['shadow.desired.updatedAt'] = new Date();
+
+  const versionFilter = version === 0
+    ? { $in: [0, null] }
+    : version;
+
+  const updatedDevice = await DispenserDevice.findOneAndUpdate(
+    { _id: device._id, 'shadow.desired.version': versionFilter },
+    { $set: update, $inc: { 'shadow.desired.version': 1 } },
+    { new: true, runValidators: true }
+  );
+
+  return updatedDevice;
+};
+
+/**
+ * Publish the outstanding delta to the device
+ * @param {Object} device The device document from database
+ * @returns {boolean} Whether a delta was published
+ */
+export const pushDelta = (device) => {
+  const delta = computeDelta(device);
+
+  if (Object.keys(delta).length === 0) return false;
+
+  return publishToDevice(device.deviceId, 'delta', {
+    version: device.shadow.desired.version,
+    state: delta,
+    timestamp: new Date().toISOString()
+  });
+};
@@ -1,6 +1,10 @@
 // services/dispenser/statusService.js
-const { db } = require('../../config/database.js');
-const notificationService = require('../notification');
+import Alert from '../../models/alertModel.js';
+import { applyReportedState } from './shadowService.js';
+import { markDeviceOnline, markDeviceOffline } from './connectivityService.js';
+import { emitToUser, emitToDevice } from '../../websockets/websocketServer.js';
+
+const LOW_BATTERY_LEVEL = 20;
 
 /**
  * Handle status updates received from dispenser devices
@@ -8,58 +12,70 @@ const notificationService = require('../notification');
  * @param {Object} payload The status update payload
  * @returns {Promise<void>}
  */
-exports.handleStatusUpdate = async (device, payload) => {
+export const handleStatusUpdate = async (device, payload) => {
   try {
-    const { status, batteryLevel, errorCode, timestamp } = payload;
-    
-    // Update device status in database
-    await db.dispenserDevices.update({
-      where: { deviceId: device.deviceId },
-      data: {
-        status,
-        batteryLevel,
-        errorCode,
-        lastSeen: new Date(timestamp) || new Date()
-      }
-    });
-    
-    console.log(`Updated status for device ${device.deviceId}: ${status}`);
-    
+    const { status, batteryLevel, errorCode, firmwareVersion, needsMaintenance, timestamp } = payload;
+    const previousBattery = device.status.batteryLevel;
+
+    if (typeof batteryLevel === 'number') {
+      device.status.batteryLevel = batteryLevel;
+    }
+    if (firmwareVersion) {
+      device.status.firmwareVersion = firmwareVersion;
+    }
+    if (needsMaintenance !== undefined) {
+      device.status.needsMaintenance = needsMaintenance;
+    }
+
+    // Shadow state the device is actually running
+    if (payload.reported) {
+      applyReportedState(device, payload.reported, payload.version);
+    }
+
+    // A device that reports status is online unless it says otherwise
+    if (payload.isOnline === false) {
+      await device.save();
+      await markDeviceOffline(device, 'reported by device');
+    } else {
+      await markDeviceOnline(device, { heartbeatInterval: payload.heartbeatInterval });
+    }
+
+    console.log(`Updated status for device ${device.deviceId}: ${status || 'OK'}`);
+
+    emitToDevice(device._id, 'device:updated', { device });
+
     // Check if this is an error status
     if (status === 'ERROR' && errorCode) {
-      // Create notification for the error
-      await notificationService.createNotification(
-        device.userId,
-        'DEVICE_ERROR',
-        'Dispenser Error Detected',
-        `Your medicine dispenser has reported error code: ${errorCode}`,
-        {
-          deviceId: device.deviceId,
-          errorCode,
-          timestamp
-        }
-      );
-      
-      console.log(`Created error notification for device ${device.deviceId}`);
+      await Alert.create({
+        alertType: 'general_alert',
+        severity: 'high',
+        patient: device.ownedBy,
+        message: `Your medicine dispenser ${device.name} has reported error code: ${errorCode}`,
+        status: 'active'
+      });
+
+      emitToUser(device.ownedBy, 'device:error', {
+        deviceId: device.deviceId,
+        errorCode,
+        time: timestamp ? new Date(timestamp) : new Date()
+      });
+
+      console.log(`Created error alert for device ${device.deviceId}`);
     }
-    
-    // Check for low battery
-    if (batteryLevel && batteryLevel < 20) {
-      await notificationService.createNotification(
-        device.userId,
-        'LOW_BATTERY',
-        'Low Battery Warning',
-        `Your medicine dispenser's battery level is low (${batteryLevel}%). Please charge the device soon.`,
-        {
-          deviceId: device.deviceId,
-          batteryLevel,
-          timestamp
-        }
-      );
-      
-      console.log(`Created low battery notification for device ${device.deviceId}`);
+
+    // Check for low battery, only when crossing the threshold
+    if (typeof batteryLevel === 'number' &&
+        batteryLevel < LOW_BATTERY_LEVEL &&
+        !(previousBattery < LOW_BATTERY_LEVEL)) {
+      emitToUser(device.ownedBy, 'device:lowBattery', {
+        deviceId: device.deviceId,
+        batteryLevel,
+        time: new Date()
+      });
+
+      console.log(`Sent low battery warning for device ${device.deviceId}`);
     }
   } catch (error) {
     console.error('Error handling status update:', error);
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,290 @@
+// services/interaction/interactionDataset.js
+import { readFile } from 'fs/promises';
+import Medication from '../../models/medicationModel.js';
+import DrugInteraction, { INTERACTION_SEVERITIES } from '../../models/drugInteractionModel.js';
+import ConditionContraindication from '../../models/conditionContraindicationModel.js';
+import { normalizeProductNdc } from '../medication/ndc.js';
+
+const NDC_PATTERN = /^[\d-]+$/;
+
+// Salt, ester and hydrate words that follow the active moiety in ingredient names,
+// e.g. "sertraline hydrochloride" or "atorvastatin calcium trihydrate"
+const SALT_WORDS = new Set([
+  'hydrochloride', 'dihydrochloride', 'hcl', 'hydrobromide', 'besylate', 'besilate', 'maleate',
+  'mesylate', 'mesilate', 'tosylate', 'tartrate', 'bitartrate', 'succinate', 'fumarate', 'hemifumarate',
+  'citrate', 'sulfate', 'sulphate', 'phosphate', 'acetate', 'lactate', 'gluconate', 'nitrate', 'bromide',
+  'chloride', 'carbonate', 'hyclate', 'sodium', 'disodium', 'potassium', 'calcium', 'magnesium',
+  'monohydrate', 'dihydrate', 'trihydrate', 'hemihydrate', 'sesquihydrate', 'anhydrous'
+]);
+
+/**
+ * Normalize an ingredient name for matching
+ * @param {string} name The ingredient as written
+ * @returns {string} Lower case name with single spaces
+ */
+export const normalizeIngredient = (name) =>
+  String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Reduce an ingredient name to its active moiety, so salt forms match the
+ * plain name patients and datasets use ("sertraline hydrochloride" is "sertraline")
+ * @param {string} name The ingredient as written
+ * @returns {string} Normalized name without trailing salt words
+ */
+export const getBaseIngredient = (name) => {
+  const words = normalizeIngredient(name).split(' ');
+
+  // The first word always stays, "potassium chloride" is potassium
+  while (words.length > 1 && SALT_WORDS.has(words[words.length - 1])) {
+    words.pop();
+  }
+  return words.join(' ');
+};
+
+// Read the products list into product NDC -> { ingredients, therapeuticClass }.
+// Packages of a product share its ingredients, so package codes match on the product part
+const readProducts = (products = []) => {
+  const byNdc = new Map();
+
+  products.forEach(product => {
+    const ndc = normalizeProductNdc(product.ndc);
+    const ingredients = (product.ingredients || []).map(getBaseIngredient).filter(Boolean);
+    if (!ndc || ingredients.length === 0) return;
+
+    byNdc.set(ndc, { ingredients, therapeuticClass: product.therapeuticClass });
+  });
+
+  return byNdc;
+};
+
+// Fill in ingredients and drug class of catalog medications the dataset has products for
+const updateCatalog = async (productsByNdc) => {
+  if (productsByNdc.size === 0) return 0;
+
+  const medications = await Medication.find({ ndc: { $nin: [null, ''] } }).select('ndc');
+  const operations = [];
+
+  medications.forEach(medication => {
+    const product = productsByNdc.get(normalizeProductNdc(medication.ndc));
+    if (!product) return;
+
+    operations.push({
+      updateOne: {
+        filter: { _id: medication._id },
+        update: {
+          $set: {
+            ingredients: product.ingredients,
+            ...(product.therapeuticClass && { therapeuticClass: product.therapeuticClass })
+          }
+        }
+      }
+    });
+  });
+
+  if (operations.length > 0) {
+    await Medication.bulkWrite(operations);
+  }
+  return operations.length;
+};
+
+// Catalog medications with known ingredients, by NDC
+const loadCatalogIngredients = async () => {
+  const medications = await Medication.find({ ndc: { $nin: [null, ''] }, 'ingredients.0': { $exists: true } })
+    .select('ndc ingredients');
+
+  const byNdc = new Map();
+  medications.forEach(medication => {
+    const ndc = normalizeProductNdc(medication.ndc);
+    if (ndc) byNdc.set(ndc, medication.ingredients.map(getBaseIngredient));
+  });
+  return byNdc;
+};
+
+// An interaction side is an ingredient name or an NDC, NDCs expand to their ingredients
+const resolveSide = (value, productsByNdc, catalogByNdc) => {
+  if (typeof value !== 'string' || !value.trim()) return [];
+
+  if (!NDC_PATTERN.test(value.trim())) {
+    return [getBaseIngredient(value)];
+  }
+
+  const ndc = normalizeProductNdc(value);
+  return productsByNdc.get(ndc)?.ingredients || catalogByNdc.get(ndc) || [];
+};
+
+// Read drug-drug interactions into upserts keyed on the ingredient pair
+const readInteractions = (interactions, source, resolve, skipped) => {
+  const operations = new Map();
+
+  interactions.forEach((entry, index) => {
+    if (!INTERACTION_SEVERITIES.includes(entry?.severity)) {
+      skipped.push({ list: 'interactions', index, reason: `Severity must be one of: ${INTERACTION_SEVERITIES.join(', ')}` });
+      return;
+    }
+
+    if (!Array.isArray(entry.between) || entry.between.length !== 2) {
+      skipped.push({ list: 'interactions', index, reason: 'between must name two ingredients or NDCs' });
+      return;
+    }
+
+    const [sideA, sideB] = entry.between.map(resolve);
+    if (sideA.length === 0 || sideB.length === 0) {
+      skipped.push({ list: 'interactions', index, reason: 'Unknown ingredient or NDC' });
+      return;
+    }
+
+    sideA.forEach(first => sideB.forEach(second => {
+      if (first === second) return;
+
+      const [ingredientA, ingredientB] = [first, second].sort();
+      operations.set(`${ingredientA}|${ingredientB}`, {
+        updateOne: {
+          filter: { ingredientA, ingredientB },
+          update: {
+            $set: {
+              severity: entry.severity,
+              description: entry.description,
+              management: entry.management,
+              source
+            }
+          },
+          upsert: true
+        }
+      });
+    }));
+  });
+
+  return [...operations.values()];
+};
+
+// Read drug-condition contraindications into upserts keyed on the drug or class and condition
+const readContraindications = (contraindications, source, resolve, skipped) => {
+  const operations = new Map();
+
+  contraindications.forEach((entry, index) => {
+    if (!INTERACTION_SEVERITIES.includes(entry?.severity)) {
+      skipped.push({ list: 'contraindications', index, reason: `Severity must be one of: ${INTERACTION_SEVERITIES.join(', ')}` });
+      return;
+    }
+
+    const condition = normalizeIngredient(entry.condition);
+    if (!condition) {
+      skipped.push({ list: 'contraindications', index, reason: 'condition is required' });
+      return;
+    }
+
+    const therapeuticClass = entry.drugClass ? normalizeIngredient(entry.drugClass) : null;
+    const ingredients = therapeuticClass ? [] : resolve(entry.drug);
+    if (!therapeuticClass && ingredients.length === 0) {
+      skipped.push({ list: 'contraindications', index, reason: 'Unknown drug, name an ingredient, NDC or drugClass' });
+      return;
+    }
+
+    const fields = {
+      conditionCode: entry.conditionCode,
+      severity: entry.severity,
+      description: entry.description,
+      management: entry.management,
+      source
+    };
+
+    const targets = therapeuticClass
+      ? [{ ingredient: null, therapeuticClass }]
+      : ingredients.map(ingredient => ({ ingredient, therapeuticClass: null }));
+
+    targets.forEach(target => {
+      const filter = { ...target, condition };
+      operations.set(JSON.stringify(filter), {
+        updateOne: { filter, update: { $set: fields }, upsert: true }
+      });
+    });
+  });
+
+  return [...operations.values()];
+};
+
+/**
+ * Import an interaction dataset into the database, replacing entries for the same
+ * ingredient pairs and drug-condition pairs.
+ * Ingredient names are reduced to their active moiety, so a product listing
+ * "sertraline hydrochloride" interacts like "sertraline".
+ * @param {Object} dataset {
+ *   source,
+ *   products: [{ ndc, ingredients, therapeuticClass }],
+ *     e.g. { ndc: '0049-4960', ingredients: ['Sertraline Hydrochloride'], therapeuticClass: 'Serotonin Reuptake Inhibitor' }
+ *   interactions: [{ between: [ingredient or NDC, ingredient or NDC], severity, description, management }],
+ *   contraindications: [{ drug: ingredient or NDC, or drugClass, condition, conditionCode, severity, description, management }]
+ * }
+ * @returns {Promise<Object>} { success, interactions, contraindications, medicationsUpdated, skipped }
+ */
+export const importInteractionDataset = async (dataset) => {
+  const hasList = (name) => Array.isArray(dataset?.[name]);
+
+  if (!dataset || typeof dataset !== 'object' || (!hasList('interactions') && !hasList('contraindications'))) {
+    return { success: false, statusCode: 400, message: 'Dataset must have an interactions or contraindications list' };
+  }
+
+  const source = dataset.source || 'local';
+  const productsByNdc = readProducts(dataset.products);
+  const medicationsUpdated = await updateCatalog(productsByNdc);
+  const catalogByNdc = await loadCatalogIngredients();
+
+  const resolve = (value) => resolveSide(value, productsByNdc, catalogByNdc);
+  const skipped = [];
+
+  const interactions = readInteractions(dataset.interactions || [], source, resolve, skipped);
+  const contraindications = readContraindications(dataset.contraindications || [], source, resolve, skipped);
+
+  if (interactions.length > 0) {
+    await DrugInteraction.bulkWrite(interactions, { ordered: false });
+  }
+  if (contraindications.length > 0) {
+    await ConditionContraindication.bulkWrite(contraindications, { ordered: false });
+  }
+
+  return {
+    success: true,
+    source,
+    interactions: interactions.length,
+    contraindications: contraindications.length,
+    medicationsUpdated,
+    skipped
+  };
+};
+
+/**
+ * Import an interaction dataset from a JSON file
+ * @param {string} filePath Path to the dataset file
+ * @returns {Promise<Object>} Result of importInteractionDataset
+ */
+export const loadInteractionDatasetFile = async (filePath) => {
+  let dataset;
+  try {
+    dataset = JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (error) {
+    return { success: false, statusCode: 400, message: `Could not read interaction dataset: ${error.message}` };
+  }
+
+  return importInteractionDataset(dataset);
+};
+
+/**
+ * Import the dataset named by INTERACTION_DATASET_PATH, if any, when the server starts
+ * @returns {Promise<void>}
+ */
+export const loadConfiguredInteractionDataset = async () => {
+  const filePath = process.env.INTERACTION_DATASET_PATH;
+  if (!filePath) return;
+
+  try {
+    const result = await loadInteractionDatasetFile(filePath);
+
+    if (result.success) {
+      console.log(`Interaction dataset ${result.source} loaded: ${result.interactions} interactions, ${result.contraindications} contraindications, ${result.skipped.length} skipped`);
+    } else {
+      console.error(result.message);
+    }
+  } catch (error) {
+    console.error('Error loading interaction dataset:', error);
+  }
+};
@@ -0,0 +1,336 @@
+// services/interaction/interactionService.js
+import mongoose from 'mongoose';
+import Medication from '../../models/medicationModel.js';
+import PatientMedication from '../../models/patientModel.js';
+import Schedule from '../../models/scheduleModel.js';
+import DrugInteraction, { INTERACTION_SEVERITIES } from '../../models/drugInteractionModel.js';
+import ConditionContraindication from '../../models/conditionContraindicationModel.js';
+import Alert from '../../models/alertModel.js';
+import User from '../../models/userModel.js';
+import { normalizeIngredient, getBaseIngredient } from './interactionDataset.js';
+import { emitToUser, emitToCaregivers } from '../../websockets/websocketServer.js';
+
+const MEDICATION_FIELDS = 'name ndc ingredients therapeuticClass';
+const OVERRIDE_ROLES = ['healthcare_provider', 'admin'];
+
+// Conflicts at or above this severity raise an alert when they are saved anyway
+const ALERT_SEVERITY = 'major';
+
+// How a recorded allergy grades as a conflict, an allergy of unknown severity counts as major
+const ALLERGY_CONFLICT_SEVERITY = {
+  mild: 'moderate',
+  moderate: 'major',
+  severe: 'contraindicated',
+  life_threatening: 'contraindicated'
+};
+
+const rank = (severity) => INTERACTION_SEVERITIES.indexOf(severity);
+
+// What a warning conflicts with, another medication or an allergy or condition
+const conflictName = (warning) => warning.withMedication?.name || warning.subject;
+
+// Active moieties of a medication, those without a recorded ingredient list are matched by name
+const getIngredients = (medication) => {
+  const ingredients = medication.ingredients?.length ? medication.ingredients : [medication.name];
+  return [...new Set(ingredients.map(getBaseIngredient).filter(Boolean))];
+};
+
+// Whether the words of a name start with the words of another, so "penicillin"
+// matches the class "penicillin-class antibacterial" and "zoloft" the name "zoloft 50 mg"
+const startsWithWords = (text, prefix) => {
+  const words = normalizeIngredient(text).split(/[^a-z0-9]+/).filter(Boolean);
+  const prefixWords = normalizeIngredient(prefix).split(/[^a-z0-9]+/).filter(Boolean);
+  return prefixWords.length > 0 && prefixWords.every((word, index) => words[index] === word);
+};
+
+// Catalog medications the patient is currently taking, from medications and schedules
+const getActiveMedications = async (patientId, options) => {
+  const [patientMedications, schedules] = await Promise.all([
+    PatientMedication.find({
+      patient: patientId,
+      isActive: true,
+      ...(options.excludePatientMedication && { _id: { $ne: options.excludePatientMedication } })
+    }).select('medication'),
+    Schedule.find({
+      patient: patientId,
+      active: true,
+      ...(options.excludeSchedule && { _id: { $ne: options.excludeSchedule } })
+    }).select('medication')
+  ]);
+
+  const ids = [...patientMedications, ...schedules].map(entry => String(entry.medication));
+  return Medication.find({ _id: { $in: [...new Set(ids)] } }).select(MEDICATION_FIELDS);
+};
+
+// Allergies to one of the medication's ingredients, its name or its drug class.
+// Salt forms and longer names match, an allergy to "sertraline" covers "sertraline hydrochloride"
+const checkAllergies = (medication, ingredients, allergies = []) => {
+  const drugClass = medication.therapeuticClass || '';
+
+  return allergies
+    .filter(allergy =>
+      (allergy.drug && (ingredients.includes(getBaseIngredient(allergy.drug)) || startsWithWords(medication.name, allergy.drug))) ||
+      (allergy.drugClass && startsWithWords(drugClass, allergy.drugClass))
+    )
+    .map(allergy => {
+      const allergen = allergy.drug || allergy.drugClass;
+      return {
+        type: 'allergy',
+        severity: ALLERGY_CONFLICT_SEVERITY[allergy.severity] || 'major',
+        subject: `${allergen} allergy`,
+        allergy: {
+          _id: allergy._id,
+          drug: allergy.drug,
+          drugClass: allergy.drugClass,
+          reaction: allergy.reaction,
+          severity: allergy.severity
+        },
+        ingredients: allergy.drug ? [allergy.drug] : [],
+        description: `Patient is allergic to ${allergen}${allergy.reaction ? ` (${allergy.reaction})` : ''}`
+      };
+    });
+};
+
+// Whether a patient's condition is the one a contraindication is about,
+// by name or by ICD-10 code including the codes under it
+const conditionMatches = (condition, contraindication) =>
+  normalizeIngredient(condition.name) === contraindication.condition ||
+  Boolean(condition.code && contraindication.conditionCode && condition.code.startsWith(contraindication.conditionCode));
+
+// Active conditions the medication's ingredients or drug class are contraindicated in
+const checkConditions = async (medication, ingredients, conditions = []) => {
+  const active = conditions.filter(condition => condition.status !== 'resolved');
+  if (active.length === 0) return [];
+
+  const drugClass = normalizeIngredient(medication.therapeuticClass);
+  const contraindications = await ConditionContraindication.find({
+    $or: [
+      { ingredient: { $in: ingredients } },
+      ...(drugClass ? [{ therapeuticClass: drugClass }] : [])
+    ]
+  });
+
+  return contraindications.flatMap(contraindication => active
+    .filter(condition => conditionMatches(condition, contraindication))
+    .map(condition => ({
+      type: 'condition',
+      severity: contraindication.severity,
+      subject: condition.name,
+      condition: { _id: condition._id, name: condition.name, code: condition.code },
+      ingredients: contraindication.ingredient ? [contraindication.ingredient] : [],
+      description: contraindication.description ||
+        `${medication.name} is contraindicated in ${condition.name}`,
+      management: contraindication.management
+    })));
+};
+
+/**
+ * Check a medication against the patient's other active medications, allergies and conditions
+ * @param {string} patientId The patient ID
+ * @param {string} medicationId The catalog medication being assigned
+ * @param {Object} options Optional {
+ *   excludePatientMedication, excludeSchedule: entries left out, e.g. the one being updated
+ *   sameMedication: true when another active entry for the same medication is a duplicate
+ * }
+ * @returns {Promise<Object>} { success, warnings, highestSeverity, requiresOverride }
+ */
+export const checkInteractions = async (patientId, medicationId, options = {}) => {
+  if (!mongoose.isValidObjectId(medicationId)) {
+    return { success: false, statusCode: 404, message: 'Medication not found in catalog' };
+  }
+
+  const medication = await Medication.findById(medicationId).select(MEDICATION_FIELDS);
+  if (!medication) {
+    return { success: false, statusCode: 404, message: 'Medication not found in catalog' };
+  }
+
+  const [active, patient] = await Promise.all([
+    getActiveMedications(patientId, options),
+    User.findById(patientId).select('allergies conditions')
+  ]);
+  const ingredients = getIngredients(medication);
+  const warnings = [
+    ...checkAllergies(medication, ingredients, patient?.allergies),
+    ...await checkConditions(medication, ingredients, patient?.conditions)
+  ];
+
+  const others = active.filter(other => {
+    if (!other._id.equals(medication._id)) return true;
+
+    if (options.sameMedication) {
+      warnings.push({
+        type: 'duplicate_therapy',
+        severity: 'major',
+        withMedication: { _id: other._id, name: other.name },
+        ingredients,
+        description: `${medication.name} is already an active medication`
+      });
+    }
+    return false;
+  });
+
+  // Taking the same ingredient twice doubles the dose, the same drug class usually
+  // means one of them should replace the other
+  others.forEach(other => {
+    const shared = getIngredients(other).filter(ingredient => ingredients.includes(ingredient));
+
+    if (shared.length > 0) {
+      warnings.push({
+        type: 'duplicate_therapy',
+        severity: 'major',
+        withMedication: { _id: other._id, name: other.name },
+        ingredients: shared,
+        description: `${medication.name} and ${other.name} both contain ${shared.join(', ')}`
+      });
+    } else if (medication.therapeuticClass && medication.therapeuticClass === other.therapeuticClass) {
+      warnings.push({
+        type: 'duplicate_therapy',
+        severity: 'moderate',
+        withMedication: { _id: other._id, name: other.name },
+        ingredients: [],
+        description: `${medication.name} and ${other.name} are both ${medication.therapeuticClass}`
+      });
+    }
+  });
+
+  if (others.length > 0) {
+    const otherIngredients = new Map();
+    others.forEach(other => getIngredients(other).forEach(ingredient => {
+      if (!otherIngredients.has(ingredient)) otherIngredients.set(ingredient, []);
+      otherIngredients.get(ingredient).push(other);
+    }));
+
+    const candidates = [...new Set([...ingredients, ...otherIngredients.keys()])];
+    const interactions = await DrugInteraction.find({
+      ingredientA: { $in: candidates },
+      ingredientB: { $in: candidates }
+    });
+
+    interactions.forEach(interaction => {
+      const pairs = [
+        [interaction.ingredientA, interaction.ingredientB],
+        [interaction.ingredientB, interaction.ingredientA]
+      ];
+
+      pairs.forEach(([own, theirs]) => {
+        if (!ingredients.includes(own)) return;
+
+        (otherIngredients.get(theirs) || []).forEach(other => {
+          warnings.push({
+            type: 'interaction',
+            severity: interaction.severity,
+            withMedication: { _id: other._id, name: other.name },
+            ingredients: [own, theirs],
+            description: interaction.description,
+            management: interaction.management
+          });
+        });
+      });
+    });
+  }
+
+  warnings.sort((a, b) => rank(b.severity) - rank(a.severity));
+
+  return {
+    success: true,
+    medication: { _id: medication._id, name: medication.name },
+    warnings,
+    highestSeverity: warnings[0]?.severity || null,
+    requiresOverride: warnings.some(warning => warning.severity === 'contraindicated')
+  };
+};
+
+/**
+ * Check a medication before it is assigned, refusing contraindicated combinations
+ * unless a provider overrides them with a reason
+ * @param {string} patientId The patient ID
+ * @param {string} medicationId The catalog medication being assigned
+ * @param {Object} options { user, override: { reason }, ...options of checkInteractions }
+ * @returns {Promise<Object>} { success, warnings, overrides } or { success: false, statusCode: 409, code: 'contraindicated', warnings }
+ */
+export const reviewInteractions = async (patientId, medicationId, options = {}) => {
+  const { user, override, ...checkOptions } = options;
+
+  const check = await checkInteractions(patientId, medicationId, checkOptions);
+  if (!check.success || !check.requiresOverride) {
+    return { ...check, overrides: [] };
+  }
+
+  const contraindicated = check.warnings.filter(warning => warning.severity === 'contraindicated');
+  const names = [...new Set(contraindicated.map(conflictName))].join(', ');
+
+  const reason = typeof override?.reason === 'string' ? override.reason.trim() : '';
+  if (!reason) {
+    return {
+      success: false,
+      statusCode: 409,
+      code: 'contraindicated',
+      message: `${check.medication.name} is contraindicated with ${names}, a provider override with a reason is required`,
+      warnings: check.warnings
+    };
+  }
+
+  if (!OVERRIDE_ROLES.includes(user?.role)) {
+    return { success: false, statusCode: 403, message: 'Only a healthcare provider can override a contraindication' };
+  }
+
+  const now = new Date();
+  const overrides = contraindicated.map(warning => ({
+    withMedication: warning.withMedication?._id,
+    subject: warning.subject,
+    type: warning.type,
+    severity: warning.severity,
+    reason,
+    overriddenBy: user._id,
+    overriddenAt: now
+  }));
+
+  return { ...check, overrides };
+};
+
+/**
+ * Raise a medication error alert for serious conflicts that were saved anyway
+ * and tell the patient and their caregivers
+ * @param {string} patientId The patient ID
+ * @param {Object} review Result of reviewInteractions
+ * @returns {Promise<Object|null>} The created alert, null when nothing needed one
+ */
+export const reportInteractionConflicts = async (patientId, review) => {
+  const serious = (review.warnings || []).filter(warning => rank(warning.severity) >= rank(ALERT_SEVERITY));
+  if (serious.length === 0) return null;
+
+  const medicationName = review.medication.name;
+  const conflicts = serious.map(warning => `${conflictName(warning)} (${warning.severity})`).join(', ');
+  const overridden = review.overrides?.length > 0;
+
+  const alert = await Alert.create({
+    alertType: 'medication_error',
+    severity: review.highestSeverity === 'contraindicated' ? 'high' : 'medium',
+    patient: patientId,
+    medication: review.medication._id,
+    message: `${medicationName} was assigned despite conflicts with ${conflicts}${overridden
+      ? `, overridden: ${review.overrides[0].reason}`
+      : ''}`,
+    status: 'active'
+  });
+
+  const patient = await User.findById(patientId);
+  const eventData = {
+    patientId,
+    patientName: patient?.fullName,
+    medicationId: review.medication._id,
+    medicationName,
+    alertId: alert._id,
+    highestSeverity: review.highestSeverity,
+    overridden,
+    warnings: serious,
+    time: new Date()
+  };
+
+  emitToUser(patientId, 'medication:interaction', eventData);
+  if (patient) {
+    await emitToCaregivers(patient, 'patient:medication:interaction', eventData);
+  }
+
+  return alert;
+};
@@ -1,34 +1,49 @@
 // services/inventory/index.js
-const { db } = require('../../config/database.js');
+import DispenserDevice from '../../models/dispenserDeviceModel.js';
+import { getLowStockThreshold } from './inventoryService.js';
+import { sendCommand } from '../dispenser/commandService.js';
+
+// Load a device with each compartment's patient medication and catalog entry
+const findDeviceWithMedications = (deviceId) =>
+  DispenserDevice.findOne({ deviceId }).populate({
+    path: 'compartments.medicationId',
+    populate: { path: 'medication', select: 'name strength strengthUnit' }
+  });
 
 class InventoryService {
   /**
    * Get current inventory levels for a specific device
    * @param {string} deviceId The device ID to get inventory for
-   * @returns {Promise<Array>} List of medications with inventory information
+   * @returns {Promise<Array>} List of compartments with inventory information
    */
   async getInventory(deviceId) {
     try {
-      const inventory = await db.dispenserSlots.findMany({
-        where: { deviceId },
-        include: { medication: true }
+      const device = await findDeviceWithMedications(deviceId);
+
+      if (!device) {
+        throw new Error(`Device ${deviceId} not found`);
+      }
+
+      return device.compartments.map(compartment => {
+        const patientMedication = compartment.medicationId;
+
+        return {
+          deviceId: device.deviceId,
+          compartmentId: compartment.compartmentId,
+          medicationId: patientMedication?._id || null,
+          medicationName: patientMedication?.medication?.name || 'Unknown',
+          pillCount: compartment.currentQuantity,
+          capacity: compartment.capacity,
+          lowStock: !!patientMedication &&
+            compartment.currentQuantity <= getLowStockThreshold(patientMedication)
+        };
       });
-      
-      return inventory.map(slot => ({
-        deviceId: slot.deviceId,
-        slotNumber: slot.slotNumber,
-        medicationId: slot.medicationId,
-        medicationName: slot.medication?.name || 'Unknown',
-        pillCount: slot.pillCount,
-        lowStock: slot.pillCount < (slot.medication?.lowStockThreshold || 5),
-        lastDispensed: slot.lastDispensed
-      }));
     } catch (error) {
       console.error('Inventory fetch error:', error);
       throw new Error(`Failed to get inventory: ${error.message}`);
     }
   }
-  
+
   /**
    * Check if any medications are low on stock for a device
    * @param {string} deviceId The device ID to check
@@ -36,112 +51,84 @@ class InventoryService {
    */
   async checkLowStock(deviceId) {
     try {
-      const slots = await db.dispenserSlots.findMany({
-        where: { deviceId },
-        include: { medication: true }
-      });
-      
-      return slots.filter(slot => 
-        slot.pillCount < (slot.medication?.lowStockThreshold || 5)
-      ).map(slot => ({
-        deviceId: slot.deviceId,
-        slotNumber: slot.slotNumber,
-        medicationName: slot.medication?.name || 'Unknown',
-        currentCount: slot.pillCount,
-        threshold: slot.medication?.lowStockThreshold || 5
-      }));
+      const device = await findDeviceWithMedications(deviceId);
+
+      if (!device) {
+        throw new Error(`Device ${deviceId} not found`);
+      }
+
+      return device.compartments
+        .filter(compartment => compartment.medicationId &&
+          compartment.currentQuantity <= getLowStockThreshold(compartment.medicationId))
+        .map(compartment => ({
+          deviceId: device.deviceId,
+          compartmentId: compartment.compartmentId,
+          medicationName: compartment.medicationId.medication?.name || 'Unknown',
+          currentCount: compartment.currentQuantity,
+          threshold: getLowStockThreshold(compartment.medicationId)
+        }));
     } catch (error) {
       console.error('Low stock check error:', error);
       throw new Error(`Failed to check low stock: ${error.message}`);
     }
   }
-  
+
   /**
-   * Updates the pill count for a medication slot
+   * Updates the pill count for a medication compartment
    * @param {string} deviceId The device ID
-   * @param {number} slotNumber The slot to update
+   * @param {number} compartmentId The compartment to update
    * @param {number} newCount The new pill count
    * @returns {Promise<Object>} Result of the update operation
    */
-  async updatePillCount(deviceId, slotNumber, newCount) {
+  async updatePillCount(deviceId, compartmentId, newCount) {
     try {
       if (newCount < 0) {
         return { success: false, message: 'Pill count cannot be negative' };
       }
-      
+
       // Check if the device exists
-      const device = await db.dispenserDevices.findUnique({
-        where: { deviceId }
-      });
-      
+      const device = await findDeviceWithMedications(deviceId);
+
       if (!device) {
         return { success: false, message: `Device ${deviceId} not found` };
       }
-      
-      const slot = await db.dispenserSlots.findFirst({
-        where: { 
-          deviceId,
-          slotNumber 
-        },
-        include: { medication: true }
-      });
-      
-      if (!slot) {
-        return { success: false, message: `Slot ${slotNumber} not found` };
+
+      const compartment = device.compartments.find(c => c.compartmentId === compartmentId);
+
+      if (!compartment) {
+        return { success: false, message: `Compartment ${compartmentId} not found` };
+      }
+
+      if (newCount > compartment.capacity) {
+        return { success: false, message: `Pill count cannot exceed capacity of ${compartment.capacity}` };
       }
-      
+
+      const previousCount = compartment.currentQuantity;
+      const medicationName = compartment.medicationId?.medication?.name || 'medication';
+
       // Update the pill count in the database
-      await db.dispenserSlots.update({
-        where: { 
-          deviceId_slotNumber: {
-            deviceId,
-            slotNumber
-          }
-        },
-        data: { 
-          pillCount: newCount,
-          updatedAt: new Date()
-        }
-      });
-      
+      await DispenserDevice.updateOne(
+        { _id: device._id, 'compartments.compartmentId': compartmentId },
+        { $set: { 'compartments.$.currentQuantity': newCount } }
+      );
+
       // Log the inventory change
-      if (newCount > slot.pillCount) {
-        await db.inventoryLog.create({
-          data: {
-            deviceId,
-            medicationId: slot.medicationId,
-            slotNumber,
-            previousCount: slot.pillCount,
-            newCount,
-            changeType: 'REFILL',
-            timestamp: new Date()
-          }
-        });
-      } else if (newCount < slot.pillCount) {
-        await db.inventoryLog.create({
-          data: {
-            deviceId,
-            medicationId: slot.medicationId,
-            slotNumber,
-            previousCount: slot.pillCount,
-            newCount,
-            changeType: 'ADJUSTMENT',
-            timestamp: new Date()
-          }
-        });
-      }
-      
-      // Send the update to the device via MQTT
-      const { publishToDevice } = require('../../mqtt/mqttClient');
-      publishToDevice(deviceId, 'update_inventory', {
-        slotNumber,
+      const changeType = newCount > previousCount ? 'REFILL' :
+                         newCount < previousCount ? 'ADJUSTMENT' : 'SYNC';
+      console.log(`Pill count for device ${deviceId}, compartment ${compartmentId}: ${previousCount} -> ${newCount} (${changeType})`);
+
+      // Queue the update for the device
+      const command = await sendCommand(device, 'update_inventory', {
+        compartmentId,
         pillCount: newCount,
         timestamp: new Date().toISOString()
       });
-      
-      return { 
-        success: true, 
-        message: `Updated pill count for ${slot.medication?.name || 'medication'} to ${newCount}` 
+
+      return {
+        success: true,
+        message: `Updated pill count for ${medicationName} to ${newCount}`,
+        correlationId: command.correlationId,
+        commandStatus: command.status
       };
     } catch (error) {
       console.error('Pill count update error:', error);
@@ -153,4 +140,4 @@ class InventoryService {
 // Create singleton instance
 const inventoryService = new InventoryService();
 
-module.exports = inventoryService;
\ No newline at end of file
+export default inventoryService;
@@ -1,6 +1,38 @@
 // services/inventory/inventoryService.js
-const { db } = require('../../config/database.js');
-const notificationService = require('../notification');
+import PatientMedication from '../../models/patientModel.js';
+import { reportCompartmentQuantity } from '../dispenser/shadowService.js';
+import { emitToUser, emitToDevice } from '../../websockets/websocketServer.js';
+
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+/**
+ * Low stock threshold for a compartment's medication
+ * @param {Object} patientMedication The patient medication loaded in the compartment
+ * @returns {number} Pill count at or below which stock is low
+ */
+export const getLowStockThreshold = (patientMedication) =>
+  patientMedication?.inventoryTracking?.refillAt ?? DEFAULT_LOW_STOCK_THRESHOLD;
+
+/**
+ * Notify the device owner that a compartment is running low
+ * @param {Object} device The device document from database
+ * @param {Object} compartment The compartment sub-document
+ * @param {Object} patientMedication The patient medication with populated medication
+ */
+export const notifyLowStock = (device, compartment, patientMedication) => {
+  const medicationName = patientMedication?.medication?.name || 'medication';
+
+  emitToUser(device.ownedBy, 'medication:lowStock', {
+    deviceId: device.deviceId,
+    compartmentId: compartment.compartmentId,
+    medicationId: patientMedication?._id,
+    medicationName,
+    remainingDoses: compartment.currentQuantity,
+    time: new Date()
+  });
+
+  console.log(`Low inventory for ${medicationName} in device ${device.deviceId}, compartment ${compartment.compartmentId}`);
+};
 
 /**
  * Handle inventory updates received from dispenser devices
@@ -8,80 +40,53 @@ const notificationService = require('../notification');
  * @param {Object} payload The inventory update payload
  * @returns {Promise<void>}
  */
-exports.handleInventoryUpdate = async (device, payload) => {
+export const handleInventoryUpdate = async (device, payload) => {
   try {
-    const { slotNumber, pillCount, timestamp } = payload;
-    
-    // Find the current slot info
-    const slot = await db.dispenserSlots.findFirst({
-      where: { 
-        deviceId: device.deviceId,
-        slotNumber 
-      },
-      include: { medication: true }
-    });
-    
-    if (!slot) {
-      console.error(`Slot ${slotNumber} not found for device ${device.deviceId}`);
+    const compartmentId = payload.compartmentId ?? payload.slotNumber;
+    const pillCount = payload.pillCount ?? payload.quantity;
+
+    const compartment = device.compartments.find(c => c.compartmentId === compartmentId);
+
+    if (!compartment) {
+      console.error(`Compartment ${compartmentId} not found for device ${device.deviceId}`);
       return;
     }
-    
-    const previousCount = slot.pillCount;
-    
-    // Update the pill count
-    await db.dispenserSlots.update({
-      where: { 
-        deviceId_slotNumber: {
-          deviceId: device.deviceId,
-          slotNumber
-        }
-      },
-      data: { 
-        pillCount,
-        updatedAt: new Date(timestamp) || new Date()
-      }
-    });
-    
-    console.log(`Updated pill count for device ${device.deviceId}, slot ${slotNumber} to ${pillCount}`);
-    
-    // Log the inventory change
-    const changeType = pillCount > previousCount ? 'REFILL' : 
+
+    if (typeof pillCount !== 'number' || pillCount < 0) {
+      console.error(`Invalid pill count from device ${device.deviceId}: ${pillCount}`);
+      return;
+    }
+
+    const previousCount = compartment.currentQuantity;
+    compartment.currentQuantity = pillCount;
+    reportCompartmentQuantity(device, compartmentId, pillCount);
+    await device.save();
+
+    const changeType = pillCount > previousCount ? 'REFILL' :
                        pillCount < previousCount ? 'CONSUMPTION' : 'SYNC';
-    
-    await db.inventoryLog.create({
-      data: {
-        deviceId: device.deviceId,
-        medicationId: slot.medicationId,
-        slotNumber,
-        previousCount,
-        newCount: pillCount,
-        changeType,
-        timestamp: new Date(timestamp) || new Date()
-      }
+
+    console.log(`Updated pill count for device ${device.deviceId}, compartment ${compartmentId} to ${pillCount} (${changeType})`);
+
+    emitToDevice(device._id, 'device:inventory', {
+      deviceId: device.deviceId,
+      compartmentId,
+      previousCount,
+      currentQuantity: pillCount,
+      changeType,
+      time: new Date()
     });
-    
-    // Check if inventory is now low
-    if (slot.medication && 
-        pillCount <= slot.medication.lowStockThreshold && 
-        previousCount > slot.medication.lowStockThreshold) {
-      
-      // Send low inventory notification
-      await notificationService.createNotification(
-        device.userId,
-        'LOW_INVENTORY',
-        'Medication Running Low',
-        `Your ${slot.medication.name} is running low. Only ${pillCount} dose(s) remaining.`,
-        {
-          deviceId: device.deviceId,
-          medicationId: slot.medicationId,
-          medicationName: slot.medication.name,
-          remainingDoses: pillCount
-        }
-      );
-      
-      console.log(`Created low inventory notification for ${slot.medication.name}`);
+
+    if (!compartment.medicationId) return;
+
+    const patientMedication = await PatientMedication.findById(compartment.medicationId)
+      .populate('medication', 'name');
+
+    // Only notify when the count crosses the threshold
+    const threshold = getLowStockThreshold(patientMedication);
+    if (pillCount <= threshold && previousCount > threshold) {
+      notifyLowStock(device, compartment, patientMedication);
     }
   } catch (error) {
     console.error('Error handling inventory update:', error);
   }
-};
\ No newline at end of file
+};
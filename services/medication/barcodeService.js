@@ -0,0 +1,299 @@
+// services/medication/barcodeService.js
+import mongoose from 'mongoose';
+import Medication from '../../models/medicationModel.js';
+import PatientMedication from '../../models/patientModel.js';
+import { refillPrescription } from '../prescription/prescriptionService.js';
+import { normalizeNdc, getNdc10Candidates, formatProductNdc } from './ndc.js';
+
+// Group separator (FNC1) ending variable length fields in raw GS1 data
+const GS = '\x1d';
+
+// Symbology identifier some scanners put in front, e.g. "]d2" for DataMatrix
+const SYMBOLOGY_PREFIX = /^\][A-Za-z]\d/;
+
+// Fixed lengths of the GS1 application identifiers found on drug packages,
+// others run to the next separator
+const GS1_FIXED_LENGTHS = {
+  '01': 14, // GTIN
+  '11': 6, // Production date
+  '17': 6 // Expiry date
+};
+
+// Segment lengths of the 10 digit NDC layouts
+const NDC10_LAYOUTS = {
+  '4-4-2': [4, 4, 2],
+  '5-3-2': [5, 3, 2],
+  '5-4-1': [5, 4, 1]
+};
+
+// GTINs of US drugs hold the 10 digit NDC after this prefix
+const NDC_GTIN_PREFIX = '03';
+
+/**
+ * Check the GS1 mod 10 check digit of a GTIN, UPC or EAN
+ * @param {string} digits The full code including its check digit
+ * @returns {boolean} True when the check digit is right
+ */
+const hasValidCheckDigit = (digits) => {
+  const body = digits.slice(0, -1);
+  const sum = [...body].reverse().reduce((total, digit, index) =>
+    total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === Number(digits.slice(-1));
+};
+
+// GS1 dates are YYMMDD, day 00 meaning the end of the month
+const parseGs1Date = (value) => {
+  const match = /^(\d{2})(\d{2})(\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const year = 2000 + Number(match[1]);
+  const month = Number(match[2]);
+  const day = Number(match[3]) || new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (month < 1 || month > 12) return null;
+
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+// Application identifiers of a GS1 barcode, written with brackets or as raw data
+const readGs1Fields = (code) => {
+  const fields = {};
+
+  if (code.startsWith('(')) {
+    for (const [, ai, value] of code.matchAll(/\((\d{2,4})\)([^(]*)/g)) {
+      fields[ai] = value.replace(GS, '').trim();
+    }
+    return fields;
+  }
+
+  let rest = code.startsWith(GS) ? code.slice(1) : code;
+  while (rest.length >= 2) {
+    const ai = rest.slice(0, 2);
+    const length = GS1_FIXED_LENGTHS[ai];
+
+    if (length) {
+      fields[ai] = rest.slice(2, 2 + length);
+      rest = rest.slice(2 + length);
+    } else {
+      const end = rest.indexOf(GS);
+      fields[ai] = end === -1 ? rest.slice(2) : rest.slice(2, end);
+      rest = end === -1 ? '' : rest.slice(end + 1);
+    }
+
+    if (rest.startsWith(GS)) rest = rest.slice(1);
+  }
+
+  return fields;
+};
+
+// The 11 digit NDCs a GTIN may hold
+const getGtinNdcCandidates = (gtin) =>
+  gtin.slice(1, 3) === NDC_GTIN_PREFIX ? getNdc10Candidates(gtin.slice(3, 13)) : [];
+
+/**
+ * Read a scanned medication barcode
+ * @param {string} raw The scanned text: GS1 DataMatrix or GS1-128, UPC-A, EAN-13, GTIN-14 or an NDC
+ * @returns {Object} { success, format, gtin, ndcCandidates, lotNumber, expiryDate, serialNumber } or { success: false, message }
+ */
+export const parseBarcode = (raw) => {
+  const code = String(raw ?? '').trim().replace(SYMBOLOGY_PREFIX, '');
+
+  if (!code) {
+    return { success: false, statusCode: 400, message: 'A barcode is required' };
+  }
+
+  const invalid = (message) => ({ success: false, statusCode: 400, message });
+
+  // GS1 data, e.g. (01)00300711552301(17)270131(10)AB123 or the same with separators
+  const isGs1 = code.startsWith('(01)') || code.startsWith(`${GS}01`) ||
+    (code.startsWith('01') && (code.includes(GS) || code.length > 16));
+
+  if (isGs1) {
+    const fields = readGs1Fields(code);
+    const gtin = fields['01'];
+
+    if (!/^\d{14}$/.test(gtin || '')) return invalid('GS1 barcode has no GTIN');
+    if (!hasValidCheckDigit(gtin)) return invalid('Barcode check digit is wrong');
+
+    const expiryDate = fields['17'] ? parseGs1Date(fields['17']) : null;
+    if (fields['17'] && !expiryDate) return invalid('Barcode expiry date is not valid');
+
+    return {
+      success: true,
+      format: 'gs1',
+      gtin,
+      ndcCandidates: getGtinNdcCandidates(gtin),
+      lotNumber: fields['10'] || null,
+      expiryDate,
+      serialNumber: fields['21'] || null
+    };
+  }
+
+  // An NDC typed or printed with hyphens has a known layout
+  if (code.includes('-')) {
+    const ndc = normalizeNdc(code);
+    if (!ndc) return invalid(`${code} is not a valid NDC`);
+    return { success: true, format: 'ndc', ndcCandidates: [{ layout: 'hyphenated', ndc }] };
+  }
+
+  if (!/^\d+$/.test(code)) return invalid('Barcode is not recognised');
+
+  switch (code.length) {
+    case 14:
+    case 13:
+    case 12: {
+      if (!hasValidCheckDigit(code)) return invalid('Barcode check digit is wrong');
+
+      // UPC-A and EAN-13 are GTIN-14 with leading zeros left off
+      const gtin = code.padStart(14, '0');
+      const format = { 14: 'gtin', 13: 'ean_13', 12: 'upc_a' }[code.length];
+      return { success: true, format, gtin, ndcCandidates: getGtinNdcCandidates(gtin) };
+    }
+
+    case 11:
+      return { success: true, format: 'ndc', ndcCandidates: [{ layout: '5-4-2', ndc: code }] };
+
+    case 10:
+      return { success: true, format: 'ndc', ndcCandidates: getNdc10Candidates(code) };
+
+    default:
+      return invalid('Barcode is not recognised');
+  }
+};
+
+// Ways an NDC may be stored on a catalog medication: package or product,
+// with or without hyphens, in its own layout or the 11 digit one
+const getStoredNdcForms = ({ ndc, layout }) => {
+  const forms = [
+    ndc,
+    `${ndc.slice(0, 5)}-${ndc.slice(5, 9)}-${ndc.slice(9)}`,
+    ndc.slice(0, 9),
+    formatProductNdc(ndc.slice(0, 9))
+  ];
+
+  // The 10 digit layout drops the padding zero of one segment
+  const lengths = NDC10_LAYOUTS[layout];
+  if (lengths) {
+    const [labeler, product, pkg] = [ndc.slice(0, 5), ndc.slice(5, 9), ndc.slice(9)]
+      .map((segment, index) => segment.slice(segment.length - lengths[index]));
+    forms.push(`${labeler}-${product}-${pkg}`, `${labeler}-${product}`, `${labeler}${product}${pkg}`);
+  }
+
+  return forms;
+};
+
+/**
+ * Find the catalog medication a scanned barcode belongs to
+ * @param {string} raw The scanned text
+ * @returns {Promise<Object>} { success, medication, ndc, barcode, matches } or { success: false, statusCode: 404 }
+ */
+export const lookupBarcode = async (raw) => {
+  const barcode = parseBarcode(raw);
+  if (!barcode.success) return barcode;
+
+  const code = String(raw).trim().replace(SYMBOLOGY_PREFIX, '');
+  const barcodes = [...new Set([code, barcode.gtin, barcode.gtin?.replace(/^0+/, '')].filter(Boolean))];
+  const ndcForms = [...new Set([
+    ...(barcode.format === 'ndc' ? [code] : []),
+    ...barcode.ndcCandidates.flatMap(getStoredNdcForms)
+  ])];
+
+  const medications = await Medication.find({
+    $or: [
+      { barcode: { $in: barcodes } },
+      ...(ndcForms.length > 0 ? [{ ndc: { $in: ndcForms } }] : [])
+    ]
+  });
+
+  if (medications.length === 0) {
+    return { success: false, statusCode: 404, message: 'No medication matches this barcode', barcode };
+  }
+
+  // A stored barcode is the surest match, then the NDC the code most likely holds
+  const matchedNdc = (medication) => barcode.ndcCandidates.find(candidate =>
+    medication.ndc === code || getStoredNdcForms(candidate).includes(medication.ndc));
+  medications.sort((a, b) =>
+    Number(barcodes.includes(b.barcode)) - Number(barcodes.includes(a.barcode)) ||
+    barcode.ndcCandidates.indexOf(matchedNdc(a)) - barcode.ndcCandidates.indexOf(matchedNdc(b)));
+
+  const [medication] = medications;
+
+  return {
+    success: true,
+    medication,
+    ndc: matchedNdc(medication)?.ndc || null,
+    barcode,
+    matches: medications.length > 1 ? medications : undefined
+  };
+};
+
+/**
+ * Refill a patient medication from a scanned package, recording its lot and expiry.
+ * Medications on a prescription use up one of its refills, others add the given quantity.
+ * @param {string} patientMedicationId The patient medication ID
+ * @param {string} raw The scanned text
+ * @param {Object} user The user refilling
+ * @param {Object} options Optional { quantity } for medications without a prescription
+ * @returns {Promise<Object>} { success, patientMedication, lotNumber, expiryDate, refillsRemaining }
+ */
+export const refillFromScan = async (patientMedicationId, raw, user, options = {}) => {
+  const patientMedication = mongoose.isValidObjectId(patientMedicationId)
+    ? await PatientMedication.findById(patientMedicationId)
+    : null;
+
+  if (!patientMedication || !patientMedication.isActive) {
+    return { success: false, statusCode: 404, message: 'Patient medication not found' };
+  }
+
+  const lookup = await lookupBarcode(raw);
+  if (!lookup.success) return lookup;
+
+  const candidates = lookup.matches || [lookup.medication];
+  if (!candidates.some(medication => medication._id.equals(patientMedication.medication))) {
+    return {
+      success: false,
+      statusCode: 409,
+      message: `Scanned package is ${lookup.medication.name}, not the patient's medication`
+    };
+  }
+
+  const { lotNumber, expiryDate } = lookup.barcode;
+  if (expiryDate && expiryDate < new Date()) {
+    return {
+      success: false,
+      statusCode: 409,
+      message: `Scanned package expired on ${expiryDate.toISOString().slice(0, 10)}`
+    };
+  }
+
+  let refillsRemaining;
+  if (patientMedication.prescription) {
+    const refill = await refillPrescription(patientMedication.prescription, user, { lotNumber, expiryDate });
+    if (!refill.success) return refill;
+    refillsRemaining = refill.refillsRemaining;
+  } else {
+    const quantity = Number(options.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { success: false, statusCode: 400, message: 'quantity must be a whole number of tablets' };
+    }
+
+    await PatientMedication.updateOne(
+      { _id: patientMedication._id },
+      {
+        $inc: { 'inventoryTracking.currentQuantity': quantity },
+        $set: {
+          'inventoryTracking.lastRefillDate': new Date(),
+          ...(lotNumber && { 'inventoryTracking.lotNumber': lotNumber }),
+          ...(expiryDate && { 'inventoryTracking.expiryDate': expiryDate })
+        }
+      }
+    );
+  }
+
+  return {
+    success: true,
+    patientMedication: await PatientMedication.findById(patientMedication._id),
+    lotNumber: lotNumber || null,
+    expiryDate: expiryDate || null,
+    ...(refillsRemaining !== undefined && { refillsRemaining })
+  };
+};
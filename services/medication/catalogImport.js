@@ -0,0 +1,368 @@
+// services/medication/catalogImport.js
+import { createReadStream } from 'fs';
+import { access } from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import Medication from '../../models/medicationModel.js';
+import { normalizeProductNdc, formatProductNdc } from './ndc.js';
+import { getBaseIngredient } from '../interaction/interactionDataset.js';
+
+export const CATALOG_FORMATS = ['fda_ndc', 'rxnorm'];
+
+const BATCH_SIZE = 500;
+
+// Fields an import sets, anything else on a medication is left as entered
+const IMPORTED_FIELDS = ['name', 'description', 'strength', 'strengthUnit', 'manufacturer', 'ingredients', 'therapeuticClass', 'rxcui'];
+
+// Tablet details the source files do not have, filled in by hand later
+const NEW_MEDICATION_DEFAULTS = {
+  dosageForm: 'tablet',
+  shape: 'other',
+  color: 'unknown'
+};
+
+const STRENGTH_UNITS = {
+  mg: 'mg',
+  g: 'g',
+  mcg: 'mcg',
+  ug: 'mcg',
+  iu: 'IU',
+  '[iu]': 'IU'
+};
+
+// Product types in the FDA file that are dispensed to patients
+const FDA_PRODUCT_TYPES = ['HUMAN PRESCRIPTION DRUG', 'HUMAN OTC DRUG'];
+
+// RxNorm clinical (SCD) and branded (SBD) drugs, the concepts NDCs are attached to
+const RXNORM_TERM_TYPES = ['SCD', 'SBD'];
+
+// "10 MG" at the start of an RxNorm drug component
+const RXNORM_COMPONENT_PATTERN = /^(.+?) (\d+(?:\.\d+)?) ([A-Z]+)(?:\/[A-Z]+)?\b/i;
+
+const readLines = (filePath) =>
+  readline.createInterface({ input: createReadStream(filePath), crlfDelay: Infinity });
+
+// Split one CSV line, quoted fields may hold commas and doubled quotes
+const splitCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields;
+};
+
+// One strength unit for the medication, mixed units across ingredients become 'other'
+const readStrengthUnit = (units) => {
+  const mapped = [...new Set(units.map(unit => STRENGTH_UNITS[unit.split('/')[0].trim().toLowerCase()] || 'other'))];
+  return mapped.length === 1 ? mapped[0] : 'other';
+};
+
+const splitList = (value, separator) =>
+  (value || '').split(separator).map(item => item.trim()).filter(Boolean);
+
+// YYYYMMDD dates in the FDA file
+const isPastDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(value || '');
+  return Boolean(match) && new Date(Date.UTC(match[1], match[2] - 1, match[3])) < new Date();
+};
+
+/**
+ * Map one row of the FDA NDC product file to medication fields
+ * @param {Object} row Columns by upper case header name
+ * @returns {Object} { ndc, fields } or { skip: reason }
+ */
+export const mapFdaProduct = (row) => {
+  const ndc = normalizeProductNdc(row.PRODUCTNDC);
+  if (!ndc) return { skip: 'Invalid NDC' };
+
+  if (row.PRODUCTTYPENAME && !FDA_PRODUCT_TYPES.includes(row.PRODUCTTYPENAME.toUpperCase())) {
+    return { skip: 'Not a human drug' };
+  }
+
+  if (!/tablet/i.test(row.DOSAGEFORMNAME || '')) return { skip: 'Not a tablet' };
+
+  if ((row.NDC_EXCLUDE_FLAG && row.NDC_EXCLUDE_FLAG !== 'N') || isPastDate(row.ENDMARKETINGDATE)) {
+    return { skip: 'No longer marketed' };
+  }
+
+  const strengths = splitList(row.ACTIVE_NUMERATOR_STRENGTH, ';');
+  if (strengths.length === 0) return { skip: 'Missing strength' };
+
+  const name = [row.PROPRIETARYNAME, row.PROPRIETARYNAMESUFFIX].filter(Boolean).join(' ').trim() ||
+    row.NONPROPRIETARYNAME;
+  if (!name) return { skip: 'Missing name' };
+
+  // Established pharmacologic class, e.g. "HMG-CoA Reductase Inhibitor [EPC]"
+  const drugClass = splitList(row.PHARM_CLASSES, ',').find(pharmClass => pharmClass.endsWith('[EPC]'));
+
+  return {
+    ndc,
+    fields: {
+      name,
+      description: row.NONPROPRIETARYNAME || undefined,
+      strength: strengths.join(' / '),
+      strengthUnit: readStrengthUnit(splitList(row.ACTIVE_INGRED_UNIT, ';')),
+      manufacturer: row.LABELERNAME || undefined,
+      ingredients: splitList(row.SUBSTANCENAME, ';').map(getBaseIngredient),
+      therapeuticClass: drugClass ? drugClass.replace(/\s*\[EPC\]$/, '') : undefined
+    }
+  };
+};
+
+/**
+ * Map an RxNorm drug name to medication fields
+ * @param {string} rxcui The RxNorm concept ID
+ * @param {string} str The concept name, e.g. "atorvastatin 10 MG Oral Tablet [Lipitor]"
+ * @returns {Object|null} Medication fields, null when the strength cannot be read
+ */
+export const mapRxNormConcept = (rxcui, str) => {
+  const brand = /\s*\[([^\]]+)\]$/.exec(str);
+  const clinical = brand ? str.slice(0, brand.index) : str;
+
+  // Extended release names start with the duration, e.g. "24 HR metformin ..."
+  const components = clinical.replace(/^\d+ HR /, '')
+    .split(' / ')
+    .map(component => RXNORM_COMPONENT_PATTERN.exec(component));
+  if (components.length === 0 || components.some(component => !component)) return null;
+
+  return {
+    name: brand ? brand[1] : clinical,
+    description: clinical,
+    strength: components.map(component => component[2]).join(' / '),
+    strengthUnit: readStrengthUnit(components.map(component => component[3])),
+    ingredients: components.map(component => getBaseIngredient(component[1])),
+    rxcui
+  };
+};
+
+/**
+ * Read the FDA NDC product file, tab or comma separated with a header row
+ * @param {string} filePath Path to product.txt or a CSV export of it
+ * @returns {AsyncGenerator<Object>} { ndc, fields } or { skip: reason }
+ */
+export async function* readFdaProductFile(filePath) {
+  let headers = null;
+  let split;
+
+  for await (const line of readLines(filePath)) {
+    if (!line.trim()) continue;
+
+    if (!headers) {
+      split = line.includes('\t') ? (value) => value.split('\t') : splitCsvLine;
+      headers = split(line).map(header => header.trim().toUpperCase());
+      continue;
+    }
+
+    const values = split(line);
+    const row = Object.fromEntries(headers.map((header, index) => [header, values[index]?.trim() || '']));
+    yield mapFdaProduct(row);
+  }
+}
+
+/**
+ * Read tablet products from an RxNorm RRF extract
+ * @param {Object} files { conso: path to RXNCONSO.RRF, sat: path to RXNSAT.RRF }
+ * @returns {AsyncGenerator<Object>} { ndc, fields } or { skip: reason }
+ */
+export async function* readRxNormFiles(files) {
+  // Drug names come from RXNCONSO, the NDCs of each drug from RXNSAT
+  const concepts = new Map();
+
+  for await (const line of readLines(files.conso)) {
+    const columns = line.split('|');
+    const [rxcui, language] = columns;
+    const [source, termType, , str, , suppress] = columns.slice(11);
+
+    if (language !== 'ENG' || source !== 'RXNORM' || suppress !== 'N') continue;
+    if (!RXNORM_TERM_TYPES.includes(termType) || !/tablet/i.test(str)) continue;
+
+    concepts.set(rxcui, str);
+  }
+
+  for await (const line of readLines(files.sat)) {
+    const columns = line.split('|');
+    const rxcui = columns[0];
+    const [attribute, source, value, suppress] = columns.slice(8);
+
+    if (attribute !== 'NDC' || source !== 'RXNORM' || suppress !== 'N' || !concepts.has(rxcui)) continue;
+
+    const ndc = normalizeProductNdc(value);
+    if (!ndc) {
+      yield { skip: 'Invalid NDC' };
+      continue;
+    }
+
+    const fields = mapRxNormConcept(rxcui, concepts.get(rxcui));
+    yield fields ? { ndc, fields } : { skip: 'Unreadable strength' };
+  }
+}
+
+// The imported fields that differ from what the catalog has
+const getChanges = (existing, fields) => {
+  const changes = {};
+
+  IMPORTED_FIELDS.forEach(field => {
+    if (fields[field] === undefined) return;
+
+    const current = Array.isArray(existing[field]) ? existing[field].join('|') : existing[field];
+    const next = Array.isArray(fields[field]) ? fields[field].join('|') : fields[field];
+    if (current !== next) changes[field] = fields[field];
+  });
+
+  return changes;
+};
+
+/**
+ * Create or update catalog medications from imported records, matched on product NDC.
+ * Running the same or a newer file again only touches medications whose fields changed.
+ * @param {AsyncIterable<Object>} records { ndc, fields } or { skip: reason }
+ * @param {Object} options Optional { dryRun } to count without writing
+ * @returns {Promise<Object>} { success, created, updated, unchanged, skipped, skippedReasons }
+ */
+export const importCatalogRecords = async (records, options = {}) => {
+  const existing = new Map();
+  const catalog = await Medication.find({ ndc: { $nin: [null, ''] } })
+    .select(['ndc', ...IMPORTED_FIELDS].join(' '))
+    .lean();
+
+  catalog.forEach(medication => {
+    const ndc = normalizeProductNdc(medication.ndc);
+    if (ndc && !existing.has(ndc)) existing.set(ndc, medication);
+  });
+
+  const counts = { created: 0, updated: 0, unchanged: 0, skipped: 0 };
+  const skippedReasons = {};
+  const seen = new Set();
+  let operations = [];
+
+  const skip = (reason) => {
+    counts.skipped++;
+    skippedReasons[reason] = (skippedReasons[reason] || 0) + 1;
+  };
+
+  const flush = async () => {
+    if (operations.length > 0 && !options.dryRun) {
+      await Medication.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  for await (const record of records) {
+    if (record.skip) {
+      skip(record.skip);
+      continue;
+    }
+
+    // Packages of one product, or a product listed twice, import once
+    if (seen.has(record.ndc)) {
+      skip('Duplicate NDC');
+      continue;
+    }
+    seen.add(record.ndc);
+
+    const current = existing.get(record.ndc);
+    if (current) {
+      const changes = getChanges(current, record.fields);
+
+      if (Object.keys(changes).length === 0) {
+        counts.unchanged++;
+        continue;
+      }
+
+      operations.push({ updateOne: { filter: { _id: current._id }, update: { $set: changes } } });
+      counts.updated++;
+    } else {
+      operations.push({
+        insertOne: {
+          document: { ...NEW_MEDICATION_DEFAULTS, ...record.fields, ndc: formatProductNdc(record.ndc) }
+        }
+      });
+      counts.created++;
+    }
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+
+  await flush();
+
+  return { success: true, dryRun: Boolean(options.dryRun), ...counts, skippedReasons };
+};
+
+/**
+ * Import the catalog from files on disk
+ * @param {string} format One of CATALOG_FORMATS
+ * @param {Object} files { file } for fda_ndc, { conso, sat } for rxnorm
+ * @param {Object} options Optional { dryRun }
+ * @returns {Promise<Object>} Result of importCatalogRecords with the format
+ */
+export const importCatalogFiles = async (format, files = {}, options = {}) => {
+  if (!CATALOG_FORMATS.includes(format)) {
+    return { success: false, statusCode: 400, message: `Format must be one of: ${CATALOG_FORMATS.join(', ')}` };
+  }
+
+  const required = format === 'rxnorm' ? ['conso', 'sat'] : ['file'];
+  for (const name of required) {
+    if (!files[name]) {
+      return { success: false, statusCode: 400, message: `The ${format} import needs a ${name} path` };
+    }
+
+    try {
+      await access(files[name]);
+    } catch (error) {
+      return { success: false, statusCode: 404, message: `Cannot read ${files[name]}` };
+    }
+  }
+
+  const records = format === 'rxnorm' ? readRxNormFiles(files) : readFdaProductFile(files.file);
+  const result = await importCatalogRecords(records, options);
+
+  return { ...result, format };
+};
+
+/**
+ * Resolve a file name sent to the import endpoint inside CATALOG_IMPORT_DIR,
+ * so the API cannot be used to read other files on the server
+ * @param {string} name File name relative to the import directory
+ * @returns {Object} { success, path } or { success: false, message }
+ */
+export const resolveImportPath = (name) => {
+  const directory = process.env.CATALOG_IMPORT_DIR;
+  if (!directory) {
+    return { success: false, statusCode: 400, message: 'CATALOG_IMPORT_DIR is not configured' };
+  }
+
+  const root = path.resolve(directory);
+  if (!name) {
+    return { success: false, statusCode: 400, message: 'An import file name is required' };
+  }
+
+  const resolved = path.resolve(root, String(name));
+  if (!resolved.startsWith(root + path.sep)) {
+    return { success: false, statusCode: 400, message: 'Import files must be inside the import directory' };
+  }
+
+  return { success: true, path: resolved };
+};
@@ -0,0 +1,76 @@
+// services/medication/ndc.js
+
+// Segment lengths of the 11 digit (5-4-2) form used for billing and most datasets
+const NDC11_SEGMENTS = [5, 4, 2];
+
+/**
+ * Normalize an NDC to its 11 digit form so codes written differently compare equal.
+ * Hyphenated 10 digit codes (4-4-2, 5-3-2, 5-4-1) are padded to 5-4-2.
+ * @param {string} ndc The code as printed or stored
+ * @returns {string|null} 11 digits, or null when the code cannot be read
+ */
+export const normalizeNdc = (ndc) => {
+  if (ndc === undefined || ndc === null) return null;
+
+  const value = String(ndc).trim();
+  const segments = value.split('-');
+
+  if (segments.length === 3 && segments.every(segment => /^\d+$/.test(segment))) {
+    if (segments.some((segment, index) => segment.length > NDC11_SEGMENTS[index])) return null;
+    if (segments.join('').length < 10) return null;
+    return segments.map((segment, index) => segment.padStart(NDC11_SEGMENTS[index], '0')).join('');
+  }
+
+  const digits = value.replace(/\D/g, '');
+  return digits.length === 11 ? digits : null;
+};
+
+/**
+ * Normalize an NDC to its 9 digit product form (labeler and product, no package).
+ * Accepts product codes (4-4, 5-3, 5-4) and package codes in any form normalizeNdc reads.
+ * @param {string} ndc The code as printed or stored
+ * @returns {string|null} 9 digits, or null when the code cannot be read
+ */
+export const normalizeProductNdc = (ndc) => {
+  if (ndc === undefined || ndc === null) return null;
+
+  const value = String(ndc).trim();
+  const segments = value.split('-');
+
+  if (segments.length === 2 && segments.every(segment => /^\d+$/.test(segment))) {
+    if (segments.some((segment, index) => segment.length > NDC11_SEGMENTS[index])) return null;
+    if (segments.join('').length < 8) return null;
+    return segments.map((segment, index) => segment.padStart(NDC11_SEGMENTS[index], '0')).join('');
+  }
+
+  if (segments.length === 3) {
+    return normalizeNdc(value)?.slice(0, 9) || null;
+  }
+
+  const digits = value.replace(/\D/g, '');
+  if (digits.length === 11) return digits.slice(0, 9);
+  return digits.length === 9 ? digits : null;
+};
+
+/**
+ * Write a 9 digit product NDC in its hyphenated 5-4 form
+ * @param {string} productNdc 9 digits from normalizeProductNdc
+ * @returns {string} e.g. '00002-1433'
+ */
+export const formatProductNdc = (productNdc) => `${productNdc.slice(0, 5)}-${productNdc.slice(5)}`;
+
+/**
+ * The 11 digit forms a 10 digit NDC written without hyphens may stand for.
+ * Without the hyphens the layout is unknown, so each of 4-4-2, 5-3-2 and 5-4-1 is tried.
+ * @param {string} digits The 10 digits
+ * @returns {Array<Object>} { ndc: 11 digits, layout }
+ */
+export const getNdc10Candidates = (digits) => {
+  if (!/^\d{10}$/.test(digits)) return [];
+
+  return [
+    { layout: '4-4-2', ndc: `0${digits}` },
+    { layout: '5-3-2', ndc: `${digits.slice(0, 5)}0${digits.slice(5)}` },
+    { layout: '5-4-1', ndc: `${digits.slice(0, 9)}0${digits.slice(9)}` }
+  ];
+};
@@ -0,0 +1,446 @@
+// services/prescription/prescriptionService.js
+import mongoose from 'mongoose';
+import Prescription from '../../models/prescriptionModel.js';
+import Medication from '../../models/medicationModel.js';
+import PatientMedication from '../../models/patientModel.js';
+import Schedule from '../../models/scheduleModel.js';
+import User from '../../models/userModel.js';
+import { regenerateSchedule, clearFutureDoses } from '../schedule/doseMaterializer.js';
+import { parseSig, getCourseEndDate } from './sigParser.js';
+import {
+  checkInteractions,
+  reviewInteractions,
+  reportInteractionConflicts
+} from '../interaction/interactionService.js';
+import { emitToUser } from '../../websockets/websocketServer.js';
+import { loadPatientClock, getPatientWeekday } from '../schedule/timeZone.js';
+
+const FREQUENCY_BY_TIMES_PER_DAY = {
+  1: 'daily',
+  2: 'twice-daily',
+  3: 'three-times-daily',
+  4: 'four-times-daily'
+};
+
+const TIMES_PER_DAY_BY_FREQUENCY = {
+  'daily': 1,
+  'twice-daily': 2,
+  'three-times-daily': 3,
+  'four-times-daily': 4,
+  'weekly': 1,
+  'as-needed': 0
+};
+
+// Dose times used when the sig does not name any
+export const DEFAULT_DOSE_TIMES = {
+  1: ['08:00'],
+  2: ['08:00', '20:00'],
+  3: ['08:00', '14:00', '20:00'],
+  4: ['08:00', '12:00', '16:00', '20:00']
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Fill in the structured sig fields that can be derived from each other
+ * @param {Object} sig The structured sig
+ * @param {Object} clock Optional patient clock, weekly sigs without a day start on the patient's today
+ * @returns {Object} { success, sig } or { success: false, message }
+ */
+export const normalizeSig = (sig = {}, clock) => {
+  if (!sig.text) {
+    return { success: false, statusCode: 400, message: 'Sig text is required' };
+  }
+
+  const specificTimes = sig.specificTimes || [];
+  const invalidTime = specificTimes.find(time => !TIME_PATTERN.test(time));
+  if (invalidTime) {
+    return { success: false, statusCode: 400, message: `Invalid dose time ${invalidTime}, use HH:mm` };
+  }
+
+  let timesPerDay = sig.timesPerDay ?? (specificTimes.length || TIMES_PER_DAY_BY_FREQUENCY[sig.frequency]);
+  // More than four doses a day have no named frequency
+  const frequency = sig.frequency || FREQUENCY_BY_TIMES_PER_DAY[timesPerDay] || (timesPerDay > 4 ? 'custom' : undefined);
+
+  if (!frequency) {
+    return { success: false, statusCode: 400, message: 'Sig needs a frequency, timesPerDay or specificTimes' };
+  }
+  if (timesPerDay === undefined) timesPerDay = TIMES_PER_DAY_BY_FREQUENCY[frequency];
+  if (frequency === 'custom' && !timesPerDay) {
+    return { success: false, statusCode: 400, message: 'A custom frequency needs timesPerDay or specificTimes' };
+  }
+
+  if (sig.durationDays !== undefined && !(Number.isInteger(sig.durationDays) && sig.durationDays > 0)) {
+    return { success: false, statusCode: 400, message: 'durationDays must be a whole number of days' };
+  }
+
+  return {
+    success: true,
+    sig: {
+      text: sig.text,
+      dosage: {
+        amount: sig.dosage?.amount ?? 1,
+        unit: sig.dosage?.unit || 'tablet'
+      },
+      frequency,
+      timesPerDay,
+      specificTimes: specificTimes.length > 0 ? [...specificTimes].sort() : (DEFAULT_DOSE_TIMES[timesPerDay] || []),
+      daysOfWeek: frequency === 'weekly' && !sig.daysOfWeek?.length
+        ? [getPatientWeekday(clock)]
+        : sig.daysOfWeek,
+      takeWithFood: Boolean(sig.takeWithFood),
+      intervalHours: sig.intervalHours,
+      maxDosesPer24Hours: sig.maxDosesPer24Hours,
+      everyNDays: sig.everyNDays,
+      durationDays: sig.durationDays,
+      route: sig.route
+    }
+  };
+};
+
+// A sig given only as text is parsed using the patient's time preferences
+const resolveSig = async (sig, patientId, clock) => {
+  const structured = sig && (sig.frequency || sig.timesPerDay !== undefined || sig.specificTimes?.length);
+  if (!sig?.text || structured) return { success: true, sig };
+
+  const patient = await User.findById(patientId).select('preferences');
+  const parsed = parseSig(sig.text, { preferences: patient?.preferences?.medicationTimePreference, clock });
+  if (!parsed.success) return parsed;
+
+  return { success: true, sig: { ...parsed.sig, ...sig } };
+};
+
+// Close prescriptions whose validity ran out
+const expireIfPastValidity = async (prescription) => {
+  if (prescription.status === 'active' && prescription.validUntil < new Date()) {
+    prescription.status = 'expired';
+    await prescription.save();
+  }
+  return prescription;
+};
+
+const findPrescription = async (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const prescription = await Prescription.findById(id);
+  return prescription ? expireIfPastValidity(prescription) : null;
+};
+
+/**
+ * Write a draft prescription
+ * @param {Object} prescriber The prescribing provider
+ * @param {Object} details { patient, medication, sig, quantity, refills, validUntil, notes }
+ * @returns {Promise<Object>} { success, prescription, interactions }
+ */
+export const createPrescription = async (prescriber, details) => {
+  const { patient, medication, quantity, refills = 0, validUntil, notes } = details;
+
+  if (!patient || !medication || !quantity) {
+    return { success: false, statusCode: 400, message: 'Patient, medication and quantity are required' };
+  }
+
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return { success: false, statusCode: 400, message: 'quantity must be a whole number of at least 1' };
+  }
+
+  if (!Number.isInteger(refills) || refills < 0) {
+    return { success: false, statusCode: 400, message: 'refills must be a whole number of 0 or more' };
+  }
+
+  if (!mongoose.isValidObjectId(patient)) {
+    return { success: false, statusCode: 404, message: 'Patient not found' };
+  }
+
+  if (!mongoose.isValidObjectId(medication) || !(await Medication.exists({ _id: medication }))) {
+    return { success: false, statusCode: 404, message: 'Medication not found in catalog' };
+  }
+
+  const expiry = validUntil ? new Date(validUntil) : null;
+  if (!expiry || Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+    return { success: false, statusCode: 400, message: 'validUntil must be a future date' };
+  }
+
+  const clock = await loadPatientClock(patient);
+  const resolved = await resolveSig(details.sig, patient, clock);
+  if (!resolved.success) return resolved;
+
+  const normalized = normalizeSig(resolved.sig, clock);
+  if (!normalized.success) return normalized;
+
+  const prescription = await Prescription.create({
+    patient,
+    prescriber: prescriber._id,
+    medication,
+    sig: normalized.sig,
+    quantity,
+    refillsAuthorized: refills,
+    refillsRemaining: refills,
+    validUntil: expiry,
+    notes
+  });
+
+  // Warn the prescriber now, contraindications are enforced on activation
+  const check = await checkInteractions(patient, medication, { sameMedication: true });
+
+  return { success: true, prescription, interactions: check.warnings || [] };
+};
+
+// Create the patient medication and schedule of a prescription that was just moved out of draft
+const createActivatedMedication = async (prescription, user, review, now) => {
+  const { sig } = prescription;
+  // Courses like "for 7 days" stop on their own
+  const endDate = getCourseEndDate(now, sig.durationDays);
+
+  const patientMedication = await PatientMedication.create({
+    patient: prescription.patient,
+    medication: prescription.medication,
+    prescribedBy: prescription.prescriber,
+    prescription: prescription._id,
+    dosage: {
+      amount: sig.dosage.amount,
+      unit: sig.dosage.unit,
+      frequency: sig.frequency,
+      timesPerDay: sig.timesPerDay,
+      specificTimes: sig.specificTimes
+    },
+    startDate: now,
+    ...(endDate && { endDate }),
+    takeWithFood: sig.takeWithFood,
+    specialInstructions: sig.text,
+    interactionOverrides: review.overrides,
+    // As needed sigs carry their dosing limits over, "q6h prn" means at least 6 hours apart
+    ...(sig.frequency === 'as-needed' && {
+      prnLimits: {
+        minIntervalMinutes: sig.intervalHours ? sig.intervalHours * 60 : undefined,
+        maxDosesPer24Hours: sig.maxDosesPer24Hours
+      }
+    }),
+    inventoryTracking: {
+      currentQuantity: prescription.quantity,
+      lastRefillDate: now,
+      tabletsPerRefill: prescription.quantity
+    }
+  });
+
+  // As needed medications are taken on demand and have no schedule
+  let schedule = null;
+  if (sig.frequency !== 'as-needed' && sig.specificTimes.length > 0) {
+    schedule = await Schedule.create({
+      patient: prescription.patient,
+      medication: prescription.medication,
+      prescription: prescription._id,
+      scheduleTimes: sig.specificTimes,
+      daysOfWeek: sig.daysOfWeek?.length ? sig.daysOfWeek : [0, 1, 2, 3, 4, 5, 6],
+      startDate: now,
+      ...(endDate && { endDate }),
+      dosage: { tablets: sig.dosage.amount, unit: sig.dosage.unit },
+      ...(sig.everyNDays > 1 && {
+        recurrence: { type: 'every_n_days', everyNDays: sig.everyNDays, anchorDate: now }
+      }),
+      interactionOverrides: review.overrides,
+      active: true
+    });
+    await regenerateSchedule(schedule);
+  }
+
+  await reportInteractionConflicts(prescription.patient, review);
+
+  prescription.status = 'active';
+  prescription.activatedAt = now;
+  prescription.patientMedication = patientMedication._id;
+  prescription.schedule = schedule?._id;
+  prescription.fills.push({ quantity: prescription.quantity, filledBy: user._id, filledAt: now });
+  await prescription.save();
+
+  emitToUser(prescription.patient, 'prescription:activated', {
+    prescriptionId: prescription._id,
+    patientMedicationId: patientMedication._id,
+    scheduleId: schedule?._id || null,
+    time: now
+  });
+
+  return { success: true, prescription, interactions: review.warnings };
+};
+
+// Undo a failed activation, removing what was created and returning the prescription to draft
+const rollBackActivation = async (prescription) => {
+  const schedules = await Schedule.find({ prescription: prescription._id });
+  for (const schedule of schedules) {
+    await clearFutureDoses(schedule._id);
+  }
+
+  await Schedule.deleteMany({ prescription: prescription._id });
+  await PatientMedication.deleteMany({ prescription: prescription._id });
+  await Prescription.updateOne({ _id: prescription._id }, { $set: { status: 'draft' }, $unset: { activatedAt: 1 } });
+};
+
+/**
+ * Activate a draft prescription, creating the patient medication and its schedule
+ * @param {string} id The prescription ID
+ * @param {Object} user The user activating it
+ * @param {Object} options Optional { override: { reason } } to accept contraindicated interactions
+ * @returns {Promise<Object>} { success, prescription, interactions }
+ */
+export const activatePrescription = async (id, user, options = {}) => {
+  const prescription = await findPrescription(id);
+
+  if (!prescription) {
+    return { success: false, statusCode: 404, message: 'Prescription not found' };
+  }
+
+  if (prescription.status !== 'draft') {
+    return { success: false, statusCode: 409, message: `Prescription is already ${prescription.status}` };
+  }
+
+  if (prescription.validUntil <= new Date()) {
+    return { success: false, statusCode: 409, message: 'Prescription has expired' };
+  }
+
+  const review = await reviewInteractions(prescription.patient, prescription.medication, {
+    user,
+    override: options.override,
+    sameMedication: true
+  });
+  if (!review.success) return review;
+
+  // Move out of draft first so a second activate request cannot create a
+  // second patient medication and schedule for the same prescription
+  const now = new Date();
+  const claimed = await Prescription.findOneAndUpdate(
+    { _id: prescription._id, status: 'draft' },
+    { $set: { status: 'active', activatedAt: now } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { success: false, statusCode: 409, message: 'Prescription is already being activated' };
+  }
+
+  try {
+    return await createActivatedMedication(prescription, user, review, now);
+  } catch (error) {
+    // Leave the prescription in draft so activation can be retried
+    await rollBackActivation(prescription);
+    throw error;
+  }
+};
+
+/**
+ * Record a refill, blocked once refills are used up or the prescription expired
+ * @param {string} id The prescription ID
+ * @param {Object} user The user recording the refill
+ * @param {Object} details Optional { lotNumber, expiryDate } of the package filled from
+ * @returns {Promise<Object>} { success, prescription, refillsRemaining }
+ */
+export const refillPrescription = async (id, user, details = {}) => {
+  const prescription = await findPrescription(id);
+
+  if (!prescription) {
+    return { success: false, statusCode: 404, message: 'Prescription not found' };
+  }
+
+  if (prescription.status === 'expired') {
+    return { success: false, statusCode: 409, message: 'Prescription has expired, a new prescription is needed' };
+  }
+
+  if (prescription.status !== 'active') {
+    return { success: false, statusCode: 409, message: `Prescription is ${prescription.status}` };
+  }
+
+  // Only one request may use up the last refill
+  const now = new Date();
+  const updated = await Prescription.findOneAndUpdate(
+    { _id: prescription._id, status: 'active', validUntil: { $gt: now }, refillsRemaining: { $gt: 0 } },
+    {
+      $inc: { refillsRemaining: -1 },
+      $push: {
+        fills: {
+          quantity: prescription.quantity,
+          filledBy: user._id,
+          filledAt: now,
+          isRefill: true,
+          lotNumber: details.lotNumber,
+          expiryDate: details.expiryDate
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return { success: false, statusCode: 409, message: 'No refills remaining, a new prescription is needed' };
+  }
+
+  if (updated.patientMedication) {
+    await PatientMedication.updateOne(
+      { _id: updated.patientMedication },
+      {
+        $inc: { 'inventoryTracking.currentQuantity': updated.quantity },
+        $set: {
+          'inventoryTracking.lastRefillDate': now,
+          ...(details.lotNumber && { 'inventoryTracking.lotNumber': details.lotNumber }),
+          ...(details.expiryDate && { 'inventoryTracking.expiryDate': details.expiryDate })
+        }
+      }
+    );
+  }
+
+  emitToUser(updated.patient, 'prescription:refilled', {
+    prescriptionId: updated._id,
+    quantity: updated.quantity,
+    refillsRemaining: updated.refillsRemaining,
+    time: now
+  });
+
+  return { success: true, prescription: updated, refillsRemaining: updated.refillsRemaining };
+};
+
+/**
+ * Cancel a prescription, stopping its medication and schedule
+ * @param {string} id The prescription ID
+ * @param {string} reason Why the prescription was cancelled
+ * @returns {Promise<Object>} { success, prescription }
+ */
+export const cancelPrescription = async (id, reason) => {
+  const prescription = await findPrescription(id);
+
+  if (!prescription) {
+    return { success: false, statusCode: 404, message: 'Prescription not found' };
+  }
+
+  if (prescription.status === 'cancelled') {
+    return { success: false, statusCode: 409, message: `Prescription is already ${prescription.status}` };
+  }
+
+  const now = new Date();
+
+  if (prescription.patientMedication) {
+    await PatientMedication.updateOne(
+      { _id: prescription.patientMedication },
+      { $set: { isActive: false, endDate: now } }
+    );
+  }
+
+  if (prescription.schedule) {
+    await Schedule.updateOne({ _id: prescription.schedule }, { $set: { active: false, endDate: now } });
+    await clearFutureDoses(prescription.schedule, now);
+  }
+
+  prescription.status = 'cancelled';
+  prescription.cancelledAt = now;
+  prescription.cancelReason = reason;
+  await prescription.save();
+
+  emitToUser(prescription.patient, 'prescription:cancelled', {
+    prescriptionId: prescription._id,
+    reason,
+    time: now
+  });
+
+  return { success: true, prescription };
+};
+
+/**
+ * Load a prescription, closing it first if it is past its validity
+ * @param {string} id The prescription ID
+ * @returns {Promise<Object|null>} The prescription
+ */
+export const getPrescription = findPrescription;
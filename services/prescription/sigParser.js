@@ -0,0 +1,345 @@
+// services/prescription/sigParser.js
+import { getPatientWeekday } from '../schedule/timeZone.js';
+
+// Default clock times for the parts of the day a sig can refer to
+const DAY_SLOTS = {
+  morning: '08:00',
+  noon: '12:00',
+  afternoon: '14:00',
+  evening: '18:00',
+  bedtime: '22:00'
+};
+
+// Slots used for each number of daily doses when the patient has no preferences
+const SLOTS_BY_TIMES_PER_DAY = {
+  1: ['morning'],
+  2: ['morning', 'bedtime'],
+  3: ['morning', 'afternoon', 'bedtime'],
+  4: ['morning', 'noon', 'evening', 'bedtime']
+};
+
+// Preference labels patients use, mapped to day slots
+const PREFERENCE_LABELS = {
+  morning: 'morning',
+  breakfast: 'morning',
+  noon: 'noon',
+  lunch: 'noon',
+  midday: 'noon',
+  afternoon: 'afternoon',
+  evening: 'evening',
+  dinner: 'evening',
+  supper: 'evening',
+  night: 'bedtime',
+  bedtime: 'bedtime'
+};
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, half: 0.5
+};
+
+const FREQUENCY_BY_TIMES_PER_DAY = {
+  1: 'daily',
+  2: 'twice-daily',
+  3: 'three-times-daily',
+  4: 'four-times-daily'
+};
+
+// More doses a day than the named frequencies cover, e.g. "q4h", timesPerDay gives the count
+const CUSTOM_FREQUENCY = 'custom';
+
+// Ordered so that more specific patterns win
+const FREQUENCY_PATTERNS = [
+  { pattern: /\b(q\.?\s?h\.?\s?s\.?|at bed\s?time|before bed|nightly|at night|every night)\b/, timesPerDay: 1, slot: 'bedtime' },
+  { pattern: /\b(q\.?\s?pm|every evening|in the evening)\b/, timesPerDay: 1, slot: 'evening' },
+  { pattern: /\b(q\.?\s?am|every morning|in the morning)\b/, timesPerDay: 1, slot: 'morning' },
+  { pattern: /\b(q\.?\s?i\.?\s?d\.?|four times (a|per|each) day|4 times (a|per|each) day|4x\/?\s?day)\b/, timesPerDay: 4 },
+  { pattern: /\b(t\.?\s?i\.?\s?d\.?|three times (a|per|each) day|3 times (a|per|each) day|3x\/?\s?day)\b/, timesPerDay: 3 },
+  { pattern: /\b(b\.?\s?i\.?\s?d\.?|twice (a |per |each )?day|twice daily|2 times (a|per|each) day|2x\/?\s?day)\b/, timesPerDay: 2 },
+  { pattern: /\b(q\.?\s?d\.?|daily|once (a|per|each) day|once daily|every day)\b/, timesPerDay: 1 },
+  { pattern: /\b(weekly|once (a|per|each) week|every week|q\.?\s?wk)\b/, weekly: true }
+];
+
+const AS_NEEDED_PATTERN = /\b(p\.?\s?r\.?\s?n\.?|as needed|when needed|if needed)\b/;
+const INTERVAL_PATTERN = /\b(?:q\.?\s?(\d{1,2})\s?h(?:rs?|ours?)?|every\s+(\d{1,2})\s+hours?)\b/;
+const EVERY_OTHER_DAY_PATTERN = /\b(q\.?\s?o\.?\s?d\.?|every other day|on alternate days)\b/;
+const EVERY_N_DAYS_PATTERN = /\b(?:q\.?\s?(\d)\s?d\.?|every\s+(\d{1,2})\s+days)\b/;
+const WITH_FOOD_PATTERN = /\b(with (food|meals?|a meal|breakfast|lunch|dinner|supper)|after (meals?|eating)|p\.?c\.?)\b/;
+const EMPTY_STOMACH_PATTERN = /\b(on an empty stomach|before (meals?|eating)|a\.?c\.?)\b/;
+// "max 6 tabs/day", "not to exceed 4 doses in 24 hours"
+const MAX_PER_DAY_PATTERN = /\b(?:max(?:imum)?|not to exceed|no more than)\s*(?:of\s*)?(\d+)\s*(tabs?|tablets?|pills?|doses?)?\s*(?:per|in|a|\/|every|each)\s*(?:day|24\s?h(?:ou)?rs?)\b/;
+const CLOCK_TIME_PATTERN = /\b(\d{1,2})(?::(\d{2}))?\s?(am|pm|a\.m\.|p\.m\.)/g;
+// "for 7 days", "x 10 days", "for two weeks", "for a week"
+const DURATION_PATTERN = /\b(?:for|x)\s*(\d{1,3}|a|one|two|three|four|five|six|seven|eight|nine|ten)\s*(d(?:ays?)?|w(?:ee)?ks?)\b/;
+
+const ROUTES = [
+  { pattern: /\b(p\.?\s?o\.?|by mouth|orally)\b/, route: 'oral' },
+  { pattern: /\b(s\.?\s?l\.?|sublingual(ly)?|under the tongue)\b/, route: 'sublingual' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const fromMinutes = (minutes) => {
+  const wrapped = ((minutes % 1440) + 1440) % 1440;
+  return `${pad(Math.floor(wrapped / 60))}:${pad(wrapped % 60)}`;
+};
+
+// "1", "1.5", "1/2", "1 1/2", "½", "two", "half a"
+const parseAmount = (text) => {
+  const match = text.match(
+    /(\d+\s+\d\/\d|\d+\/\d+|\d*\.\d+|\d+|½|\b(?:one|two|three|four|five|six|half)\b)\s*(?:a\s+)?(?:tabs?|tablets?|pills?)\b/
+  );
+  if (!match) return null;
+
+  const raw = match[1];
+  if (raw === '½') return 0.5;
+  if (NUMBER_WORDS[raw] !== undefined) return NUMBER_WORDS[raw];
+
+  if (raw.includes('/')) {
+    const [whole, fraction] = raw.includes(' ') ? raw.split(/\s+/) : ['0', raw];
+    const [numerator, denominator] = fraction.split('/').map(Number);
+    return Number(whole) + numerator / denominator;
+  }
+
+  return Number(raw);
+};
+
+// Length of a course in days, null when the sig does not end
+const parseDurationDays = (text) => {
+  const match = text.match(DURATION_PATTERN);
+  if (!match) return null;
+
+  const count = match[1] === 'a' ? 1 : (NUMBER_WORDS[match[1]] ?? Number(match[1]));
+  if (!(count > 0)) return null;
+
+  return match[2].startsWith('w') ? count * 7 : count;
+};
+
+// Explicit clock times in the sig, e.g. "at 8am and 8:30 pm"
+const parseClockTimes = (text) => {
+  const times = [];
+  for (const match of text.matchAll(CLOCK_TIME_PATTERN)) {
+    let hours = Number(match[1]) % 12;
+    if (match[3].startsWith('p')) hours += 12;
+    times.push(`${pad(hours)}:${match[2] || '00'}`);
+  }
+  return [...new Set(times)].sort();
+};
+
+/**
+ * When a course of a given length started at a time ends
+ * @param {Date} startDate When the first dose could be taken
+ * @param {number} durationDays Length of the course, e.g. 7 for "for 7 days"
+ * @returns {Date|null} The end of the course, null for open ended sigs
+ */
+export const getCourseEndDate = (startDate, durationDays) =>
+  durationDays ? new Date(startDate.getTime() + durationDays * DAY_MS) : null;
+
+/**
+ * Read a patient's medication time preferences as clock times and day slots
+ * @param {Array<string>} preferences Entries like '07:30' or 'bedtime'
+ * @returns {Object} { times, slots }
+ */
+export const readTimePreferences = (preferences = []) => {
+  const times = [];
+  const slots = { ...DAY_SLOTS };
+
+  preferences.forEach(preference => {
+    const value = String(preference).trim().toLowerCase();
+    const clock = value.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+
+    if (clock) {
+      times.push(`${pad(clock[1])}:${clock[2]}`);
+      return;
+    }
+
+    // "bedtime 21:30" sets the time of a slot
+    const labelled = value.match(/^([a-z]+)\s*[:=@ ]\s*([01]?\d|2[0-3]):([0-5]\d)$/);
+    if (labelled && PREFERENCE_LABELS[labelled[1]]) {
+      slots[PREFERENCE_LABELS[labelled[1]]] = `${pad(labelled[2])}:${labelled[3]}`;
+    }
+  });
+
+  return { times: [...new Set(times)].sort(), slots };
+};
+
+/**
+ * Suggest dose times for a sig, honouring the patient's preferences
+ * @param {Object} parsed { timesPerDay, slot, intervalHours }
+ * @param {Array<string>} preferences The patient's medicationTimePreference
+ * @returns {Array<string>} Dose times as HH:mm
+ */
+export const suggestDoseTimes = (parsed, preferences = []) => {
+  const { timesPerDay, slot, intervalHours } = parsed;
+  if (!timesPerDay) return [];
+
+  const { times, slots } = readTimePreferences(preferences);
+
+  // Fixed intervals start at the patient's first preferred time
+  if (intervalHours) {
+    const start = toMinutes(times[0] || slots.morning);
+    return Array.from({ length: timesPerDay }, (_, i) => fromMinutes(start + i * intervalHours * 60)).sort();
+  }
+
+  if (slot) return [slots[slot]];
+
+  // Spread the doses over the preferred times when there are enough of them
+  if (times.length >= timesPerDay) {
+    if (timesPerDay === 1) return [times[0]];
+    const step = (times.length - 1) / (timesPerDay - 1);
+    return Array.from({ length: timesPerDay }, (_, i) => times[Math.round(i * step)]);
+  }
+
+  return (SLOTS_BY_TIMES_PER_DAY[timesPerDay] || []).map(name => slots[name]);
+};
+
+/**
+ * Parse prescription sig text into structured dosing instructions
+ * @param {string} text Sig text such as "1 tab PO BID with food"
+ * @param {Object} options Optional { preferences } medication time preferences and patient { clock }
+ * @returns {Object} { success, sig, schedule, warnings }
+ */
+export const parseSig = (text, options = {}) => {
+  if (!text || !String(text).trim()) {
+    return { success: false, statusCode: 400, message: 'Sig text is required' };
+  }
+
+  const original = String(text).trim();
+  const warnings = [];
+
+  // Read the daily limit first so its numbers are not taken for the dose or interval
+  const lowered = original.toLowerCase().replace(/\s+/g, ' ');
+  const maxMatch = lowered.match(MAX_PER_DAY_PATTERN);
+  const normalized = maxMatch ? lowered.replace(maxMatch[0], ' ') : lowered;
+
+  // Read the course length first so "for 7 days" is not taken for a day interval
+  const durationDays = parseDurationDays(normalized);
+  const withoutDuration = durationDays ? normalized.replace(DURATION_PATTERN, ' ') : normalized;
+
+  let amount = parseAmount(normalized);
+  if (amount === null) {
+    amount = 1;
+    warnings.push('No tablet count found, assuming 1 tablet');
+  }
+
+  const asNeeded = AS_NEEDED_PATTERN.test(normalized);
+  const intervalMatch = normalized.match(INTERVAL_PATTERN);
+  const frequencyMatch = FREQUENCY_PATTERNS.find(({ pattern }) => pattern.test(normalized));
+
+  let timesPerDay = null;
+  let intervalHours = null;
+  let slot = null;
+  let frequency = null;
+
+  if (intervalMatch) {
+    intervalHours = Number(intervalMatch[1] || intervalMatch[2]);
+    if (intervalHours > 0 && 24 % intervalHours === 0) {
+      timesPerDay = 24 / intervalHours;
+    } else {
+      warnings.push(`Every ${intervalHours} hours does not divide the day evenly`);
+      timesPerDay = Math.max(1, Math.floor(24 / intervalHours));
+    }
+  } else if (frequencyMatch?.weekly) {
+    frequency = 'weekly';
+    timesPerDay = 1;
+    slot = 'morning';
+  } else if (frequencyMatch) {
+    timesPerDay = frequencyMatch.timesPerDay;
+    slot = frequencyMatch.slot || null;
+  }
+
+  // "QOD" and "every 3 days" repeat on a day interval, once on each dose day unless stated otherwise
+  const everyNDaysMatch = withoutDuration.match(EVERY_N_DAYS_PATTERN);
+  let everyNDays = null;
+  if (EVERY_OTHER_DAY_PATTERN.test(normalized)) {
+    everyNDays = 2;
+  } else if (everyNDaysMatch) {
+    everyNDays = Number(everyNDaysMatch[1] || everyNDaysMatch[2]);
+  }
+  if (everyNDays && !intervalMatch && frequency !== 'weekly') {
+    timesPerDay = timesPerDay || 1;
+    slot = slot || (timesPerDay === 1 ? 'morning' : null);
+  } else {
+    everyNDays = null;
+  }
+
+  // "at 8am and 8pm" says how often as well as when, for "q6h" a time is where the doses start
+  const clockTimes = parseClockTimes(normalized);
+  if (clockTimes.length > 0 && !asNeeded && !intervalHours) {
+    if (timesPerDay && clockTimes.length !== timesPerDay) {
+      warnings.push(`Sig names ${clockTimes.length} times but ${timesPerDay} doses a day, using the times`);
+    }
+    if (frequency !== 'weekly') {
+      timesPerDay = clockTimes.length;
+    }
+  }
+
+  if (asNeeded) {
+    frequency = 'as-needed';
+  } else if (!frequency && timesPerDay) {
+    frequency = FREQUENCY_BY_TIMES_PER_DAY[timesPerDay] || CUSTOM_FREQUENCY;
+  }
+
+  if (!frequency) {
+    return { success: false, statusCode: 422, message: 'Could not determine how often to take the medication', warnings };
+  }
+
+  let specificTimes = [];
+  if (!asNeeded) {
+    if (intervalHours) {
+      const start = clockTimes.length > 0 ? [clockTimes[0]] : options.preferences;
+      specificTimes = suggestDoseTimes({ timesPerDay, intervalHours }, start);
+    } else {
+      specificTimes = clockTimes.length > 0
+        ? clockTimes
+        : suggestDoseTimes({ timesPerDay, slot }, options.preferences);
+    }
+  }
+
+  // Limits given in tablets are turned into doses
+  let maxDosesPer24Hours = null;
+  if (maxMatch) {
+    const limit = Number(maxMatch[1]);
+    maxDosesPer24Hours = /^(tab|pill)/.test(maxMatch[2] || '') ? Math.floor(limit / amount) : limit;
+    if (maxDosesPer24Hours < 1) {
+      warnings.push(`Daily maximum of ${limit} is less than one dose`);
+      maxDosesPer24Hours = null;
+    }
+  }
+
+  const takeWithFood = WITH_FOOD_PATTERN.test(normalized) && !EMPTY_STOMACH_PATTERN.test(normalized);
+  const route = ROUTES.find(({ pattern }) => pattern.test(normalized))?.route || null;
+  // Amounts are always counted in whole tablets, 1.5 is one and a half tablets
+  const unit = 'tablet';
+
+  const sig = {
+    text: original,
+    dosage: { amount, unit },
+    frequency,
+    timesPerDay: asNeeded ? 0 : specificTimes.length,
+    specificTimes,
+    takeWithFood,
+    route,
+    ...(intervalHours && { intervalHours }),
+    ...(maxDosesPer24Hours && { maxDosesPer24Hours }),
+    ...(everyNDays && { everyNDays }),
+    ...(durationDays && { durationDays }),
+    ...(frequency === 'weekly' && { daysOfWeek: [getPatientWeekday(options.clock)] })
+  };
+
+  // What a Schedule built from this sig would contain, as needed sigs have none
+  const schedule = asNeeded ? null : {
+    scheduleTimes: specificTimes,
+    daysOfWeek: sig.daysOfWeek || [0, 1, 2, 3, 4, 5, 6],
+    dosage: { tablets: amount, unit },
+    ...(everyNDays && { recurrence: { type: 'every_n_days', everyNDays } })
+  };
+
+  return { success: true, sig, schedule, warnings };
+};
@@ -0,0 +1,340 @@
+// services/prn/prnService.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import DispensingLog from '../../models/dispenserLogModel.js';
+import PatientMedication from '../../models/patientModel.js';
+import Alert from '../../models/alertModel.js';
+import User from '../../models/userModel.js';
+import dispenserService from '../dispenser/index.js';
+import { resolveDispenserSlot } from '../schedule/doseMaterializer.js';
+import { publishToDevice } from '../../mqtt/mqttClient.js';
+import { emitToUser, emitToDevice, emitToCaregivers } from '../../websockets/websocketServer.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A request that dies while holding the lock blocks others for at most this long
+const PRN_LOCK_MS = 30 * 1000;
+
+// Doses waiting on the device count as well, they use up the limits once requested
+const COUNTED_STATUSES = ['scheduled', 'dispensed'];
+
+const doseTime = (log) => log.dispensedTime || log.scheduledTime;
+
+/**
+ * Work out whether an as-needed dose may be taken now
+ * @param {Object} patientMedication The patient medication
+ * @param {Date} at Time of the request
+ * @returns {Promise<Object>} { allowed, limitReached, dosesInLast24Hours, lastDoseAt, nextAllowedAt, limits }
+ */
+export const getPrnUsage = async (patientMedication, at = new Date()) => {
+  const { minIntervalMinutes, maxDosesPer24Hours } = patientMedication.prnLimits || {};
+
+  const recentDoses = await DispensingLog.find({
+    medication: patientMedication._id,
+    asNeeded: true,
+    status: { $in: COUNTED_STATUSES },
+    scheduledTime: { $gte: new Date(at.getTime() - DAY_MS), $lte: at }
+  })
+    .select('scheduledTime dispensedTime status')
+    .sort({ scheduledTime: -1 });
+
+  const lastDose = recentDoses[0] || await DispensingLog.findOne({
+    medication: patientMedication._id,
+    asNeeded: true,
+    status: { $in: COUNTED_STATUSES }
+  })
+    .select('scheduledTime dispensedTime')
+    .sort({ scheduledTime: -1 });
+
+  const lastDoseAt = lastDose ? doseTime(lastDose) : null;
+  const candidates = [];
+  let limitReached = null;
+
+  if (minIntervalMinutes && lastDoseAt) {
+    const intervalEndsAt = new Date(lastDoseAt.getTime() + minIntervalMinutes * 60 * 1000);
+    if (intervalEndsAt > at) {
+      limitReached = 'min_interval';
+      candidates.push(intervalEndsAt);
+    }
+  }
+
+  // The oldest dose that has to roll out of the 24 hour window before another is allowed
+  if (maxDosesPer24Hours && recentDoses.length >= maxDosesPer24Hours) {
+    limitReached = 'max_doses';
+    candidates.push(new Date(doseTime(recentDoses[maxDosesPer24Hours - 1]).getTime() + DAY_MS));
+  }
+
+  return {
+    allowed: limitReached === null,
+    limitReached,
+    dosesInLast24Hours: recentDoses.length,
+    lastDoseAt,
+    nextAllowedAt: candidates.length ? new Date(Math.max(...candidates)) : null,
+    limits: {
+      minIntervalMinutes: minIntervalMinutes ?? null,
+      maxDosesPer24Hours: maxDosesPer24Hours ?? null
+    }
+  };
+};
+
+/**
+ * Raise an alert and tell the patient and their caregivers about a PRN limit
+ * @param {Object} patientMedication The patient medication with populated medication
+ * @param {Object} usage Result of getPrnUsage
+ * @param {string} kind reached when the last allowed dose was taken, exceeded when a dose was refused
+ * @param {Object} details Optional { reason, source }
+ * @returns {Promise<Object>} The created alert
+ */
+const notifyPrnLimit = async (patientMedication, usage, kind, details = {}) => {
+  const medicationName = patientMedication.medication?.name || 'medication';
+  const message = kind === 'exceeded'
+    ? `A dose of ${medicationName} was requested before it was allowed (${usage.limitReached === 'max_doses'
+      ? `${usage.limits.maxDosesPer24Hours} doses in 24 hours already taken`
+      : `minimum ${usage.limits.minIntervalMinutes} minutes between doses`})`
+    : `The last allowed dose of ${medicationName} for the next 24 hours has been taken`;
+
+  const alert = await Alert.create({
+    alertType: 'prn_limit',
+    severity: kind === 'exceeded' ? 'high' : 'medium',
+    patient: patientMedication.patient,
+    medication: patientMedication.medication?._id || null,
+    message,
+    status: 'active'
+  });
+
+  const patient = await User.findById(patientMedication.patient);
+  const eventData = {
+    patientId: patientMedication.patient,
+    patientName: patient?.fullName,
+    medicationId: patientMedication._id,
+    medicationName,
+    alertId: alert._id,
+    kind,
+    limitReached: usage.limitReached,
+    dosesInLast24Hours: usage.dosesInLast24Hours,
+    nextAllowedAt: usage.nextAllowedAt,
+    reason: details.reason,
+    source: details.source,
+    time: new Date()
+  };
+
+  emitToUser(patientMedication.patient, 'medication:prnLimit', eventData);
+  if (patient) {
+    await emitToCaregivers(patient, 'patient:medication:prnLimit', eventData);
+  }
+
+  return alert;
+};
+
+/**
+ * Load an active as-needed patient medication
+ * @param {string} patientMedicationId The patient medication ID
+ * @returns {Promise<Object>} { success, patientMedication } or { success: false, message }
+ */
+export const getPrnMedication = async (patientMedicationId) => {
+  if (!mongoose.isValidObjectId(patientMedicationId)) {
+    return { success: false, statusCode: 404, message: 'Patient medication not found' };
+  }
+
+  const patientMedication = await PatientMedication.findById(patientMedicationId)
+    .populate('medication', 'name');
+
+  if (!patientMedication || !patientMedication.isActive) {
+    return { success: false, statusCode: 404, message: 'Patient medication not found' };
+  }
+
+  if (patientMedication.dosage.frequency !== 'as-needed') {
+    return { success: false, statusCode: 400, message: 'Medication is not taken as needed' };
+  }
+
+  return { success: true, patientMedication };
+};
+
+// Take the per medication lock, null when another request holds it
+const acquirePrnLock = async (patientMedicationId) => {
+  const now = new Date();
+  const token = crypto.randomBytes(12).toString('hex');
+
+  const locked = await PatientMedication.findOneAndUpdate(
+    {
+      _id: patientMedicationId,
+      $or: [{ 'prnLock.expiresAt': { $exists: false } }, { 'prnLock.expiresAt': { $lte: now } }]
+    },
+    { $set: { prnLock: { token, expiresAt: new Date(now.getTime() + PRN_LOCK_MS) } } }
+  );
+
+  return locked ? token : null;
+};
+
+const releasePrnLock = (patientMedicationId, token) =>
+  PatientMedication.updateOne({ _id: patientMedicationId, 'prnLock.token': token }, { $unset: { prnLock: 1 } });
+
+// Check the limits and dispense, called with the medication's PRN lock held
+const dispensePrnDose = async (patientMedication, options) => {
+  const { reason, requestedBy, source = 'app' } = options;
+
+  const usage = await getPrnUsage(patientMedication);
+
+  if (!usage.allowed) {
+    await notifyPrnLimit(patientMedication, usage, 'exceeded', { reason, source });
+    return {
+      success: false,
+      statusCode: 429,
+      code: 'prn_limit',
+      message: usage.limitReached === 'max_doses'
+        ? 'Maximum doses for the last 24 hours already taken'
+        : 'Too soon since the last dose',
+      ...usage
+    };
+  }
+
+  // Requests from a device dispense from that device, others from wherever the medication is loaded
+  let slot;
+  if (options.device) {
+    slot = { device: options.device, compartmentId: options.compartmentId };
+  } else {
+    slot = await resolveDispenserSlot({
+      patient: patientMedication.patient,
+      medication: patientMedication.medication._id
+    });
+  }
+
+  if (!slot) {
+    return { success: false, statusCode: 409, message: 'Medication is not loaded in a dispenser' };
+  }
+
+  // The dose is logged against the compartment's medication, so it must be this one
+  const compartment = slot.device.compartments.find(c => c.compartmentId === slot.compartmentId);
+  if (!compartment?.medicationId || compartment.medicationId.toString() !== patientMedication._id.toString()) {
+    return { success: false, statusCode: 409, message: 'Compartment does not hold this medication' };
+  }
+
+  const result = await dispenserService.dispenseMedication(
+    slot.device.deviceId,
+    slot.compartmentId,
+    patientMedication.dosage.amount,
+    requestedBy,
+    { asNeeded: true, reason }
+  );
+
+  if (!result.success) return result;
+
+  const dosesInLast24Hours = usage.dosesInLast24Hours + 1;
+  const { maxDosesPer24Hours } = usage.limits;
+
+  if (maxDosesPer24Hours && dosesInLast24Hours >= maxDosesPer24Hours) {
+    await notifyPrnLimit(
+      patientMedication,
+      { ...usage, dosesInLast24Hours, limitReached: 'max_doses' },
+      'reached',
+      { reason, source }
+    );
+  }
+
+  return {
+    ...result,
+    dosesInLast24Hours,
+    limits: usage.limits
+  };
+};
+
+/**
+ * Dispense an as-needed dose if the PRN limits allow it
+ * @param {string} patientMedicationId The patient medication ID
+ * @param {Object} options Optional { reason, requestedBy, device, compartmentId, source }
+ * @returns {Promise<Object>} Dispense result with usage, or { success: false, statusCode: 429, code: 'prn_limit' }
+ */
+export const requestPrnDose = async (patientMedicationId, options = {}) => {
+  const loaded = await getPrnMedication(patientMedicationId);
+  if (!loaded.success) return loaded;
+
+  const { patientMedication } = loaded;
+
+  // The limit check and the dispense it allows happen under one lock per medication
+  const token = await acquirePrnLock(patientMedication._id);
+  if (!token) {
+    return { success: false, statusCode: 409, code: 'prn_busy', message: 'Another dose request for this medication is in progress' };
+  }
+
+  try {
+    return await dispensePrnDose(patientMedication, options);
+  } finally {
+    await releasePrnLock(patientMedication._id, token);
+  }
+};
+
+/**
+ * Handle a dose request from the button on a dispenser
+ * @param {Object} device The device document from database
+ * @param {Object} payload The request payload { compartmentId, reason }
+ * @returns {Promise<void>}
+ */
+export const handlePrnRequest = async (device, payload) => {
+  try {
+    const compartmentId = payload.compartmentId ?? payload.slotNumber;
+    const compartment = device.compartments.find(c => c.compartmentId === compartmentId);
+
+    let result;
+    if (!compartment?.medicationId) {
+      result = { success: false, message: `No medication in compartment ${compartmentId}` };
+    } else {
+      result = await requestPrnDose(compartment.medicationId, {
+        reason: payload.reason,
+        device,
+        compartmentId,
+        source: 'device'
+      });
+    }
+
+    const response = {
+      compartmentId,
+      allowed: result.success,
+      code: result.code,
+      message: result.message,
+      requestId: result.requestId,
+      nextAllowedAt: result.nextAllowedAt,
+      time: new Date()
+    };
+
+    // Let the device show the outcome to the patient
+    publishToDevice(device.deviceId, 'prn_response', response, { qos: 1 });
+    emitToDevice(device._id, 'device:prnResponse', response);
+
+    console.log(`PRN request on device ${device.deviceId} compartment ${compartmentId}: ${result.success ? 'allowed' : result.message}`);
+  } catch (error) {
+    console.error('Error handling PRN request:', error);
+  }
+};
+
+/**
+ * Set the PRN limits of a patient medication
+ * @param {string} patientMedicationId The patient medication ID
+ * @param {Object} limits { minIntervalMinutes, maxDosesPer24Hours }, null clears a limit
+ * @returns {Promise<Object>} { success, prnLimits }
+ */
+export const updatePrnLimits = async (patientMedicationId, limits = {}) => {
+  const loaded = await getPrnMedication(patientMedicationId);
+  if (!loaded.success) return loaded;
+
+  const { patientMedication } = loaded;
+
+  for (const field of ['minIntervalMinutes', 'maxDosesPer24Hours']) {
+    if (limits[field] === undefined) continue;
+
+    if (limits[field] === null) {
+      patientMedication.prnLimits[field] = undefined;
+      continue;
+    }
+
+    const value = Number(limits[field]);
+    const minimum = field === 'maxDosesPer24Hours' ? 1 : 0;
+    if (!Number.isInteger(value) || value < minimum) {
+      return { success: false, statusCode: 400, message: `${field} must be a whole number of at least ${minimum}` };
+    }
+    patientMedication.prnLimits[field] = value;
+  }
+
+  await patientMedication.save();
+
+  return { success: true, prnLimits: patientMedication.prnLimits };
+};
@@ -0,0 +1,235 @@
+// services/provider/panelService.js
+import mongoose from 'mongoose';
+import User from '../../models/userModel.js';
+import DispensingLog from '../../models/dispenserLogModel.js';
+import Alert from '../../models/alertModel.js';
+import PatientMedication from '../../models/patientModel.js';
+import DispenserDevice from '../../models/dispenserDeviceModel.js';
+
+const DEFAULT_WINDOW_DAYS = 30;
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+const LOW_BATTERY_LEVEL = 20;
+
+// How much each signal adds to a patient's risk score
+const RISK_WEIGHTS = {
+  missedDosePercent: 1,
+  highSeverityAlert: 15,
+  openAlert: 5,
+  lowInventoryMedication: 8,
+  offlineDevice: 10,
+  lowBatteryDevice: 5,
+  maintenanceDevice: 5
+};
+
+export const PANEL_SORTS = ['risk', 'adherence', 'name'];
+
+// Group aggregation results by patient ID
+const byPatient = (rows) => new Map(rows.map(row => [row._id.toString(), row]));
+
+/**
+ * Assign a healthcare provider to a patient
+ * @param {string} providerId The provider's user ID
+ * @param {string} patientId The patient's user ID
+ * @returns {Promise<Object>} { success, message }
+ */
+export const assignProvider = async (providerId, patientId) => {
+  if (!mongoose.isValidObjectId(providerId) || !mongoose.isValidObjectId(patientId)) {
+    return { success: false, statusCode: 404, message: 'Provider or patient not found' };
+  }
+
+  const [provider, patient] = await Promise.all([
+    User.findById(providerId),
+    User.findById(patientId)
+  ]);
+
+  if (!provider || provider.role !== 'healthcare_provider' || !provider.isActive) {
+    return { success: false, statusCode: 404, message: 'Healthcare provider not found' };
+  }
+
+  if (!patient || !patient.isActive) {
+    return { success: false, statusCode: 404, message: 'Patient not found' };
+  }
+
+  await User.updateOne({ _id: patient._id }, { $addToSet: { assignedProviders: provider._id } });
+
+  return { success: true, message: `${patient.fullName} assigned to ${provider.fullName}` };
+};
+
+/**
+ * Remove a healthcare provider from a patient's care team
+ * @param {string} providerId The provider's user ID
+ * @param {string} patientId The patient's user ID
+ * @returns {Promise<Object>} { success, message }
+ */
+export const unassignProvider = async (providerId, patientId) => {
+  if (!mongoose.isValidObjectId(providerId) || !mongoose.isValidObjectId(patientId)) {
+    return { success: false, statusCode: 404, message: 'Provider or patient not found' };
+  }
+
+  const result = await User.updateOne(
+    { _id: patientId, assignedProviders: providerId },
+    { $pull: { assignedProviders: providerId } }
+  );
+
+  if (result.modifiedCount === 0) {
+    return { success: false, statusCode: 404, message: 'Patient is not assigned to this provider' };
+  }
+
+  return { success: true, message: 'Provider unassigned' };
+};
+
+/**
+ * Score how urgently a patient needs attention, higher is more urgent
+ * @param {Object} entry A panel entry
+ * @returns {number} The risk score
+ */
+export const computeRiskScore = (entry) => {
+  const missedDosePercent = entry.adherence.rate === null ? 0 : 100 - entry.adherence.rate;
+
+  return Math.round(
+    missedDosePercent * RISK_WEIGHTS.missedDosePercent +
+    entry.alerts.highSeverity * RISK_WEIGHTS.highSeverityAlert +
+    entry.alerts.open * RISK_WEIGHTS.openAlert +
+    entry.lowInventory.length * RISK_WEIGHTS.lowInventoryMedication +
+    entry.devices.offline * RISK_WEIGHTS.offlineDevice +
+    entry.devices.lowBattery * RISK_WEIGHTS.lowBatteryDevice +
+    entry.devices.needsMaintenance * RISK_WEIGHTS.maintenanceDevice
+  );
+};
+
+const sortPanel = (entries, sort) => {
+  const sorted = [...entries];
+
+  switch (sort) {
+    case 'adherence':
+      // Patients without data go last
+      return sorted.sort((a, b) => (a.adherence.rate ?? 101) - (b.adherence.rate ?? 101));
+    case 'name':
+      return sorted.sort((a, b) => a.patient.name.localeCompare(b.patient.name));
+    default:
+      return sorted.sort((a, b) => b.riskScore - a.riskScore);
+  }
+};
+
+/**
+ * Build a provider's patient panel with adherence, alerts, inventory and device health
+ * @param {string} providerId The provider's user ID
+ * @param {Object} options Optional { days, sort }
+ * @returns {Promise<Object>} { providerId, window, patients }
+ */
+export const buildProviderPanel = async (providerId, options = {}) => {
+  const days = parseInt(options.days) || DEFAULT_WINDOW_DAYS;
+  const sort = PANEL_SORTS.includes(options.sort) ? options.sort : 'risk';
+
+  const to = new Date();
+  const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+
+  const patients = await User.find({ assignedProviders: providerId, isActive: true })
+    .select('firstName lastName email phoneNumber dateOfBirth');
+  const patientIds = patients.map(patient => patient._id);
+
+  const [adherenceRows, alertRows, lowInventory, devices] = await Promise.all([
+    // Only scheduled doses whose time has passed count towards adherence
+    DispensingLog.aggregate([
+      { $match: { patient: { $in: patientIds }, scheduledTime: { $gte: from, $lte: to }, asNeeded: { $ne: true } } },
+      {
+        $group: {
+          _id: '$patient',
+          dispensed: { $sum: { $cond: [{ $eq: ['$status', 'dispensed'] }, 1, 0] } },
+          missed: { $sum: { $cond: [{ $eq: ['$status', 'missed'] }, 1, 0] } },
+          failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+          lastMissedAt: { $max: { $cond: [{ $eq: ['$status', 'missed'] }, '$scheduledTime', null] } }
+        }
+      }
+    ]),
+    Alert.aggregate([
+      { $match: { patient: { $in: patientIds }, status: 'active' } },
+      {
+        $group: {
+          _id: '$patient',
+          open: { $sum: 1 },
+          highSeverity: { $sum: { $cond: [{ $eq: ['$severity', 'high'] }, 1, 0] } }
+        }
+      }
+    ]),
+    PatientMedication.find({
+      patient: { $in: patientIds },
+      isActive: true,
+      $expr: {
+        $lte: [
+          '$inventoryTracking.currentQuantity',
+          { $ifNull: ['$inventoryTracking.refillAt', DEFAULT_LOW_STOCK_THRESHOLD] }
+        ]
+      }
+    }).populate('medication', 'name'),
+    DispenserDevice.find({ ownedBy: { $in: patientIds } })
+      .select('deviceId name ownedBy status')
+  ]);
+
+  const adherenceByPatient = byPatient(adherenceRows);
+  const alertsByPatient = byPatient(alertRows);
+
+  const entries = patients.map(patient => {
+    const id = patient._id.toString();
+    const adherence = adherenceByPatient.get(id);
+    const alerts = alertsByPatient.get(id);
+    const patientDevices = devices.filter(device => device.ownedBy.toString() === id);
+
+    const completed = adherence ? adherence.dispensed + adherence.missed + adherence.failed : 0;
+
+    const entry = {
+      patient: {
+        _id: patient._id,
+        name: patient.fullName,
+        email: patient.email,
+        phoneNumber: patient.phoneNumber,
+        dateOfBirth: patient.dateOfBirth
+      },
+      adherence: {
+        rate: completed > 0 ? Math.round((adherence.dispensed / completed) * 100) : null,
+        dispensed: adherence?.dispensed || 0,
+        missed: adherence?.missed || 0,
+        failed: adherence?.failed || 0,
+        lastMissedAt: adherence?.lastMissedAt || null
+      },
+      alerts: {
+        open: alerts?.open || 0,
+        highSeverity: alerts?.highSeverity || 0
+      },
+      lowInventory: lowInventory
+        .filter(medication => medication.patient.toString() === id)
+        .map(medication => ({
+          medicationId: medication._id,
+          name: medication.medication?.name || 'Unknown',
+          currentQuantity: medication.inventoryTracking.currentQuantity,
+          refillAt: medication.inventoryTracking.refillAt ?? DEFAULT_LOW_STOCK_THRESHOLD
+        })),
+      devices: {
+        total: patientDevices.length,
+        offline: patientDevices.filter(device => !device.status.isOnline).length,
+        lowBattery: patientDevices.filter(device => device.status.batteryLevel < LOW_BATTERY_LEVEL).length,
+        needsMaintenance: patientDevices.filter(device => device.status.needsMaintenance).length,
+        items: patientDevices.map(device => ({
+          _id: device._id,
+          deviceId: device.deviceId,
+          name: device.name,
+          isOnline: device.status.isOnline,
+          batteryLevel: device.status.batteryLevel,
+          needsMaintenance: device.status.needsMaintenance,
+          lastPing: device.status.lastPing
+        }))
+      }
+    };
+
+    entry.riskScore = computeRiskScore(entry);
+    return entry;
+  });
+
+  return {
+    providerId,
+    window: { from, to, days },
+    sort,
+    count: entries.length,
+    patients: sortPanel(entries, sort)
+  };
+};
@@ -0,0 +1,230 @@
+// services/schedule/doseMaterializer.js
+import Schedule from '../../models/scheduleModel.js';
+import PatientMedication from '../../models/patientModel.js';
+import DispenserDevice from '../../models/dispenserDeviceModel.js';
+import DispensingLog from '../../models/dispenserLogModel.js';
+import User from '../../models/userModel.js';
+import { getDosesForCivilDay } from './recurrence.js';
+import { getCivilDay, getDefaultTimeZone, getDisplayTimeZone, loadPatientClock } from './timeZone.js';
+import { syncTravelDeviceClocks } from '../user/timeZoneService.js';
+
+const DEFAULT_HORIZON_HOURS = 72;
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+let materializerTimer = null;
+
+const getHorizonHours = () =>
+  parseInt(process.env.DOSE_HORIZON_HOURS) || DEFAULT_HORIZON_HOURS;
+
+/**
+ * Expand a schedule into the concrete doses that fall inside a window.
+ * Phases set the times and tablet count, the recurrence decides which days have doses,
+ * and clock times are read in the patient's timezone.
+ * @param {Object} schedule The schedule document
+ * @param {Date} from Start of the window (inclusive)
+ * @param {Date} to End of the window (inclusive)
+ * @param {Object} clock Optional patient clock from getPatientClock
+ * @returns {Array<Object>} { scheduledTime, quantity } in ascending order
+ */
+export const expandScheduleDoses = (schedule, from, to, clock = { timeZone: getDefaultTimeZone() }) => {
+  const doses = [];
+  const timeZone = getDisplayTimeZone(clock);
+
+  // One extra day either side catches doses moved across midnight by a travel shift
+  const lastDay = getCivilDay(to, timeZone) + 1;
+  for (let day = getCivilDay(from, timeZone) - 1; day <= lastDay; day++) {
+    getDosesForCivilDay(schedule, day, clock).forEach(({ scheduledTime, quantity }) => {
+      if (scheduledTime < from || scheduledTime > to) return;
+      doses.push({ scheduledTime, quantity });
+    });
+  }
+
+  return doses.sort((a, b) => a.scheduledTime - b.scheduledTime);
+};
+
+/**
+ * Expand a schedule into the concrete dose times that fall inside a window
+ * @param {Object} schedule The schedule document
+ * @param {Date} from Start of the window (inclusive)
+ * @param {Date} to End of the window (inclusive)
+ * @param {Object} clock Optional patient clock from getPatientClock
+ * @returns {Array<Date>} Dose times in ascending order
+ */
+export const expandScheduleTimes = (schedule, from, to, clock) =>
+  expandScheduleDoses(schedule, from, to, clock).map(dose => dose.scheduledTime);
+
+/**
+ * Find the patient medication and dispenser compartment a schedule dispenses from
+ * @param {Object} schedule The schedule document
+ * @returns {Promise<Object|null>} { patientMedication, device, compartmentId } or null
+ */
+export const resolveDispenserSlot = async (schedule) => {
+  const patientMedication = await PatientMedication.findOne({
+    patient: schedule.patient,
+    medication: schedule.medication,
+    isActive: true
+  });
+
+  if (!patientMedication) return null;
+
+  const patient = await User.findById(schedule.patient).select('assignedDispensers');
+  const devices = await DispenserDevice.find({
+    $or: [
+      { ownedBy: schedule.patient },
+      { _id: { $in: patient?.assignedDispensers || [] } }
+    ]
+  });
+
+  // Only a compartment that currently holds this medication may dispense it
+  for (const device of devices) {
+    const compartment = device.compartments.find(c =>
+      c.medicationId && c.medicationId.toString() === patientMedication._id.toString()
+    );
+    if (compartment) {
+      return { patientMedication, device, compartmentId: compartment.compartmentId };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Create scheduled dispensing log entries for a schedule over the rolling horizon.
+ * Existing entries are left untouched, so this is safe to run repeatedly.
+ * @param {Object} schedule The schedule document
+ * @param {Object} options Optional { from, to } window and patient { clock }
+ * @returns {Promise<number>} Number of newly created entries
+ */
+export const materializeSchedule = async (schedule, options = {}) => {
+  if (!schedule.active) return 0;
+
+  const from = options.from || new Date();
+  const to = options.to || new Date(from.getTime() + getHorizonHours() * 60 * 60 * 1000);
+  const clock = options.clock || await loadPatientClock(schedule.patient);
+
+  const doses = expandScheduleDoses(schedule, from, to, clock);
+  if (doses.length === 0) return 0;
+
+  const slot = await resolveDispenserSlot(schedule);
+  if (!slot) {
+    console.warn(`No dispenser compartment found for schedule ${schedule._id}, skipping`);
+    return 0;
+  }
+
+  const operations = doses.map(({ scheduledTime, quantity }) => ({
+    updateOne: {
+      filter: { schedule: schedule._id, scheduledTime },
+      update: {
+        $setOnInsert: {
+          schedule: schedule._id,
+          scheduledTime,
+          device: slot.device._id,
+          patient: schedule.patient,
+          medication: slot.patientMedication._id,
+          compartmentId: slot.compartmentId,
+          quantity,
+          status: 'scheduled'
+        }
+      },
+      upsert: true
+    }
+  }));
+
+  const result = await DispensingLog.bulkWrite(operations, { ordered: false });
+  return result.upsertedCount;
+};
+
+/**
+ * Remove future doses of a schedule that have not been dispensed yet
+ * @param {string} scheduleId The schedule ID
+ * @param {Date} from Only doses at or after this time are removed
+ * @returns {Promise<number>} Number of removed entries
+ */
+export const clearFutureDoses = async (scheduleId, from = new Date()) => {
+  const result = await DispensingLog.deleteMany({
+    schedule: scheduleId,
+    status: 'scheduled',
+    scheduledTime: { $gte: from }
+  });
+  return result.deletedCount;
+};
+
+/**
+ * Rebuild the future doses of a schedule after it was created or edited
+ * @param {Object} schedule The schedule document
+ * @returns {Promise<number>} Number of created entries
+ */
+export const regenerateSchedule = async (schedule) => {
+  const now = new Date();
+  await clearFutureDoses(schedule._id, now);
+  return materializeSchedule(schedule, { from: now });
+};
+
+/**
+ * Materialize every active schedule over the rolling horizon
+ * @returns {Promise<number>} Number of created entries
+ */
+export const materializeAllSchedules = async () => {
+  const now = new Date();
+  const schedules = await Schedule.find({
+    active: true,
+    $or: [
+      { endDate: { $gte: now } },
+      { endDate: null }
+    ]
+  });
+
+  // Patients often have several schedules, load each clock once
+  const clocks = new Map();
+
+  let created = 0;
+  for (const schedule of schedules) {
+    try {
+      const patientId = schedule.patient.toString();
+      if (!clocks.has(patientId)) {
+        clocks.set(patientId, await loadPatientClock(schedule.patient));
+      }
+
+      created += await materializeSchedule(schedule, { from: now, clock: clocks.get(patientId) });
+    } catch (error) {
+      console.error(`Failed to materialize schedule ${schedule._id}:`, error);
+    }
+  }
+
+  if (created > 0) {
+    console.log(`Materialized ${created} scheduled dose(s)`);
+  }
+  return created;
+};
+
+/**
+ * Start the background materializer
+ * @returns {Object} The interval timer
+ */
+export const startDoseMaterializer = () => {
+  if (materializerTimer) return materializerTimer;
+
+  const intervalMinutes =
+    parseInt(process.env.DOSE_MATERIALIZE_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+  // Device clocks follow travel that has started since the last run
+  const run = () => materializeAllSchedules()
+    .then(() => syncTravelDeviceClocks())
+    .catch(error => {
+      console.error('Dose materializer error:', error);
+    });
+
+  run();
+  materializerTimer = setInterval(run, intervalMinutes * 60 * 1000);
+  return materializerTimer;
+};
+
+/**
+ * Stop the background materializer
+ */
+export const stopDoseMaterializer = () => {
+  if (materializerTimer) {
+    clearInterval(materializerTimer);
+    materializerTimer = null;
+  }
+};
@@ -0,0 +1,193 @@
+// services/schedule/recurrence.js
+import { RECURRENCE_TYPES } from '../../models/scheduleModel.js';
+import { getPhaseForDay } from './schedulePhases.js';
+import {
+  getCivilDay,
+  getCivilDayParts,
+  civilTimeToUtc,
+  formatZonedTime,
+  getDefaultTimeZone,
+  getClockForDay,
+  getDisplayTimeZone
+} from './timeZone.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Day counting for every_n_days and cycle schedules starts here
+const getAnchorDay = (schedule, timeZone) =>
+  getCivilDay(schedule.recurrence?.anchorDate || schedule.startDate || new Date(0), timeZone);
+
+/**
+ * Check a requested recurrence and fill in its defaults
+ * @param {Object} recurrence The requested recurrence
+ * @returns {Object} { success, recurrence } or { success: false, message }
+ */
+export const validateRecurrence = (recurrence) => {
+  // A null recurrence means the default, anything else must be an object
+  if (recurrence === undefined || recurrence === null) recurrence = {};
+  if (typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+    return { success: false, statusCode: 400, message: 'recurrence must be an object' };
+  }
+
+  const type = recurrence.type || 'weekly';
+
+  if (!RECURRENCE_TYPES.includes(type)) {
+    return { success: false, statusCode: 400, message: `Recurrence type must be one of: ${RECURRENCE_TYPES.join(', ')}` };
+  }
+
+  const anchorDate = recurrence.anchorDate ? new Date(recurrence.anchorDate) : undefined;
+  if (anchorDate && Number.isNaN(anchorDate.getTime())) {
+    return { success: false, statusCode: 400, message: 'anchorDate must be a valid date' };
+  }
+
+  switch (type) {
+    case 'weekly':
+      return { success: true, recurrence: { type } };
+
+    case 'interval_hours': {
+      const intervalHours = Number(recurrence.intervalHours);
+      const firstDoseAt = new Date(recurrence.firstDoseAt);
+
+      if (!(intervalHours >= 1)) {
+        return { success: false, statusCode: 400, message: 'intervalHours must be at least 1' };
+      }
+      if (!recurrence.firstDoseAt || Number.isNaN(firstDoseAt.getTime())) {
+        return { success: false, statusCode: 400, message: 'Interval schedules need a firstDoseAt time' };
+      }
+      return { success: true, recurrence: { type, intervalHours, firstDoseAt } };
+    }
+
+    case 'every_n_days': {
+      const everyNDays = Number(recurrence.everyNDays);
+
+      if (!Number.isInteger(everyNDays) || everyNDays < 1) {
+        return { success: false, statusCode: 400, message: 'everyNDays must be a whole number of at least 1' };
+      }
+      return { success: true, recurrence: { type, everyNDays, anchorDate } };
+    }
+
+    case 'days_of_month': {
+      const daysOfMonth = [...new Set((recurrence.daysOfMonth || []).map(Number))].sort((a, b) => a - b);
+
+      if (daysOfMonth.length === 0 || daysOfMonth.some(day => !Number.isInteger(day) || day < 1 || day > 31)) {
+        return { success: false, statusCode: 400, message: 'daysOfMonth must list days between 1 and 31' };
+      }
+      return { success: true, recurrence: { type, daysOfMonth } };
+    }
+
+    case 'cycle': {
+      const daysOn = Number(recurrence.cycle?.daysOn);
+      const daysOff = Number(recurrence.cycle?.daysOff ?? 0);
+
+      if (!Number.isInteger(daysOn) || daysOn < 1 || !Number.isInteger(daysOff) || daysOff < 0) {
+        return { success: false, statusCode: 400, message: 'Cycles need whole numbers of daysOn (at least 1) and daysOff' };
+      }
+      return { success: true, recurrence: { type, cycle: { daysOn, daysOff }, anchorDate } };
+    }
+  }
+};
+
+/**
+ * Whether a calendar day is a dose day for a day-based recurrence
+ * @param {Object} schedule The schedule document
+ * @param {Object} phase The phase in effect on the day
+ * @param {number} civilDay Calendar day number
+ * @param {string} timeZone Zone the schedule dates are read in
+ * @returns {boolean} True when doses are due that day
+ */
+export const isDoseDay = (schedule, phase, civilDay, timeZone) => {
+  const recurrence = schedule.recurrence || {};
+  const { day, weekday, daysInMonth } = getCivilDayParts(civilDay);
+
+  switch (recurrence.type) {
+    case 'every_n_days': {
+      const elapsed = civilDay - getAnchorDay(schedule, timeZone);
+      return elapsed >= 0 && elapsed % recurrence.everyNDays === 0;
+    }
+
+    case 'days_of_month':
+      return recurrence.daysOfMonth.some(dayOfMonth =>
+        dayOfMonth === day || (day === daysInMonth && dayOfMonth > daysInMonth)
+      );
+
+    case 'cycle': {
+      const { daysOn, daysOff } = recurrence.cycle;
+      const elapsed = civilDay - getAnchorDay(schedule, timeZone);
+      return elapsed >= 0 && elapsed % (daysOn + daysOff) < daysOn;
+    }
+
+    default: {
+      const daysOfWeek = phase.daysOfWeek?.length ? phase.daysOfWeek : [0, 1, 2, 3, 4, 5, 6];
+      return daysOfWeek.includes(weekday);
+    }
+  }
+};
+
+// Dose times of an interval schedule that fall on one day. Intervals are elapsed time,
+// so they are not moved by DST changes or travel
+const getIntervalTimesOnDay = (schedule, civilDay, timeZone) => {
+  const { intervalHours, firstDoseAt } = schedule.recurrence;
+  const intervalMs = intervalHours * HOUR_MS;
+  const dayStart = civilTimeToUtc(civilDay, '00:00', timeZone).getTime();
+  const dayEnd = civilTimeToUtc(civilDay + 1, '00:00', timeZone).getTime();
+
+  const first = new Date(firstDoseAt).getTime();
+  if (dayEnd <= first) return [];
+
+  // First dose at or after the start of the day
+  const skipped = Math.max(0, Math.ceil((dayStart - first) / intervalMs));
+  const times = [];
+  for (let time = first + skipped * intervalMs; time < dayEnd; time += intervalMs) {
+    times.push(new Date(time));
+  }
+  return times;
+};
+
+/**
+ * The doses a schedule calls for on a calendar day, following its phases, recurrence,
+ * the patient's timezone and any travel shift
+ * @param {Object} schedule The schedule document
+ * @param {number} civilDay Calendar day number from getCivilDay
+ * @param {Object} clock Optional patient clock from getPatientClock
+ * @returns {Array<Object>} { scheduledTime, time, quantity, unit, phase } in ascending order
+ */
+export const getDosesForCivilDay = (schedule, civilDay, clock = { timeZone: getDefaultTimeZone() }) => {
+  const { timeZone, shiftMinutes } = getClockForDay(clock, civilDay);
+  const phase = getPhaseForDay(schedule, civilDay, timeZone);
+  if (!phase) return [];
+
+  let times;
+  if (schedule.recurrence?.type === 'interval_hours') {
+    times = getIntervalTimesOnDay(schedule, civilDay, timeZone);
+  } else {
+    if (!isDoseDay(schedule, phase, civilDay, timeZone)) return [];
+
+    // Travellers take doses earlier or later by the shift until they match the new zone
+    times = phase.scheduleTimes.map(time =>
+      new Date(civilTimeToUtc(civilDay, time, timeZone).getTime() - shiftMinutes * MINUTE_MS)
+    );
+  }
+
+  const displayTimeZone = getDisplayTimeZone(clock);
+
+  return times
+    .sort((a, b) => a - b)
+    .map(scheduledTime => ({
+      scheduledTime,
+      time: formatZonedTime(scheduledTime, displayTimeZone),
+      quantity: phase.dosage?.tablets || 1,
+      unit: phase.dosage?.unit || 'tablet',
+      ...(phase.label && { phase: phase.label })
+    }));
+};
+
+/**
+ * The doses a schedule calls for on the patient's calendar day containing a date
+ * @param {Object} schedule The schedule document
+ * @param {Date} date Any time on the day
+ * @param {Object} clock Optional patient clock from getPatientClock
+ * @returns {Array<Object>} { scheduledTime, time, quantity, unit, phase } in ascending order
+ */
+export const getDosesOnDay = (schedule, date, clock = { timeZone: getDefaultTimeZone() }) =>
+  getDosesForCivilDay(schedule, getCivilDay(date, getDisplayTimeZone(clock)), clock);
@@ -0,0 +1,120 @@
+// services/schedule/schedulePhases.js
+import { getCivilDay, civilTimeToUtc, getDefaultTimeZone } from './timeZone.js';
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidDateInput = (value) =>
+  value !== undefined && value !== null && value !== '' && !Number.isNaN(new Date(value).getTime());
+
+/**
+ * Check phases for valid dates, times and doses, and that they do not overlap
+ * @param {Array<Object>} phases The requested phases
+ * @param {Object} options Optional { requireTimes, timeZone }. requireTimes is false for interval
+ * schedules that have no clock times, phase dates are calendar days in timeZone
+ * @returns {Object} { success, phases } with phases sorted by start date, or { success: false, message }
+ */
+export const validatePhases = (phases, options = {}) => {
+  const { requireTimes = true, timeZone = getDefaultTimeZone() } = options;
+
+  if (!Array.isArray(phases)) {
+    return { success: false, statusCode: 400, message: 'Phases must be an array' };
+  }
+
+  // Calendar date of a phase boundary for error messages
+  const formatDay = (date) =>
+    new Date(getCivilDay(date, timeZone) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const normalized = [];
+  for (const [index, phase] of phases.entries()) {
+    const name = phase.label || `Phase ${index + 1}`;
+    if (!isValidDateInput(phase.startDate) || !isValidDateInput(phase.endDate)) {
+      return { success: false, statusCode: 400, message: `${name} needs a valid startDate and endDate` };
+    }
+
+    const startDay = getCivilDay(phase.startDate, timeZone);
+    const endDay = getCivilDay(phase.endDate, timeZone);
+    if (endDay < startDay) {
+      return { success: false, statusCode: 400, message: `${name} ends before it starts` };
+    }
+
+    const times = phase.scheduleTimes || [];
+    if ((requireTimes && times.length === 0) || times.some(time => !TIME_PATTERN.test(time))) {
+      return { success: false, statusCode: 400, message: `${name} needs scheduleTimes as HH:mm` };
+    }
+
+    const tablets = Number(phase.dosage?.tablets);
+    // Tablets can only be split in half
+    if (!(tablets >= 0.5) || (tablets * 2) % 1 !== 0) {
+      return { success: false, statusCode: 400, message: `${name} dose must be a whole or half number of tablets` };
+    }
+
+    normalized.push({
+      label: phase.label,
+      // From the first moment of the first day to the last moment of the last day, in the patient's zone
+      startDate: civilTimeToUtc(startDay, '00:00', timeZone),
+      endDate: new Date(civilTimeToUtc(endDay + 1, '00:00', timeZone).getTime() - 1),
+      scheduleTimes: [...times].sort(),
+      daysOfWeek: phase.daysOfWeek?.length ? phase.daysOfWeek : ALL_DAYS,
+      // Counted in tablets like every other dose, 1.5 is one and a half tablets
+      dosage: { tablets, unit: 'tablet' }
+    });
+  }
+
+  normalized.sort((a, b) => a.startDate - b.startDate);
+
+  for (let i = 1; i < normalized.length; i++) {
+    if (normalized[i].startDate <= normalized[i - 1].endDate) {
+      const previous = normalized[i - 1].label || `Phase starting ${formatDay(normalized[i - 1].startDate)}`;
+      const current = normalized[i].label || `phase starting ${formatDay(normalized[i].startDate)}`;
+      return { success: false, statusCode: 400, message: `${previous} overlaps ${current}` };
+    }
+  }
+
+  return { success: true, phases: normalized };
+};
+
+/**
+ * The phases of a schedule. Schedules without phases have a single one from their own fields.
+ * @param {Object} schedule The schedule document
+ * @returns {Array<Object>} Phases in date order
+ */
+export const getSchedulePhases = (schedule) => {
+  if (schedule.phases && schedule.phases.length > 0) {
+    return schedule.phases;
+  }
+
+  return [{
+    startDate: schedule.startDate || null,
+    endDate: schedule.endDate || null,
+    scheduleTimes: schedule.scheduleTimes || [],
+    daysOfWeek: schedule.daysOfWeek,
+    dosage: {
+      tablets: schedule.dosage?.tablets || 1,
+      unit: schedule.dosage?.unit || 'tablet'
+    }
+  }];
+};
+
+/**
+ * The phase of a schedule in effect on a calendar day
+ * @param {Object} schedule The schedule document
+ * @param {number} civilDay Calendar day number from getCivilDay
+ * @param {string} timeZone Zone the phase dates are read in
+ * @returns {Object|null} The phase, or null when the schedule is not running that day
+ */
+export const getPhaseForDay = (schedule, civilDay, timeZone) =>
+  getSchedulePhases(schedule).find(phase =>
+    (!phase.startDate || getCivilDay(phase.startDate, timeZone) <= civilDay) &&
+    (!phase.endDate || getCivilDay(phase.endDate, timeZone) >= civilDay)
+  ) || null;
+
+/**
+ * The date range covered by a list of phases
+ * @param {Array<Object>} phases Validated phases in date order
+ * @returns {Object} { startDate, endDate }
+ */
+export const getPhaseRange = (phases) => ({
+  startDate: phases[0].startDate,
+  endDate: phases[phases.length - 1].endDate
+});
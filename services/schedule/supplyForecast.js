@@ -0,0 +1,52 @@
+// services/schedule/supplyForecast.js
+import { getDosesForCivilDay } from './recurrence.js';
+import { getCivilDay, civilTimeToUtc, getDefaultTimeZone, getDisplayTimeZone } from './timeZone.js';
+
+const MAX_FORECAST_DAYS = 366;
+
+/**
+ * Tablets the schedules call for on a calendar day
+ * @param {Array<Object>} schedules Active schedules
+ * @param {number} civilDay Calendar day number from getCivilDay
+ * @param {Object} clock Optional patient clock from getPatientClock
+ * @returns {number} Tablets for the day
+ */
+export const getTabletsForDay = (schedules, civilDay, clock) =>
+  schedules.reduce((total, schedule) =>
+    total + getDosesForCivilDay(schedule, civilDay, clock).reduce((sum, dose) => sum + dose.quantity, 0), 0);
+
+/**
+ * Forecast when a supply runs out, following each schedule's phases and recurrence day by day
+ * @param {number} currentQuantity Tablets on hand
+ * @param {Array<Object>} schedules Active schedules for the medication
+ * @param {Date} from Day to start counting from
+ * @param {Object} clock Optional patient clock, days are counted in the patient's zone
+ * @returns {Object} { daysRemaining, estimatedEmptyDate, averageDailyUsage }, daysRemaining is null if supply outlasts the schedules
+ */
+export const forecastSupply = (currentQuantity, schedules, from = new Date(), clock = { timeZone: getDefaultTimeZone() }) => {
+  const timeZone = getDisplayTimeZone(clock);
+  const firstDay = getCivilDay(from, timeZone);
+  let remaining = currentQuantity;
+  let totalUsed = 0;
+
+  for (let offset = 0; offset < MAX_FORECAST_DAYS; offset++) {
+    const tablets = getTabletsForDay(schedules, firstDay + offset, clock);
+    totalUsed += tablets;
+
+    if (remaining < tablets) {
+      return {
+        daysRemaining: offset,
+        estimatedEmptyDate: civilTimeToUtc(firstDay + offset, '00:00', timeZone),
+        averageDailyUsage: totalUsed / (offset + 1)
+      };
+    }
+
+    remaining -= tablets;
+  }
+
+  return {
+    daysRemaining: null,
+    estimatedEmptyDate: null,
+    averageDailyUsage: totalUsed / MAX_FORECAST_DAYS
+  };
+};
@@ -0,0 +1,272 @@
+// services/schedule/timeZone.js
+import User from '../../models/userModel.js';
+import DispenserDevice from '../../models/dispenserDeviceModel.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Formatters are expensive to build, so keep one per zone
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Check that a string is an IANA timezone name the runtime knows
+ * @param {string} timeZone e.g. 'Europe/London'
+ * @returns {boolean} True when valid
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Zone used when neither the patient nor their device has one
+ * @returns {string} IANA timezone
+ */
+export const getDefaultTimeZone = () =>
+  isValidTimeZone(process.env.DEFAULT_TIMEZONE)
+    ? process.env.DEFAULT_TIMEZONE
+    : Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Wall clock fields of an instant in a timezone
+ * @param {Date} date The instant
+ * @param {string} timeZone IANA timezone
+ * @returns {Object} { year, month, day, hours, minutes, seconds }, month is 1-12
+ */
+export const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hours: parts.hour,
+    minutes: parts.minute,
+    seconds: parts.second
+  };
+};
+
+// Minutes the zone is ahead of UTC at an instant
+const getOffsetMinutes = (timestamp, timeZone) => {
+  const parts = getZonedParts(new Date(timestamp), timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds);
+  return Math.round((asUtc - Math.floor(timestamp / 1000) * 1000) / MINUTE_MS);
+};
+
+/**
+ * The instant a wall clock time happens in a timezone.
+ * Times skipped when clocks go forward move forward by the gap, e.g. 02:30 becomes 03:30.
+ * Times repeated when clocks go back use the first occurrence, so a dose is only given once.
+ * @param {Object} wall { year, month, day, hours, minutes }, month is 1-12
+ * @param {string} timeZone IANA timezone
+ * @returns {Date} The instant
+ */
+export const zonedTimeToUtc = (wall, timeZone) => {
+  const asUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hours || 0, wall.minutes || 0);
+
+  // The offsets either side of any transition close to this time
+  const offsetBefore = getOffsetMinutes(asUtc - DAY_MS, timeZone);
+  const offsetAfter = getOffsetMinutes(asUtc + DAY_MS, timeZone);
+
+  const candidates = [...new Set([offsetBefore, offsetAfter])]
+    .map(offset => asUtc - offset * MINUTE_MS)
+    .filter(timestamp => getOffsetMinutes(timestamp, timeZone) * MINUTE_MS === asUtc - timestamp)
+    .sort((a, b) => a - b);
+
+  return new Date(candidates.length > 0 ? candidates[0] : asUtc - offsetBefore * MINUTE_MS);
+};
+
+/**
+ * Calendar day of a date in a timezone, as whole days since 1970-01-01
+ * @param {Date|string} value An instant, or a 'YYYY-MM-DD' string taken as that calendar day
+ * @param {string} timeZone IANA timezone
+ * @returns {number} Calendar day number
+ */
+export const getCivilDay = (value, timeZone) => {
+  const dateOnly = typeof value === 'string' && value.match(DATE_ONLY_PATTERN);
+  if (dateOnly) {
+    return Date.UTC(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3])) / DAY_MS;
+  }
+
+  const parts = getZonedParts(new Date(value), timeZone);
+  return Date.UTC(parts.year, parts.month - 1, parts.day) / DAY_MS;
+};
+
+/**
+ * Calendar fields of a day number
+ * @param {number} civilDay Calendar day number
+ * @returns {Object} { year, month, day, weekday, daysInMonth }, weekday is 0 (Sunday) to 6
+ */
+export const getCivilDayParts = (civilDay) => {
+  const date = new Date(civilDay * DAY_MS);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+    daysInMonth: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate()
+  };
+};
+
+/**
+ * The instant a wall clock time happens on a calendar day
+ * @param {number} civilDay Calendar day number
+ * @param {string} time 'HH:mm', midnight when omitted
+ * @param {string} timeZone IANA timezone
+ * @returns {Date} The instant
+ */
+export const civilTimeToUtc = (civilDay, time, timeZone) => {
+  const [hours, minutes] = (time || '00:00').split(':').map(Number);
+  return zonedTimeToUtc({ ...getCivilDayParts(civilDay), hours, minutes }, timeZone);
+};
+
+/**
+ * Wall clock time of an instant in a timezone
+ * @param {Date} date The instant
+ * @param {string} timeZone IANA timezone
+ * @returns {string} 'HH:mm'
+ */
+export const formatZonedTime = (date, timeZone) => {
+  const { hours, minutes } = getZonedParts(date, timeZone);
+  return `${pad(hours)}:${pad(minutes)}`;
+};
+
+/**
+ * The zone a patient's schedules follow and any travel in progress
+ * @param {Object} user The patient, with timezone and travel
+ * @param {Object} device Optional dispenser whose clock zone is used when the patient has none
+ * @returns {Object} Clock { timeZone, travel }
+ */
+export const getPatientClock = (user, device) => {
+  const deviceZone = device?.shadow?.reported?.clock?.timezone || device?.shadow?.desired?.clock?.timezone;
+  const timeZone = [user?.timezone, deviceZone].find(isValidTimeZone) || getDefaultTimeZone();
+
+  const travel = user?.travel;
+  if (travel?.active && isValidTimeZone(travel.fromTimeZone) && isValidTimeZone(travel.toTimeZone)) {
+    return { timeZone: travel.fromTimeZone, travel };
+  }
+
+  return { timeZone, travel: null };
+};
+
+/**
+ * Load the clock of a patient by ID
+ * @param {string} patientId The patient ID
+ * @returns {Promise<Object>} Clock { timeZone, travel }
+ */
+export const loadPatientClock = async (patientId) => {
+  const user = await User.findById(patientId).select('timezone travel');
+
+  let device = null;
+  if (!isValidTimeZone(user?.timezone)) {
+    device = await DispenserDevice.findOne({ ownedBy: patientId }).select('shadow.reported.clock shadow.desired.clock');
+  }
+
+  return getPatientClock(user, device);
+};
+
+/**
+ * How far into a gradual travel shift a calendar day is
+ * @param {Object} travel The travel plan
+ * @param {number} civilDay Calendar day number, in the home zone
+ * @returns {Object} { shiftMinutes, totalMinutes, complete }
+ */
+export const getTravelShift = (travel, civilDay) => {
+  const startDay = getCivilDay(travel.startDate, travel.fromTimeZone);
+  const startTime = new Date(travel.startDate).getTime();
+  const totalMinutes = getOffsetMinutes(startTime, travel.toTimeZone) - getOffsetMinutes(startTime, travel.fromTimeZone);
+
+  if (civilDay < startDay) {
+    return { shiftMinutes: 0, totalMinutes, complete: false };
+  }
+
+  // The first travel day already moves one step towards the destination
+  const step = travel.shiftMinutesPerDay || Math.abs(totalMinutes);
+  const shifted = (civilDay - startDay + 1) * step;
+
+  if (shifted >= Math.abs(totalMinutes)) {
+    return { shiftMinutes: totalMinutes, totalMinutes, complete: true };
+  }
+
+  return { shiftMinutes: Math.sign(totalMinutes) * shifted, totalMinutes, complete: false };
+};
+
+/**
+ * The zone and travel shift that apply to a calendar day.
+ * While travelling, dose times stay on the home calendar and move earlier or later by the shift,
+ * once the shift is complete they follow the destination zone.
+ * @param {Object} clock Clock from getPatientClock
+ * @param {number} civilDay Calendar day number
+ * @returns {Object} { timeZone, shiftMinutes }
+ */
+export const getClockForDay = (clock, civilDay) => {
+  if (!clock.travel) {
+    return { timeZone: clock.timeZone, shiftMinutes: 0 };
+  }
+
+  const { shiftMinutes, complete } = getTravelShift(clock.travel, civilDay);
+  if (complete) {
+    return { timeZone: clock.travel.toTimeZone, shiftMinutes: 0 };
+  }
+
+  return { timeZone: clock.travel.fromTimeZone, shiftMinutes };
+};
+
+/**
+ * The zone the patient is in now, used for "today" and for showing times
+ * @param {Object} clock Clock from getPatientClock
+ * @returns {string} IANA timezone
+ */
+export const getDisplayTimeZone = (clock) =>
+  clock.travel ? clock.travel.toTimeZone : clock.timeZone;
+
+/**
+ * The zone a patient's dispenser should show, the destination only once travel has started
+ * @param {Object} clock Clock from getPatientClock
+ * @param {Date} at Optional instant, now when omitted
+ * @returns {string} IANA timezone
+ */
+export const getDeviceTimeZone = (clock, at = new Date()) => {
+  if (clock.travel && new Date(clock.travel.startDate) > at) {
+    return clock.travel.fromTimeZone;
+  }
+  return getDisplayTimeZone(clock);
+};
+
+/**
+ * Day of the week it is for the patient, used for weekly doses that name no day
+ * @param {Object} clock Clock from getPatientClock, the default zone when omitted
+ * @param {Date} at Optional instant, now when omitted
+ * @returns {number} Weekday, 0 (Sunday) to 6
+ */
+export const getPatientWeekday = (clock, at = new Date()) => {
+  const timeZone = clock ? getDisplayTimeZone(clock) : getDefaultTimeZone();
+  return getCivilDayParts(getCivilDay(at, timeZone)).weekday;
+};
@@ -0,0 +1,195 @@
+// services/user/healthProfileService.js
+import mongoose from 'mongoose';
+import User, { ALLERGY_SEVERITIES } from '../../models/userModel.js';
+
+const ALLERGY_FIELDS = ['drug', 'drugClass', 'reaction', 'severity', 'notes'];
+const CONDITION_FIELDS = ['name', 'code', 'status', 'diagnosedAt', 'notes'];
+
+const pick = (source, fields) =>
+  Object.fromEntries(fields.filter(field => source?.[field] !== undefined).map(field => [field, source[field]]));
+
+const findPatient = async (patientId) =>
+  mongoose.isValidObjectId(patientId) ? User.findById(patientId) : null;
+
+// Load the patient and one entry of an allergies or conditions list
+const findEntry = async (patientId, list, entryId) => {
+  const patient = await findPatient(patientId);
+  if (!patient) {
+    return { success: false, statusCode: 404, message: 'Patient not found' };
+  }
+
+  const entry = mongoose.isValidObjectId(entryId) ? patient[list].id(entryId) : null;
+  if (!entry) {
+    return { success: false, statusCode: 404, message: `${list === 'allergies' ? 'Allergy' : 'Condition'} not found` };
+  }
+
+  return { success: true, patient, entry };
+};
+
+const validateAllergy = (allergy) => {
+  if (!allergy.drug && !allergy.drugClass) {
+    return 'An allergy needs a drug or a drugClass';
+  }
+  if (allergy.severity !== undefined && !ALLERGY_SEVERITIES.includes(allergy.severity)) {
+    return `Severity must be one of: ${ALLERGY_SEVERITIES.join(', ')}`;
+  }
+  return null;
+};
+
+const validateCondition = (condition) => {
+  if (!condition.name || !String(condition.name).trim()) {
+    return 'A condition needs a name';
+  }
+  if (condition.status !== undefined && !['active', 'resolved'].includes(condition.status)) {
+    return 'Status must be active or resolved';
+  }
+  return null;
+};
+
+/**
+ * Allergies and conditions of a patient
+ * @param {string} patientId The patient ID
+ * @returns {Promise<Object>} { success, allergies, conditions }
+ */
+export const getHealthProfile = async (patientId) => {
+  const patient = await findPatient(patientId);
+  if (!patient) {
+    return { success: false, statusCode: 404, message: 'Patient not found' };
+  }
+
+  return { success: true, allergies: patient.allergies, conditions: patient.conditions };
+};
+
+/**
+ * Record an allergy
+ * @param {string} patientId The patient ID
+ * @param {Object} details { drug or drugClass, reaction, severity, notes }
+ * @param {Object} user The user recording it
+ * @returns {Promise<Object>} { success, allergy }
+ */
+export const addAllergy = async (patientId, details, user) => {
+  const allergy = pick(details, ALLERGY_FIELDS);
+
+  const invalid = validateAllergy(allergy);
+  if (invalid) {
+    return { success: false, statusCode: 400, message: invalid };
+  }
+
+  const patient = await findPatient(patientId);
+  if (!patient) {
+    return { success: false, statusCode: 404, message: 'Patient not found' };
+  }
+
+  patient.allergies.push({ ...allergy, recordedBy: user._id });
+  await patient.save();
+
+  return { success: true, allergy: patient.allergies[patient.allergies.length - 1] };
+};
+
+/**
+ * Change a recorded allergy
+ * @param {string} patientId The patient ID
+ * @param {string} allergyId The allergy ID
+ * @param {Object} details Fields to change
+ * @returns {Promise<Object>} { success, allergy }
+ */
+export const updateAllergy = async (patientId, allergyId, details) => {
+  const found = await findEntry(patientId, 'allergies', allergyId);
+  if (!found.success) return found;
+
+  const { patient, entry } = found;
+  const changes = pick(details, ALLERGY_FIELDS);
+
+  const invalid = validateAllergy({ drug: entry.drug, drugClass: entry.drugClass, ...changes });
+  if (invalid) {
+    return { success: false, statusCode: 400, message: invalid };
+  }
+
+  entry.set(changes);
+  await patient.save();
+
+  return { success: true, allergy: entry };
+};
+
+/**
+ * Remove a recorded allergy
+ * @param {string} patientId The patient ID
+ * @param {string} allergyId The allergy ID
+ * @returns {Promise<Object>} { success }
+ */
+export const removeAllergy = async (patientId, allergyId) => {
+  const found = await findEntry(patientId, 'allergies', allergyId);
+  if (!found.success) return found;
+
+  found.entry.deleteOne();
+  await found.patient.save();
+
+  return { success: true, message: 'Allergy removed' };
+};
+
+/**
+ * Record a condition
+ * @param {string} patientId The patient ID
+ * @param {Object} details { name, code, status, diagnosedAt, notes }
+ * @param {Object} user The user recording it
+ * @returns {Promise<Object>} { success, condition }
+ */
+export const addCondition = async (patientId, details, user) => {
+  const condition = pick(details, CONDITION_FIELDS);
+
+  const invalid = validateCondition(condition);
+  if (invalid) {
+    return { success: false, statusCode: 400, message: invalid };
+  }
+
+  const patient = await findPatient(patientId);
+  if (!patient) {
+    return { success: false, statusCode: 404, message: 'Patient not found' };
+  }
+
+  patient.conditions.push({ ...condition, recordedBy: user._id });
+  await patient.save();
+
+  return { success: true, condition: patient.conditions[patient.conditions.length - 1] };
+};
+
+/**
+ * Change a recorded condition, e.g. mark it resolved
+ * @param {string} patientId The patient ID
+ * @param {string} conditionId The condition ID
+ * @param {Object} details Fields to change
+ * @returns {Promise<Object>} { success, condition }
+ */
+export const updateCondition = async (patientId, conditionId, details) => {
+  const found = await findEntry(patientId, 'conditions', conditionId);
+  if (!found.success) return found;
+
+  const { patient, entry } = found;
+  const changes = pick(details, CONDITION_FIELDS);
+
+  const invalid = validateCondition({ name: entry.name, ...changes });
+  if (invalid) {
+    return { success: false, statusCode: 400, message: invalid };
+  }
+
+  entry.set(changes);
+  await patient.save();
+
+  return { success: true, condition: entry };
+};
+
+/**
+ * Remove a recorded condition
+ * @param {string} patientId The patient ID
+ * @param {string} conditionId The condition ID
+ * @returns {Promise<Object>} { success }
+ */
+export const removeCondition = async (patientId, conditionId) => {
+  const found = await findEntry(patientId, 'conditions', conditionId);
+  if (!found.success) return found;
+
+  found.entry.deleteOne();
+  await found.patient.save();
+
+  return { success: true, message: 'Condition removed' };
+};
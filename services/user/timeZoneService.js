@@ -0,0 +1,179 @@
+// services/user/timeZoneService.js
+import Schedule from '../../models/scheduleModel.js';
+import User from '../../models/userModel.js';
+import DispenserDevice from '../../models/dispenserDeviceModel.js';
+import { regenerateSchedule } from '../schedule/doseMaterializer.js';
+import { updateDesiredState, pushDelta } from '../dispenser/shadowService.js';
+import {
+  isValidTimeZone,
+  getPatientClock,
+  getDisplayTimeZone,
+  getDeviceTimeZone,
+  getCivilDay,
+  getTravelShift
+} from '../schedule/timeZone.js';
+
+/**
+ * Rebuild the future doses of every active schedule of a patient
+ * @param {string} patientId The patient ID
+ * @returns {Promise<number>} Number of created entries
+ */
+export const regeneratePatientSchedules = async (patientId) => {
+  const schedules = await Schedule.find({ patient: patientId, active: true });
+
+  let created = 0;
+  for (const schedule of schedules) {
+    created += await regenerateSchedule(schedule);
+  }
+  return created;
+};
+
+/**
+ * Set the clock zone on the patient's dispensers so their displays match
+ * @param {string} patientId The patient ID
+ * @param {string} timeZone IANA timezone
+ * @returns {Promise<number>} Number of devices updated
+ */
+const syncDeviceClocks = async (patientId, timeZone) => {
+  const devices = await DispenserDevice.find({ ownedBy: patientId });
+
+  let updated = 0;
+  for (const device of devices) {
+    if (device.shadow?.desired?.clock?.timezone === timeZone) continue;
+
+    const updatedDevice = await updateDesiredState(device, {
+      clock: { timezone: timeZone, use24Hour: device.shadow?.desired?.clock?.use24Hour }
+    });
+
+    if (updatedDevice) {
+      pushDelta(updatedDevice);
+      updated++;
+    }
+  }
+  return updated;
+};
+
+// Save the user and move their doses and devices to the zone they now follow
+const applyClockChange = async (user) => {
+  await user.save();
+  await regeneratePatientSchedules(user._id);
+  await syncDeviceClocks(user._id, getDeviceTimeZone(getPatientClock(user)));
+};
+
+/**
+ * Move the dispenser clocks of travelling patients to their destination once the trip starts
+ * @returns {Promise<number>} Number of devices updated
+ */
+export const syncTravelDeviceClocks = async () => {
+  const travellers = await User.find({ 'travel.active': true }).select('timezone travel');
+
+  let updated = 0;
+  for (const user of travellers) {
+    try {
+      updated += await syncDeviceClocks(user._id, getDeviceTimeZone(getPatientClock(user)));
+    } catch (error) {
+      console.error(`Failed to sync device clocks for patient ${user._id}:`, error);
+    }
+  }
+  return updated;
+};
+
+/**
+ * Progress of a patient's travel shift
+ * @param {Object} user The patient
+ * @param {Date} at Time to report for
+ * @returns {Object} { active, fromTimeZone, toTimeZone, shiftMinutes, totalMinutes, complete }
+ */
+export const getTravelStatus = (user, at = new Date()) => {
+  const clock = getPatientClock(user);
+
+  if (!clock.travel) {
+    return { active: false, timeZone: clock.timeZone };
+  }
+
+  const { travel } = clock;
+  const progress = getTravelShift(travel, getCivilDay(at, travel.fromTimeZone));
+
+  return {
+    active: true,
+    fromTimeZone: travel.fromTimeZone,
+    toTimeZone: travel.toTimeZone,
+    startDate: travel.startDate,
+    shiftMinutesPerDay: travel.shiftMinutesPerDay,
+    ...progress
+  };
+};
+
+/**
+ * Set the timezone a patient's doses follow, ending any travel
+ * @param {Object} user The patient
+ * @param {string} timeZone IANA timezone
+ * @returns {Promise<Object>} { success, timeZone }
+ */
+export const setPatientTimeZone = async (user, timeZone) => {
+  if (!isValidTimeZone(timeZone)) {
+    return { success: false, statusCode: 400, message: `Unknown timezone ${timeZone}` };
+  }
+
+  user.timezone = timeZone;
+  user.travel = { active: false };
+  await applyClockChange(user);
+
+  return { success: true, timeZone };
+};
+
+/**
+ * Start moving a patient's dose times to a new timezone
+ * @param {Object} user The patient
+ * @param {Object} options { toTimeZone, startDate, shiftMinutesPerDay, mode } where mode 'immediate' moves them at once
+ * @returns {Promise<Object>} { success, travel }
+ */
+export const startTravel = async (user, options = {}) => {
+  const { toTimeZone, mode = 'gradual' } = options;
+
+  if (!isValidTimeZone(toTimeZone)) {
+    return { success: false, statusCode: 400, message: `Unknown timezone ${toTimeZone}` };
+  }
+
+  const startDate = options.startDate ? new Date(options.startDate) : new Date();
+  if (Number.isNaN(startDate.getTime())) {
+    return { success: false, statusCode: 400, message: 'startDate must be a valid date' };
+  }
+
+  const shiftMinutesPerDay = mode === 'immediate' ? 1440 : Number(options.shiftMinutesPerDay || 60);
+  if (!(shiftMinutesPerDay >= 15 && shiftMinutesPerDay <= 1440)) {
+    return { success: false, statusCode: 400, message: 'shiftMinutesPerDay must be between 15 and 1440' };
+  }
+
+  // A trip already under way counts as arrived, the new one starts from its destination
+  const fromTimeZone = getDisplayTimeZone(getPatientClock(user));
+  user.timezone = fromTimeZone;
+  user.travel = {
+    active: true,
+    fromTimeZone,
+    toTimeZone,
+    startDate,
+    shiftMinutesPerDay
+  };
+  await applyClockChange(user);
+
+  return { success: true, travel: getTravelStatus(user) };
+};
+
+/**
+ * End travel, either adopting the destination timezone or going back to the home one
+ * @param {Object} user The patient
+ * @param {boolean} arrived True to keep the destination timezone
+ * @returns {Promise<Object>} { success, timeZone }
+ */
+export const endTravel = async (user, arrived = true) => {
+  if (!user.travel?.active) {
+    return { success: false, statusCode: 400, message: 'No travel in progress' };
+  }
+
+  user.timezone = arrived ? user.travel.toTimeZone : user.travel.fromTimeZone;
+  user.travel = { active: false };
+  await applyClockChange(user);
+
+  return { success: true, timeZone: user.timezone };
+};
@@ -0,0 +1,140 @@
+// services/user/userSyncService.js
+import User from '../../models/userModel.js';
+import Schedule from '../../models/scheduleModel.js';
+import DispenserDevice from '../../models/dispenserDeviceModel.js';
+import { clearFutureDoses } from '../schedule/doseMaterializer.js';
+import { unpairDevice } from '../dispenser/provisioningService.js';
+
+const USER_ROLES = User.schema.path('role').enumValues;
+
+// Webhooks use snake_case, the Clerk backend SDK returns camelCase
+const pick = (data, snakeKey, camelKey) => data[snakeKey] ?? data[camelKey];
+
+const findPrimary = (entries = [], primaryId) =>
+  entries.find(entry => entry.id === primaryId) || entries[0];
+
+// Clerk marks an address or number verified once its owner has proven it
+const isVerified = (entry) => entry?.verification?.status === 'verified';
+
+/**
+ * Map a Clerk user object to the fields we keep on our User
+ * @param {Object} data The Clerk user, from a webhook or the backend API
+ * @returns {Object} { clerkId, email, emailVerified, firstName, lastName, phoneNumber, phoneVerified, role }
+ */
+export const clerkUserToFields = (data) => {
+  const email = findPrimary(
+    pick(data, 'email_addresses', 'emailAddresses'),
+    pick(data, 'primary_email_address_id', 'primaryEmailAddressId')
+  );
+  const phone = findPrimary(
+    pick(data, 'phone_numbers', 'phoneNumbers'),
+    pick(data, 'primary_phone_number_id', 'primaryPhoneNumberId')
+  );
+  const role = pick(data, 'public_metadata', 'publicMetadata')?.role;
+
+  return {
+    clerkId: data.id,
+    email: pick(email || {}, 'email_address', 'emailAddress'),
+    emailVerified: isVerified(email),
+    firstName: pick(data, 'first_name', 'firstName') || '',
+    lastName: pick(data, 'last_name', 'lastName') || '',
+    phoneNumber: phone ? pick(phone, 'phone_number', 'phoneNumber') : undefined,
+    phoneVerified: isVerified(phone),
+    role: USER_ROLES.includes(role) ? role : undefined
+  };
+};
+
+/**
+ * Create or update our User from a Clerk user
+ * @param {Object} data The Clerk user, from a webhook or the backend API
+ * @param {Object} options Optional { activate } to re-enable a deactivated user
+ * @returns {Promise<Object>} { success, user, created }
+ */
+export const upsertUserFromClerk = async (data, options = {}) => {
+  const fields = clerkUserToFields(data);
+
+  if (!fields.clerkId || !fields.email) {
+    return { success: false, statusCode: 400, message: 'Clerk user has no id or email address' };
+  }
+
+  let user = await User.findOne({ clerkId: fields.clerkId });
+
+  // Users added before Clerk sync are linked by email, but only once the Clerk
+  // account has proven it owns that address, or anyone could claim the account
+  if (!user) {
+    const existing = await User.findOne({ email: fields.email.toLowerCase() });
+
+    if (existing && !fields.emailVerified) {
+      return {
+        success: false,
+        statusCode: 409,
+        message: 'Email address is in use by another account, verify it to link this account'
+      };
+    }
+    user = existing;
+  }
+  const created = !user;
+
+  if (!user) {
+    user = new User({ clerkId: fields.clerkId });
+  }
+
+  user.clerkId = fields.clerkId;
+  user.email = fields.email;
+  user.emailVerified = fields.emailVerified;
+  user.firstName = fields.firstName;
+  user.lastName = fields.lastName;
+  if (fields.phoneNumber) {
+    user.phoneNumber = fields.phoneNumber;
+    user.phoneVerified = fields.phoneVerified;
+  }
+  if (fields.role) user.role = fields.role;
+  if (options.activate) user.isActive = true;
+
+  await user.save();
+
+  return { success: true, user, created };
+};
+
+/**
+ * Deactivate a user deleted in Clerk, stopping their schedules and releasing their devices
+ * @param {string} clerkId The Clerk user ID
+ * @returns {Promise<Object>} { success, message, schedules, devices }
+ */
+export const deactivateClerkUser = async (clerkId) => {
+  const user = await User.findOne({ clerkId });
+
+  if (!user) {
+    return { success: false, statusCode: 404, message: `No user for Clerk ID ${clerkId}` };
+  }
+
+  user.isActive = false;
+  await user.save();
+
+  const schedules = await Schedule.find({ patient: user._id, active: true });
+  for (const schedule of schedules) {
+    schedule.active = false;
+    await schedule.save();
+    await clearFutureDoses(schedule._id);
+  }
+
+  const devices = await DispenserDevice.find({ ownedBy: user._id, 'provisioning.status': 'paired' });
+  for (const device of devices) {
+    const result = await unpairDevice(device._id);
+    if (!result.success) {
+      console.error(`Failed to unpair device ${device.deviceId} for deleted user: ${result.message}`);
+    }
+  }
+
+  // Devices shared with the user stay with their owners
+  await User.updateOne({ _id: user._id }, { $set: { assignedDispensers: [] } });
+
+  console.log(`Deactivated user ${user._id}: ${schedules.length} schedules stopped, ${devices.length} devices unpaired`);
+
+  return {
+    success: true,
+    message: 'User deactivated',
+    schedules: schedules.length,
+    devices: devices.length
+  };
+};
@@ -0,0 +1,106 @@
+import DispenserDevice from '../models/dispenserDeviceModel.js';
+import { verifyMqttCredentials } from '../services/dispenser/provisioningService.js';
+import { routeDeviceMessage } from '../services/dispenser/messageRouter.js';
+import { markDeviceOnline, markDeviceOffline, hasLiveMqttSession } from '../services/dispenser/connectivityService.js';
+
+// Socket events a device may emit, mapped to the message types the router understands
+const DEVICE_EVENTS = {
+  'device:dispense': 'dispensed',
+  'device:status': 'status',
+  'device:inventory': 'inventory',
+  'device:prn': 'prn'
+};
+
+// Reload the device so handlers never work on a stale document,
+// and refuse devices whose credentials changed since they connected
+const loadConnectedDevice = async (socket) => {
+  const device = await DispenserDevice.findById(socket.device._id);
+
+  if (!device ||
+      device.provisioning.status !== 'paired' ||
+      device.provisioning.credentialsVersion !== socket.credentialsVersion) {
+    socket.emit('auth:error', { message: 'Device credentials have been revoked' });
+    socket.disconnect(true);
+    return null;
+  }
+
+  return device;
+};
+
+/**
+ * Set up the /devices namespace where dispensers connect with their device credentials
+ * @param {Object} io The Socket.io server
+ * @returns {Object} The namespace
+ */
+const setupDeviceNamespace = (io) => {
+  const devices = io.of('/devices');
+
+  // Devices use the same credentials they are issued for MQTT
+  devices.use(async (socket, next) => {
+    try {
+      const { deviceId, password } = socket.handshake.auth || {};
+      const device = await verifyMqttCredentials(deviceId, password);
+
+      if (!device) {
+        return next(new Error('Authentication error'));
+      }
+
+      socket.device = device;
+      socket.credentialsVersion = device.provisioning.credentialsVersion;
+      next();
+    } catch (error) {
+      console.error('Device socket authentication error:', error);
+      next(new Error('Authentication error'));
+    }
+  });
+
+  devices.on('connection', (socket) => {
+    const { deviceId } = socket.device;
+    console.log(`Device connected: ${deviceId}`);
+
+    // A device only ever hears about itself
+    socket.join(`device:${socket.device._id}`);
+
+    loadConnectedDevice(socket)
+      .then(device => device && markDeviceOnline(device))
+      .catch(error => console.error(`Failed to mark device ${deviceId} online:`, error));
+
+    Object.entries(DEVICE_EVENTS).forEach(([event, messageType]) => {
+      socket.on(event, async (data, ack) => {
+        try {
+          const device = await loadConnectedDevice(socket);
+          if (!device) return;
+
+          await routeDeviceMessage(device, messageType, data || {});
+
+          if (typeof ack === 'function') ack({ received: true });
+        } catch (error) {
+          console.error(`Device ${event} error:`, error);
+          if (typeof ack === 'function') ack({ received: false, message: `Failed to process ${event}` });
+        }
+      });
+    });
+
+    // Treat a dropped socket like an MQTT Last Will, unless the device
+    // reconnected already or is still talking over MQTT
+    socket.on('disconnect', async (reason) => {
+      console.log(`Device disconnected: ${deviceId} (${reason})`);
+
+      try {
+        const sockets = await devices.in(`device:${socket.device._id}`).fetchSockets();
+        if (sockets.length > 0) return;
+
+        const device = await DispenserDevice.findById(socket.device._id);
+        if (device && !hasLiveMqttSession(device)) {
+          await markDeviceOffline(device, 'socket disconnected');
+        }
+      } catch (error) {
+        console.error(`Failed to mark device ${deviceId} offline:`, error);
+      }
+    });
+  });
+
+  return devices;
+};
+
+export default setupDeviceNamespace;
@@ -1,11 +1,74 @@
 import { Server } from 'socket.io';
-import jwt from 'jsonwebtoken';
+import { verifyClerkToken } from '../services/auth/clerkTokenService.js';
+import setupDeviceNamespace from './deviceNamespace.js';
+import { getCaregiverIds } from '../services/care/careRelationshipService.js';
+import { canAccessPatient, PATIENT_ACCESS } from '../services/auth/accessPolicy.js';
 import User from '../models/userModel.js';
 import DispenserDevice from '../models/dispenserDeviceModel.js';
 import DispensingLog from '../models/dispenserLogModel.js';
 import PatientMedication from '../models/patientModel.js';
 import Medication from '../models/medicationModel.js';
 
+const DEFAULT_REVALIDATE_SECONDS = 5 * 60;
+
+const getRevalidateSeconds = () =>
+  parseInt(process.env.SOCKET_REVALIDATE_SECONDS) || DEFAULT_REVALIDATE_SECONDS;
+
+// Clients pass the Clerk session token in the handshake auth or an Authorization header
+const getHandshakeToken = (socket) => {
+  if (socket.handshake.auth?.token) return socket.handshake.auth.token;
+
+  const header = socket.handshake.headers?.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+};
+
+// Keep device and role rooms in step with the user's current assignments
+const joinUserRooms = async (socket) => {
+  const user = socket.user;
+  const ownedDevices = await DispenserDevice.find({ ownedBy: user._id }).select('_id');
+  
+  const rooms = new Set([
+    ...(user.assignedDispensers || []).map(deviceId => `device:${deviceId}`),
+    ...ownedDevices.map(device => `device:${device._id}`)
+  ]);
+  if (user.role) {
+    rooms.add(`role:${user.role}`);
+  }
+  
+  socket.rooms.forEach(room => {
+    if ((room.startsWith('device:') || room.startsWith('role:')) && !rooms.has(room)) {
+      socket.leave(room);
+    }
+  });
+  rooms.forEach(room => socket.join(room));
+};
+
+// Disconnect the socket once its session token expires, unless it is refreshed first
+const scheduleTokenExpiry = (socket) => {
+  clearTimeout(socket.expiryTimer);
+  
+  const remainingMs = socket.tokenExpiresAt - Date.now();
+  socket.expiryTimer = setTimeout(() => {
+    socket.emit('auth:expired', { message: 'Session token expired' });
+    socket.disconnect(true);
+  }, Math.max(remainingMs, 0));
+};
+
+// Reload the user, disconnecting accounts that were deleted or deactivated
+const revalidateSocketUser = async (socket) => {
+  const user = await User.findById(socket.user._id);
+  
+  if (!user || !user.isActive) {
+    socket.emit('auth:error', { message: 'User account is no longer active' });
+    socket.disconnect(true);
+    return false;
+  }
+  
+  socket.user = user;
+  await joinUserRooms(socket);
+  return true;
+};
+
 const setupWebSocket = (httpServer) => {
   const io = new Server(httpServer, {
     cors: {
@@ -17,29 +80,29 @@ const setupWebSocket = (httpServer) => {
   // Authentication middleware for Socket.io
   io.use(async (socket, next) => {
     try {
-      const token = socket.handshake.auth.token;
+      const token = getHandshakeToken(socket);
       
       if (!token) {
         return next(new Error('Authentication error'));
       }
       
-      // Verify the token with Clerk SDK
-      // NOTE: You'll need to implement the appropriate
-      // verification logic based on how Clerk tokens work
-      
-      const clerkId = "decoded-clerk-id"; // Replace with actual verification
+      const claims = await verifyClerkToken(token);
       
       // Get the user from our database
-      const user = await User.findOne({ clerkId });
+      const user = await User.findOne({ clerkId: claims.sub });
       if (!user) {
         return next(new Error('User not found'));
       }
+      if (!user.isActive) {
+        return next(new Error('User account has been deactivated'));
+      }
       
       // Attach user to socket
       socket.user = user;
+      socket.tokenExpiresAt = claims.exp * 1000;
       next();
     } catch (error) {
-      console.error('Socket authentication error:', error);
+      console.error('Socket authentication error:', error.message);
       next(new Error('Authentication error'));
     }
   });
@@ -50,85 +113,46 @@ const setupWebSocket = (httpServer) => {
     // Join user to their own room for private messages
     socket.join(socket.user._id.toString());
     
-    // Join rooms for any devices they own or are assigned to
-    if (socket.user.assignedDispensers && socket.user.assignedDispensers.length > 0) {
-      socket.user.assignedDispensers.forEach(deviceId => {
-        socket.join(`device:${deviceId}`);
-      });
-    }
+    // Join rooms for the devices they own or are assigned to, and their role
+    joinUserRooms(socket).catch(error => {
+      console.error('Failed to join user rooms:', error);
+    });
+    scheduleTokenExpiry(socket);
     
-    // Join role-based rooms (for admin broadcasts, etc.)
-    if (socket.user.role) {
-      socket.join(`role:${socket.user.role}`);
-    }
+    // Re-check the account periodically, the token alone can outlive a deactivation
+    const revalidateTimer = setInterval(() => {
+      revalidateSocketUser(socket).catch(error => {
+        console.error('Socket revalidation error:', error);
+      });
+    }, getRevalidateSeconds() * 1000);
     
-    // Handle medication dispense events from devices
-    socket.on('device:dispense', async (data) => {
+    // Clients send a fresh session token before the current one expires
+    socket.on('auth:refresh', async (data) => {
       try {
-        // Verify the device belongs to this user
-        const device = await DispenserDevice.findById(data.deviceId);
-        if (!device || !socket.user.assignedDispensers.includes(data.deviceId)) {
-          return socket.emit('error', { message: 'Unauthorized device access' });
-        }
+        const claims = await verifyClerkToken(data?.token);
         
-        // Create a dispense record
-        const dispensing = new DispensingLog({
-          medication: data.medicationId,
-          patient: socket.user._id,
-          device: data.deviceId,
-          compartmentId: data.compartmentId,
-          quantity: {
-            tablets: data.quantity
-          },
-          dispensedTime: new Date(),
-          status: 'dispensed',
-          scheduledTime: new Date() // Assuming this was scheduled for now
-        });
-        
-        await dispensing.save();
-        
-        // Update medication inventory in PatientMedication
-        await PatientMedication.findOneAndUpdate(
-          { _id: data.medicationId },
-          { $inc: { 'inventoryTracking.currentQuantity': -data.quantity } }
-        );
-        
-        // Confirm back to device
-        socket.emit('dispense:confirmed', { 
-          dispensingId: dispensing._id,
-          status: 'success'
-        });
+        if (claims.sub !== socket.user.clerkId) {
+          socket.emit('auth:error', { message: 'Token belongs to a different user' });
+          return socket.disconnect(true);
+        }
         
-        // Notify other user sessions
-        emitToUser(socket.user._id, 'medication:dispensed', { 
-          medicationId: data.medicationId,
-          dispensingId: dispensing._id,
-          time: new Date()
-        });
+        socket.tokenExpiresAt = claims.exp * 1000;
+        scheduleTokenExpiry(socket);
+        await revalidateSocketUser(socket);
         
-        // Notify caregivers if configured
-        const emergencyContacts = socket.user.emergencyContacts || [];
-        if (emergencyContacts.length > 0) {
-          emergencyContacts.forEach(contact => {
-            if (contact.isPrimaryContact) {
-              // Assuming you have a way to map contacts to users
-              // You might need to adjust this logic based on your actual data model
-              emitToUser(contact._id, 'patient:medication:dispensed', {
-                patientId: socket.user._id,
-                patientName: socket.user.fullName,
-                medicationId: data.medicationId,
-                dispensingId: dispensing._id,
-                time: new Date()
-              });
-            }
-          });
-        }
+        socket.emit('auth:refreshed', { expiresAt: new Date(socket.tokenExpiresAt) });
       } catch (error) {
-        console.error('Dispense error:', error);
-        socket.emit('error', { message: 'Failed to process dispense request' });
+        socket.emit('auth:error', { message: 'Invalid token' });
       }
     });
     
+    // Device telemetry is read-only here, dispensers report on the /devices namespace
+    ['device:dispense', 'device:status', 'device:inventory'].forEach(event => {
+      socket.on(event, () => {
+        socket.emit('error', { message: `${event} must be sent by the device on the /devices namespace` });
+      });
+    });
+    
     // Handle medication confirmation (taken, missed, skipped)
     socket.on('medication:confirm', async (data) => {
       try {
@@ -137,7 +161,7 @@ const setupWebSocket = (httpServer) => {
         // Update dispensing record
         const dispensing = await DispensingLog.findById(dispensingId);
         
-        if (!dispensing || dispensing.patient.toString() !== socket.user._id.toString()) {
+        if (!dispensing || !(await canAccessPatient(socket.user, dispensing.patient, PATIENT_ACCESS.EDIT))) {
           return socket.emit('error', { message: 'Unauthorized access to dispensing record' });
         }
         
@@ -161,105 +185,29 @@ const setupWebSocket = (httpServer) => {
         
         // Notify caregivers if needed
         if (status === 'missed') {
-          const emergencyContacts = socket.user.emergencyContacts || [];
-          if (emergencyContacts.length > 0) {
-            emergencyContacts.forEach(contact => {
-              if (contact.isPrimaryContact) {
-                // Logic to notify caregivers
-                // This would need to be adjusted based on your actual data model
-                emitToUser(contact._id, 'patient:medication:missed', {
-                  patientId: socket.user._id,
-                  patientName: socket.user.fullName,
-                  medicationId: dispensing.medication,
-                  dispensingId,
-                  time: new Date()
-                });
-              }
-            });
-          }
-        }
-      } catch (error) {
-        console.error('Medication confirmation error:', error);
-        socket.emit('error', { message: 'Failed to confirm medication status' });
-      }
-    });
-    
-    // Handle device status updates
-    socket.on('device:status', async (data) => {
-      try {
-        const { deviceId, isOnline, batteryLevel, firmwareVersion, needsMaintenance } = data;
-        
-        // Verify the device belongs to this user
-        const device = await DispenserDevice.findById(deviceId);
-        if (!device || !socket.user.assignedDispensers.includes(deviceId)) {
-          return socket.emit('error', { message: 'Unauthorized device access' });
-        }
-        
-        // Update device status
-        const updatedDevice = await DispenserDevice.findByIdAndUpdate(
-          deviceId,
-          {
-            'status.isOnline': isOnline !== undefined ? isOnline : device.status.isOnline,
-            'status.batteryLevel': batteryLevel || device.status.batteryLevel,
-            'status.firmwareVersion': firmwareVersion || device.status.firmwareVersion,
-            'status.needsMaintenance': needsMaintenance !== undefined ? needsMaintenance : device.status.needsMaintenance,
-            'status.lastPing': new Date()
-          },
-          { new: true }
-        );
-        
-        // Broadcast to all sessions for this user
-        emitToUser(socket.user._id, 'device:updated', {
-          device: updatedDevice
-        });
-        
-        // Alert on critical battery level
-        if (batteryLevel && batteryLevel < 20) {
-          emitToUser(socket.user._id, 'device:lowBattery', {
-            deviceId,
-            batteryLevel,
-            time: new Date()
-          });
-          
-          // Notify emergency contacts
-          const emergencyContacts = socket.user.emergencyContacts || [];
-          if (emergencyContacts.length > 0) {
-            emergencyContacts.forEach(contact => {
-              if (contact.isPrimaryContact) {
-                // Logic to notify emergency contacts
-                emitToUser(contact._id, 'patient:device:lowBattery', {
-                  patientId: socket.user._id,
-                  patientName: socket.user.fullName,
-                  deviceId,
-                  batteryLevel,
-                  time: new Date()
-                });
-              }
-            });
-          }
-        }
-        
-        // Alert on connectivity issues
-        if (isOnline === false) {
-          emitToUser(socket.user._id, 'device:offline', {
-            deviceId,
+          const patient = await User.findById(dispensing.patient);
+          await emitToCaregivers(patient, 'patient:medication:missed', {
+            patientId: patient._id,
+            patientName: patient.fullName,
+            medicationId: dispensing.medication,
+            dispensingId,
             time: new Date()
           });
         }
       } catch (error) {
-        console.error('Device status update error:', error);
-        socket.emit('error', { message: 'Failed to update device status' });
+        console.error('Medication confirmation error:', error);
+        socket.emit('error', { message: 'Failed to confirm medication status' });
       }
     });
     
-    // Handle medication refill requests from devices
+    // Handle medication refills recorded by the user
     socket.on('medication:refill', async (data) => {
       try {
         const { medicationId, newQuantity, compartmentId } = data;
         
         // Verify user can access this medication and it's in their dispenser
         const medication = await PatientMedication.findById(medicationId);
-        if (!medication || medication.patient.toString() !== socket.user._id.toString()) {
+        if (!medication || !(await canAccessPatient(socket.user, medication.patient, PATIENT_ACCESS.EDIT))) {
           return socket.emit('error', { message: 'Unauthorized medication access' });
         }
         
@@ -275,9 +223,9 @@ const setupWebSocket = (httpServer) => {
         
         // Update the dispenser compartment last filled date
         if (compartmentId) {
-          // Find user's dispenser with this compartment
+          // Find the patient's dispenser with this compartment
           const dispenser = await DispenserDevice.findOne({
-            assignedUsers: socket.user._id,
+            ownedBy: medication.patient,
             'compartments.compartmentId': compartmentId
           });
           
@@ -305,8 +253,8 @@ const setupWebSocket = (httpServer) => {
           status: 'success'
         });
         
-        // Broadcast to all user sessions
-        emitToUser(socket.user._id, 'medication:updated', {
+        // Broadcast to all of the patient's sessions
+        emitToUser(medication.patient, 'medication:updated', {
           medication: updatedMedication
         });
       } catch (error) {
@@ -316,8 +264,14 @@ const setupWebSocket = (httpServer) => {
     });
     
     // Handle real-time adherence monitoring
-    socket.on('adherence:check', async () => {
+    socket.on('adherence:check', async (data) => {
       try {
+        // Caregivers and providers may ask about a linked patient
+        const patientId = data?.patientId || socket.user._id;
+        if (!(await canAccessPatient(socket.user, patientId, PATIENT_ACCESS.VIEW))) {
+          return socket.emit('error', { message: 'Unauthorized patient access' });
+        }
+        
         // Calculate adherence stats
         const now = new Date();
         const thirtyDaysAgo = new Date(now);
@@ -325,7 +279,7 @@ const setupWebSocket = (httpServer) => {
         
         // Updated to use the correct field names from DispensingLog model
         const dispensings = await DispensingLog.find({
-          patient: socket.user._id,
+          patient: patientId,
           scheduledTime: { $gte: thirtyDaysAgo },
           status: { $in: ['taken', 'missed', 'skipped'] }
         });
@@ -336,6 +290,7 @@ const setupWebSocket = (httpServer) => {
         const adherenceRate = total > 0 ? (taken / total) * 100 : 0;
         
         socket.emit('adherence:stats', {
+          patientId,
           total,
           taken,
           missed: dispensings.filter(d => d.status === 'missed').length,
@@ -346,7 +301,7 @@ const setupWebSocket = (httpServer) => {
         
         // Update all patient medications with the new adherence rate
         await PatientMedication.updateMany(
-          { patient: socket.user._id, isActive: true },
+          { patient: patientId, isActive: true },
           { adherenceRate: parseFloat(adherenceRate.toFixed(2)) }
         );
       } catch (error) {
@@ -357,10 +312,14 @@ const setupWebSocket = (httpServer) => {
     
     // Handle disconnect
     socket.on('disconnect', () => {
+      clearInterval(revalidateTimer);
+      clearTimeout(socket.expiryTimer);
       console.log(`User disconnected: ${socket.user._id}`);
     });
   });
   
+  setupDeviceNamespace(io);
+  
   // Store io instance for use elsewhere in the app
   global.io = io;
   
@@ -376,9 +335,12 @@ export const emitToUser = (userId, event, data) => {
   return false;
 };
 
+// Users watching a device share its room on the default namespace,
+// the device itself is in the same room on /devices
 export const emitToDevice = (deviceId, event, data) => {
   if (global.io) {
     global.io.to(`device:${deviceId}`).emit(event, data);
+    global.io.of('/devices').to(`device:${deviceId}`).emit(event, data);
     return true;
   }
   return false;
@@ -400,6 +362,20 @@ export const emitToAll = (event, data) => {
   return false;
 };
 
+// Emit to the caregivers linked to a patient that hold the given permission
+export const emitToCaregivers = async (patient, event, data, permission = 'receiveAlerts') => {
+  if (!global.io) return false;
+
+  const patientId = patient._id || patient;
+  const caregiverIds = await getCaregiverIds(patientId, permission);
+
+  caregiverIds.forEach(caregiverId => {
+    emitToUser(caregiverId, event, data);
+  });
+
+  return caregiverIds.length > 0;
+};
+
 export const emitScheduledDispense = async (dispensingId) => {
   try {
     // Find the dispensing record
@@ -460,25 +436,15 @@ export const sendReminder = async (userId, medicationId, message) => {
       time: new Date()
     });
     
-    // Also send to emergency contacts if needed
-    const emergencyContacts = user.emergencyContacts || [];
-    if (emergencyContacts.length > 0) {
-      emergencyContacts.forEach(contact => {
-        if (contact.isPrimaryContact) {
-          // Logic to notify emergency contacts
-          // This would need to be adjusted based on your actual data model
-          // Assuming you have a way to map contacts to users
-          emitToUser(contact._id, 'patient:reminder', {
-            patientId: userId,
-            patientName: user.fullName,
-            medicationId,
-            medicationName: patientMedication.medication.name,
-            message,
-            time: new Date()
-          });
-        }
-      });
-    }
+    // Also send to caregivers
+    await emitToCaregivers(user, 'patient:reminder', {
+      patientId: userId,
+      patientName: user.fullName,
+      medicationId,
+      medicationName: patientMedication.medication.name,
+      message,
+      time: new Date()
+    });
     
     return true;
   } catch (error) {